@@ -0,0 +1,365 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import crypto from 'crypto';
+import { PublishCommand, SNSClient } from '@aws-sdk/client-sns';
+import { fetch, timeoutSignal } from '@adobe/fetch';
+import DateFormat from './s3/DateFormat.js';
+import MediaLog, { getEventId, isOrgLog } from './s3/MediaLog.js';
+import Rollups from './s3/Rollups.js';
+import { updateJSON } from './s3/utils.js';
+import { getConfig } from './utils.js';
+
+/**
+ * Environment variable containing the alert configuration.
+ */
+const ALERTS_CONFIG = 'HLX_MEDIA_LOG_ALERTS';
+
+/**
+ * Timeout for delivering an alert to a webhook, in milliseconds.
+ */
+const WEBHOOK_TIMEOUT = 5000;
+
+/**
+ * Alert state in project folder, a gzipped JSON object.
+ */
+const ALERTS_FILE = '.alerts.gz';
+
+/**
+ * Default time an alert is not sent again for the same rule and user, in minutes.
+ */
+const DEFAULT_COOLDOWN = 60;
+
+/**
+ * Initial alert state of a project: the times of recent deletes per user, and the time
+ * an alert was last sent per rule and user.
+ */
+const INITIAL_STATE = { deletes: {}, alerted: {} };
+
+/**
+ * @typedef Project
+ * @property {string} contentBusId content bus ID
+ * @property {object[]} updates media events
+ *
+ * @typedef Alert
+ * @property {string} rule rule type
+ * @property {string} contentBusId content bus ID
+ * @property {string} message human readable description
+ */
+
+/**
+ * Returns the key the deletes of a user are kept under in the alert state, so that it
+ * does not contain the user itself.
+ *
+ * @param {string} user user
+ * @returns {string} key
+ */
+function userKey(user) {
+  return crypto.createHash('sha256').update(String(user)).digest('hex');
+}
+
+/**
+ * Evaluates the `deletes` rule: more than `max` deletes within `minutes` minutes by
+ * one user. As the deletes of a user may span several batches, the times of the deletes
+ * within the window are kept per project in `.alerts.gz`, by a hash of the user and the
+ * event identity, so a redelivered batch is not counted twice.
+ *
+ * @param {object} rule rule
+ * @param {Project} project project
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @returns {Promise<Alert[]>} alerts
+ */
+async function evaluateDeletes({ max, minutes }, { contentBusId, updates }, context) {
+  const { log } = context;
+  const window = minutes * 60 * 1000;
+  const deletes = updates.filter(({ operation }) => operation === 'delete');
+  if (!deletes.length) {
+    return [];
+  }
+  const users = new Map(deletes.map(({ user }) => [userKey(user), user]));
+
+  const storage = await MediaLog.createStorage(context);
+  const counts = new Map();
+  await updateJSON(storage, `${contentBusId}/${ALERTS_FILE}`, (state) => {
+    deletes.forEach((update) => {
+      const key = userKey(update.user);
+      // eslint-disable-next-line no-param-reassign
+      state.deletes[key] = { ...state.deletes[key], [getEventId(update)]: update.timestamp };
+    });
+    users.forEach((user, key) => {
+      const timestamps = Object.values(state.deletes[key]).sort((t1, t2) => t1 - t2);
+      let count = 0;
+      for (let i = 0, j = 0; j < timestamps.length; j += 1) {
+        while (timestamps[j] - timestamps[i] >= window) {
+          i += 1;
+        }
+        count = Math.max(count, j - i + 1);
+      }
+      counts.set(user, count);
+    });
+
+    // forget deletes outside the window of a later one, and users with no recent deletes
+    const now = Date.now();
+    Object.entries(state.deletes).forEach(([key, events]) => {
+      const last = Math.max(...Object.values(events));
+      const kept = Object.entries(events).filter(([, timestamp]) => last - timestamp < window);
+      if (users.has(key) || now - last < window) {
+        // eslint-disable-next-line no-param-reassign
+        state.deletes[key] = Object.fromEntries(kept);
+      } else {
+        // eslint-disable-next-line no-param-reassign
+        delete state.deletes[key];
+      }
+    });
+    return state;
+  }, { log, initial: INITIAL_STATE });
+
+  const alerts = [];
+  for (const [user, count] of counts) {
+    if (count > max) {
+      alerts.push({
+        rule: 'deletes',
+        contentBusId,
+        user,
+        count,
+        message: `${user} deleted ${count} media within ${minutes} minutes in ${contentBusId}`,
+      });
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Evaluates the `ingestRate` rule: the rate of ingests in this batch is more than `factor`
+ * times the average rate over the trailing `hours` hours, taken from the rollups. Batches
+ * with less than `min` ingests, and projects without ingests in the trailing hours, are
+ * ignored.
+ *
+ * @param {object} rule rule
+ * @param {Project} project project
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @returns {Promise<Alert[]>} alerts
+ */
+async function evaluateIngestRate({ factor, hours, min = 1 }, { contentBusId, updates }, context) {
+  const timestamps = updates
+    .filter(({ operation }) => operation === 'ingest')
+    .map(({ timestamp }) => timestamp);
+  if (timestamps.length < min) {
+    return [];
+  }
+  const minutes = Math.max(1, (Math.max(...timestamps) - Math.min(...timestamps)) / 60000);
+  const rate = timestamps.length / minutes;
+
+  // sum up the ingests in the trailing hours, which don't contain this batch yet
+  const hour = 60 * 60 * 1000;
+  const now = Math.floor(Date.now() / hour) * hour;
+  const rollups = await Rollups.create(context, { contentBusId });
+  const days = new Map();
+  let ingests = 0;
+  for (let time = now - hours * hour; time < now; time += hour) {
+    const date = DateFormat.format(new Date(time));
+    const [day, hh] = [date.substring(0, 10), date.substring(11, 13)];
+    if (!days.has(day)) {
+      // eslint-disable-next-line no-await-in-loop
+      days.set(day, await rollups.get(day));
+    }
+    ingests += days.get(day)?.hours[hh]?.operation.ingest ?? 0;
+  }
+  const average = ingests / (hours * 60);
+
+  // without ingests in the trailing hours, there is no baseline to compare with
+  if (!average || rate <= factor * average) {
+    return [];
+  }
+  return [{
+    rule: 'ingestRate',
+    contentBusId,
+    rate,
+    average,
+    message: `ingest rate of ${rate.toFixed(1)}/min in ${contentBusId} exceeds ${factor} times `
+      + `the average of ${average.toFixed(1)}/min over ${hours} hours`,
+  }];
+}
+
+/**
+ * Supported rule types.
+ */
+const RULES = {
+  deletes: evaluateDeletes,
+  ingestRate: evaluateIngestRate,
+};
+
+/**
+ * Evaluates alert rules against the media events of projects. Organization aggregate
+ * logs are skipped, as they contain the events of their projects again.
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {object[]} rules rules
+ * @param {Project[]} projects projects with their media events
+ * @returns {Promise<Alert[]>} alerts
+ */
+export async function evaluateRules(context, rules, projects) {
+  const { log } = context;
+  const alerts = [];
+  for (const project of projects.filter(({ contentBusId }) => !isOrgLog(contentBusId))) {
+    for (const rule of rules) {
+      if (Object.hasOwn(RULES, rule.type)) {
+        // eslint-disable-next-line no-await-in-loop
+        alerts.push(...await RULES[rule.type](rule, project, context));
+      } else {
+        log.warn(`Unknown alert rule: ${rule.type}`);
+      }
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Sends an alert, either to a webhook or to an SNS topic.
+ *
+ * @param {object} config alert configuration
+ * @param {Alert} alert alert
+ */
+async function sendAlert({ url, topicArn }, alert) {
+  if (topicArn) {
+    await new SNSClient({}).send(new PublishCommand({
+      TopicArn: topicArn,
+      Subject: `Media log alert: ${alert.rule}`,
+      Message: JSON.stringify(alert),
+    }));
+  }
+  if (url) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(alert),
+      signal: timeoutSignal(WEBHOOK_TIMEOUT),
+    });
+    if (!res.ok) {
+      throw new Error(`webhook returned ${res.status}`);
+    }
+  }
+}
+
+/**
+ * Returns the key the last time an alert was sent is kept under in the alert state.
+ *
+ * @param {Alert} alert alert
+ * @returns {string} key
+ */
+function alertKey({ rule, user }) {
+  return user === undefined ? rule : `${rule}/${userKey(user)}`;
+}
+
+/**
+ * Records the alerts of a project as sent in `.alerts.gz`, unless the same alert was
+ * already sent within the cooldown, and forgets the alerts sent before it.
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} contentBusId content bus ID
+ * @param {Alert[]} alerts alerts of the project
+ * @param {number} cooldown cooldown in milliseconds
+ * @param {number} now current time
+ * @returns {Promise<Alert[]>} alerts to send
+ */
+async function claimAlerts(context, contentBusId, alerts, cooldown, now) {
+  const { log } = context;
+  const storage = await MediaLog.createStorage(context);
+  let claimed = [];
+  await updateJSON(storage, `${contentBusId}/${ALERTS_FILE}`, (state) => {
+    const alerted = Object.fromEntries(Object.entries(state.alerted ?? {})
+      .filter(([, time]) => now - time < cooldown));
+    claimed = alerts.filter((alert) => !alerted[alertKey(alert)]);
+    if (!claimed.length) {
+      return null;
+    }
+    claimed.forEach((alert) => {
+      alerted[alertKey(alert)] = now;
+    });
+    return { ...state, alerted };
+  }, { log, initial: INITIAL_STATE });
+  return claimed;
+}
+
+/**
+ * Removes the record of an alert that could not be sent from `.alerts.gz`, so that it is
+ * sent again if it persists.
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {Alert} alert alert
+ * @param {number} now time the alert was recorded at
+ */
+async function releaseAlert(context, alert, now) {
+  const { log } = context;
+  const storage = await MediaLog.createStorage(context);
+  await updateJSON(storage, `${alert.contentBusId}/${ALERTS_FILE}`, (state) => {
+    const key = alertKey(alert);
+    if (state.alerted?.[key] !== now) {
+      return null;
+    }
+    // eslint-disable-next-line no-param-reassign
+    delete state.alerted[key];
+    return state;
+  }, { log, initial: INITIAL_STATE });
+}
+
+/**
+ * Evaluates the alert rules configured in `HLX_MEDIA_LOG_ALERTS` against the media events
+ * of projects, and sends the alerts to the configured webhook `url` or SNS `topicArn`.
+ * An alert is not sent again for the same rule and user within `cooldown` minutes, so
+ * that every following batch does not repeat it. Errors are logged and never fail the
+ * processing of the media events.
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {Project[]} projects projects with their media events
+ * @returns {Promise<Alert[]>} alerts sent
+ */
+export default async function checkAlerts(context, projects) {
+  const { log } = context;
+  const config = await getConfig(context, ALERTS_CONFIG);
+  if (!Array.isArray(config.rules) || !config.rules.length) {
+    return [];
+  }
+  const cooldown = (config.cooldown ?? DEFAULT_COOLDOWN) * 60 * 1000;
+
+  const due = [];
+  const now = Date.now();
+  try {
+    const alerts = await evaluateRules(context, config.rules, projects);
+    for (const contentBusId of new Set(alerts.map((alert) => alert.contentBusId))) {
+      const project = alerts.filter((alert) => alert.contentBusId === contentBusId);
+      // eslint-disable-next-line no-await-in-loop
+      due.push(...await claimAlerts(context, contentBusId, project, cooldown, now));
+    }
+  } catch (e) {
+    log.error(`Unable to check alerts: ${e.message}`);
+    return [];
+  }
+
+  const sent = [];
+  for (const alert of due) {
+    log.warn(`Media log alert: ${alert.message}`);
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await sendAlert(config, alert);
+      sent.push(alert);
+    } catch (e) {
+      log.error(`Unable to send alert ${alert.rule} for ${alert.contentBusId}: ${e.message}`);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await releaseAlert(context, alert, now);
+      } catch (e2) {
+        log.warn(`Unable to release alert ${alert.rule} for ${alert.contentBusId}: ${e2.message}`);
+      }
+    }
+  }
+  return sent;
+}
@@ -0,0 +1,226 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { parseArgs } from 'util';
+import { parseRange } from './query.js';
+import MediaLog from './s3/MediaLog.js';
+
+/**
+ * Number of entries read from the media log at once.
+ */
+const PAGE_SIZE = 1000;
+
+const USAGE = `Usage: media-log [--root <dir> | --bucket <name>] <command> <contentBusId> [options]
+
+Commands:
+  ls <contentBusId>       list log files with event times, number of events and size
+  cat <contentBusId>      print events as newline-delimited JSON
+  grep <contentBusId>     print events matching --user, --hash or --op
+  stats <contentBusId>    print totals over all log files
+  verify <contentBusId>   check the index against the log files, and with --repair,
+                          rebuild it and quarantine unreadable log files
+
+Options:
+  --root <dir>            local directory the media logs are kept in
+                          (defaults to HLX_MEDIA_LOG_ROOT)
+  --bucket <name>         S3 bucket the media logs are kept in
+                          (defaults to HLX_MEDIA_LOG_BUCKET or helix-media-logs)
+  --since <time>          cat, grep: only events at or after a time, in milliseconds
+                          or ISO format
+  --until <time>          cat, grep: only events at or before a time
+  --user <user>           grep: only events of a user, compared case insensitively
+  --hash <mediaHash>      grep: only events of a media hash
+  --op <operations>       grep: only events with one of a comma separated list of operations
+  --json                  ls: print index entries as newline-delimited JSON
+  --repair                verify: repair the index
+  -h, --help              print this help
+`;
+
+const OPTIONS = {
+  root: { type: 'string' },
+  bucket: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  user: { type: 'string' },
+  hash: { type: 'string' },
+  op: { type: 'string' },
+  json: { type: 'boolean' },
+  repair: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Error in the command line, reported along with the usage.
+ */
+class UsageError extends Error {}
+
+/**
+ * Formats a timestamp as ISO date, or `-` if it is undefined.
+ *
+ * @param {number} [time] timestamp in milliseconds
+ * @returns {string} formatted time
+ */
+function formatTime(time) {
+  return time === undefined ? '-' : new Date(time).toISOString();
+}
+
+/**
+ * Lists the log files in the index.
+ */
+async function ls(mediaLog, { json }, out) {
+  const files = await mediaLog.listLogFiles();
+  if (json) {
+    files.forEach((entry) => out.write(`${JSON.stringify(entry)}\n`));
+    return 0;
+  }
+  const rows = [['ID', 'FIRST EVENT', 'LAST EVENT', 'EVENTS', 'SIZE'], ...files.map((entry) => [
+    entry.id,
+    formatTime(entry.firstEventTime),
+    formatTime(entry.lastEventTime),
+    entry.count ?? '-',
+    entry.size ?? '-',
+  ])];
+  rows.forEach((row) => out.write(`${row.join('\t')}\n`));
+  return 0;
+}
+
+/**
+ * Prints the events in a time range that match all filters given.
+ */
+async function grep(mediaLog, values, out) {
+  const range = parseRange({ from: values.since ?? '0', to: values.until });
+  if (range.error) {
+    throw new UsageError('invalid --since or --until');
+  }
+  const operations = values.op?.split(',').map((op) => op.trim());
+  const user = values.user?.toLowerCase();
+  const matches = (entry) => (!operations || operations.includes(entry.operation))
+    && (!user || entry.user?.toLowerCase() === user)
+    && (!values.hash || entry.mediaHash === values.hash);
+
+  const { from, to } = range;
+  let location;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const { entries, next } = await mediaLog.getEntries(from, to, { limit: PAGE_SIZE }, location);
+    entries.filter(matches).forEach((entry) => out.write(`${JSON.stringify(entry)}\n`));
+    location = next;
+  } while (location);
+  return 0;
+}
+
+/**
+ * Prints the number of log files and events, their sizes and the times of the first
+ * and last events. Log files taken over from a legacy index are not counted in the
+ * number of events and the uncompressed size until the `migrate` job has run.
+ */
+async function stats(mediaLog, _, out) {
+  const files = await mediaLog.listLogFiles();
+  const sum = (name) => files.reduce((total, entry) => total + (entry[name] ?? 0), 0);
+  const times = (name) => files.map((entry) => entry[name]).filter((t) => t !== undefined);
+  const [first, last] = [times('firstEventTime'), times('lastEventTime')];
+  const result = {
+    files: files.length,
+    events: sum('count'),
+    size: sum('size'),
+    uncompressedSize: sum('uncompressedSize'),
+    firstEventTime: formatTime(first.length ? Math.min(...first) : undefined),
+    lastEventTime: formatTime(last.length ? Math.max(...last) : undefined),
+    withoutStatistics: files.filter(({ count }) => count === undefined).length,
+  };
+  out.write(`${JSON.stringify(result, null, 2)}\n`);
+  return 0;
+}
+
+/**
+ * Checks the index against the log files, failing if log files are missing, not in
+ * the index or unreadable, unless the index is repaired.
+ */
+async function verify(mediaLog, { repair }, out) {
+  const result = repair ? await mediaLog.repair() : await mediaLog.verify();
+  out.write(`${JSON.stringify(result, null, 2)}\n`);
+  const { missing, unindexed, unreadable } = result;
+  return !repair && (missing.length || unindexed.length || unreadable.length) ? 1 : 0;
+}
+
+/**
+ * Available commands.
+ */
+const COMMANDS = {
+  ls,
+  cat: grep,
+  grep: (mediaLog, values, out) => {
+    if (!values.user && !values.hash && !values.op) {
+      throw new UsageError('grep needs at least one of --user, --hash or --op');
+    }
+    return grep(mediaLog, values, out);
+  },
+  stats,
+  verify,
+};
+
+/**
+ * Runs the command line tool.
+ *
+ * @param {string[]} args command line arguments
+ * @param {object} opts options
+ * @param {object} opts.env environment variables
+ * @param {import('stream').Writable} opts.stdout stream to print output to
+ * @param {import('stream').Writable} opts.stderr stream to print errors and warnings to
+ * @returns {Promise<number>} exit code
+ */
+export async function run(args, { env, stdout, stderr }) {
+  try {
+    const { values, positionals } = parseArgs({
+      args, options: OPTIONS, allowPositionals: true,
+    });
+    if (values.help) {
+      stdout.write(USAGE);
+      return 0;
+    }
+    const [command, contentBusId, ...rest] = positionals;
+    if (!Object.hasOwn(COMMANDS, command ?? '')) {
+      throw new UsageError(command ? `unknown command: ${command}` : 'missing command');
+    }
+    if (!contentBusId || rest.length) {
+      throw new UsageError(`${command} needs exactly one content bus ID`);
+    }
+    if (values.root && values.bucket) {
+      throw new UsageError('--root and --bucket are mutually exclusive');
+    }
+
+    const context = {
+      env: {
+        HLX_MEDIA_LOG_ROOT: values.bucket ? undefined : values.root ?? env.HLX_MEDIA_LOG_ROOT,
+        HLX_MEDIA_LOG_BUCKET: values.bucket ?? env.HLX_MEDIA_LOG_BUCKET,
+      },
+      log: {
+        debug: () => {},
+        info: () => {},
+        warn: (msg) => stderr.write(`${msg}\n`),
+        error: (msg) => stderr.write(`${msg}\n`),
+      },
+    };
+    const mediaLog = await MediaLog.create(context, { contentBusId });
+    try {
+      return await COMMANDS[command](mediaLog, values, stdout);
+    } finally {
+      mediaLog.close();
+    }
+  } catch (e) {
+    if (e instanceof UsageError || e.code?.startsWith('ERR_PARSE_ARGS')) {
+      stderr.write(`media-log: ${e.message}\n\n${USAGE}`);
+      return 2;
+    }
+    stderr.write(`media-log: ${e.message}\n`);
+    return 1;
+  }
+}
@@ -0,0 +1,28 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { runJob } from './utils.js';
+
+/**
+ * Merges consecutive small log files of every project into log files close to the
+ * target size, given in bytes in `targetSize`.
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @returns {Promise<Response>} a response containing the merged log files per project
+ */
+export default async function compact(context) {
+  const { data: { targetSize } = {} } = context;
+  const opts = targetSize ? { targetSize: Number.parseInt(targetSize, 10) } : {};
+
+  return runJob(context, 'compact', async (mediaLog) => ({
+    compacted: await mediaLog.compact(opts),
+  }));
+}
@@ -0,0 +1,164 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { Response } from '@adobe/fetch';
+import { getAllEntries, parseRange } from './query.js';
+import MediaLog from './s3/MediaLog.js';
+import { error } from './utils.js';
+
+/**
+ * Length of a day in milliseconds.
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Default and maximum number of days analyzed, so a request never reads the whole
+ * media log of a project.
+ */
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 90;
+
+/**
+ * Returns the value of a field, considering the fields older producers sent instead.
+ *
+ * @param {object} entry log entry
+ * @param {string} field field name
+ * @param {string} fallback fallback field name
+ * @returns {string|undefined} value
+ */
+function get(entry, field, fallback) {
+  return entry[field] ?? entry[fallback];
+}
+
+/**
+ * Normalizes a filename to detect near-identical filenames: ignores case, the extension,
+ * copy markers like ` (1)`, `-copy` or `_2` and any punctuation or whitespace.
+ *
+ * @param {string} filename filename
+ * @returns {string} normalized filename
+ */
+export function normalizeFilename(filename) {
+  return filename
+    .toLowerCase()
+    .replace(/\.[a-z0-9]+$/, '')
+    .replace(/(\s*\(\d+\)|[\s_-]+(copy|\d+))+$/, '')
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Finds duplicate media in log entries: media hashes that arrived with several distinct
+ * filenames, users or source systems, and near-identical filenames that map to different
+ * media hashes.
+ *
+ * @param {object[]} entries log entries
+ * @returns {object} object containing `duplicates` and `similarFilenames`
+ */
+export function findDuplicates(entries) {
+  const media = new Map();
+  const names = new Map();
+  for (const entry of entries) {
+    const { mediaHash, originalFilename, user } = entry;
+    if (mediaHash) {
+      let item = media.get(mediaHash);
+      if (!item) {
+        item = {
+          mediaHash, filenames: new Set(), users: new Set(), sources: new Set(), events: 0,
+        };
+        media.set(mediaHash, item);
+      }
+      item.mimeType = get(entry, 'mimeType', 'contentType') ?? item.mimeType;
+      item.events += 1;
+      [
+        [item.filenames, originalFilename],
+        [item.users, user],
+        [item.sources, get(entry, 'source', 'contentSourceType')],
+      ].forEach(([set, value]) => value && set.add(value));
+
+      if (originalFilename) {
+        const name = normalizeFilename(originalFilename);
+        if (!names.has(name)) {
+          names.set(name, { filenames: new Set(), hashes: new Set() });
+        }
+        names.get(name).filenames.add(originalFilename);
+        names.get(name).hashes.add(mediaHash);
+      }
+    }
+  }
+
+  const sorted = (set) => [...set].sort();
+  const duplicated = [...media.values()]
+    .filter(({ filenames, users, sources }) => filenames.size > 1 || users.size > 1
+      || sources.size > 1)
+    .map((item) => ({
+      mediaHash: item.mediaHash,
+      mimeType: item.mimeType ?? '',
+      filenames: sorted(item.filenames),
+      users: sorted(item.users),
+      sources: sorted(item.sources),
+      events: item.events,
+    }));
+
+  const similarFilenames = [...names.entries()]
+    .filter(([, { hashes }]) => hashes.size > 1)
+    .map(([name, { filenames, hashes }]) => ({
+      name,
+      filenames: sorted(filenames),
+      mediaHashes: sorted(hashes),
+    }));
+
+  return { duplicates: duplicated, similarFilenames };
+}
+
+/**
+ * Returns the duplicate media in the media log of a project that lie in a time range.
+ *
+ * Supported parameters:
+ * - `from`: start of range, in milliseconds or ISO format, defaults to 30 days before `to`
+ * - `to`: end of range, in milliseconds or ISO format, defaults to now
+ *
+ * The range must not exceed 90 days.
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} contentBusId content bus ID
+ * @returns {Promise<Response>} response
+ */
+export default async function duplicates(context, contentBusId) {
+  const { data = {}, log } = context;
+
+  const range = parseRange(data, DEFAULT_DAYS * DAY);
+  if (range.error) {
+    return range.error;
+  }
+  const { from, to } = range;
+  if (to - from > MAX_DAYS * DAY) {
+    return error(400, `range must not exceed ${MAX_DAYS} days`);
+  }
+
+  const mediaLog = await MediaLog.create(context, { contentBusId });
+  try {
+    const entries = await getAllEntries(mediaLog, from, to);
+    const body = {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      ...findDuplicates(entries),
+    };
+    return new Response(JSON.stringify(body), {
+      headers: {
+        'content-type': 'application/json',
+      },
+    });
+  } catch (e) {
+    log.error(`Unable to find duplicates in media log of ${contentBusId}: ${e.message}`);
+    return error(500, 'error reading media log.');
+  } finally {
+    mediaLog.close();
+  }
+}
@@ -0,0 +1,162 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import crypto from 'crypto';
+import { rewriteExports } from './export.js';
+import { refreshReport } from './report.js';
+import EventMirror from './s3/EventMirror.js';
+import Inventory from './s3/Inventory.js';
+import RejectionLog from './s3/RejectionLog.js';
+import Rollups from './s3/Rollups.js';
+import { error, runJob } from './utils.js';
+
+/**
+ * Environment variable containing the key used to derive pseudonyms.
+ */
+const PSEUDONYM_KEY = 'HLX_MEDIA_LOG_PSEUDONYM_KEY';
+
+/**
+ * Modes of erasure: either remove the events of a user, or replace the user with
+ * a pseudonym.
+ */
+const MODES = ['remove', 'pseudonymize'];
+
+/**
+ * Returns the stable pseudonym of a user, i.e. a keyed hash of the lower case identifier,
+ * so that the same user gets the same pseudonym in all projects and across invocations.
+ *
+ * @param {string} user user identifier
+ * @param {string} key secret key
+ * @returns {string} pseudonym
+ */
+export function pseudonymize(user, key) {
+  const hash = crypto.createHmac('sha256', key).update(user.toLowerCase()).digest('hex');
+  return `anonymous-${hash.substring(0, 16)}`;
+}
+
+/**
+ * Erases a user from the rejection logs, which contain the rejected events in full, and
+ * the bodies of the messages that could not be parsed.
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @param {function(object): object|null} fn function returning the event to keep, or
+ * null to remove it
+ * @param {function(string): string|null} eraseText function returning the message body
+ * to keep, or null to remove it
+ * @returns {Promise<object[]>} daily logs touched
+ */
+async function eraseRejections(context, fn, eraseText) {
+  const rejectionLog = await RejectionLog.create(context);
+  return rejectionLog.rewrite((rejection) => {
+    const { body, event } = rejection;
+    if (typeof body === 'string') {
+      const result = eraseText(body);
+      if (result === body) {
+        return rejection;
+      }
+      return result !== null ? { ...rejection, body: result } : null;
+    }
+    if (!event || typeof event !== 'object') {
+      return rejection;
+    }
+    const result = fn(event);
+    if (result === event) {
+      return rejection;
+    }
+    return result ? { ...rejection, event: result } : null;
+  });
+}
+
+/**
+ * Erases a user from the events mirrored for Athena, if mirroring is enabled.
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @param {function(object): object|null} fn function returning the event to keep, or
+ * null to remove it
+ * @returns {Promise<string[]>} mirrored objects touched
+ */
+async function eraseMirror(context, fn) {
+  const mirror = await EventMirror.create(context, {});
+  return mirror ? mirror.rewrite(fn) : [];
+}
+
+/**
+ * Erases a user from the media logs of every project, including the aggregate logs of
+ * organizations, from the rollups, the inventories and reports, the stored exports, the
+ * rejection logs and the event mirror. Depending on `mode`, either removes the events of the user,
+ * or replaces the user in them with a stable pseudonym derived with the key in
+ * `HLX_MEDIA_LOG_PSEUDONYM_KEY`. Users are compared case insensitively. In the rollups,
+ * the user's counts are dropped or moved to the pseudonym; in the inventory, the user
+ * of an item is cleared or replaced, and a stored report is built again from it. Stored
+ * exports that mention the user are created again from the erased media log.
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @returns {Promise<Response>} a response containing the log files, rollups, number of
+ * inventory items and exports touched per project
+ */
+export default async function erase(context) {
+  const { data: { user, mode } = {}, env = {}, log } = context;
+  if (!user || typeof user !== 'string') {
+    return error(400, 'missing \'user\' parameter');
+  }
+  if (!MODES.includes(mode)) {
+    return error(400, `'mode' must be one of: ${MODES.join(', ')}`);
+  }
+  if (mode === 'pseudonymize' && !env[PSEUDONYM_KEY]) {
+    return error(400, `${PSEUDONYM_KEY} is required to pseudonymize users`);
+  }
+
+  const match = user.toLowerCase();
+  const replacement = mode === 'pseudonymize' ? pseudonymize(user, env[PSEUDONYM_KEY]) : null;
+  const fn = (entry) => {
+    if (typeof entry.user !== 'string' || entry.user.toLowerCase() !== match) {
+      return entry;
+    }
+    return replacement ? { ...entry, user: replacement } : null;
+  };
+  const eraseText = (text) => {
+    if (!text.toLowerCase().includes(match)) {
+      return text;
+    }
+    const pattern = new RegExp(user.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+    return replacement ? text.replace(pattern, replacement) : null;
+  };
+
+  try {
+    const rejections = await eraseRejections(context, fn, eraseText);
+    log.info(`Erased user from ${rejections.length} rejection logs`);
+  } catch (e) {
+    log.error(`Unable to erase user from rejection logs: ${e.message}`);
+    return error(500, 'error erasing user from rejection logs.');
+  }
+  try {
+    const mirrored = await eraseMirror(context, fn);
+    log.info(`Erased user from ${mirrored.length} mirrored objects`);
+  } catch (e) {
+    log.error(`Unable to erase user from event mirror: ${e.message}`);
+    return error(500, 'error erasing user from event mirror.');
+  }
+
+  const eraseUser = (u) => fn({ user: u })?.user ?? null;
+  return runJob(context, 'erase', async (mediaLog, contentBusId) => {
+    const files = await mediaLog.rewrite(fn);
+    const rollups = await Rollups.create(context, { contentBusId });
+    const inventory = await Inventory.create(context, { contentBusId });
+    const result = {
+      files,
+      rollups: await rollups.rewriteUsers(eraseUser),
+      inventory: await inventory.rewriteUsers(eraseUser),
+      exports: await rewriteExports(mediaLog, (text) => text.toLowerCase().includes(match)),
+    };
+    await refreshReport(context, contentBusId);
+    return result;
+  });
+}
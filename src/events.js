@@ -12,6 +12,11 @@
 import crypto from 'crypto';
 import { Response } from '@adobe/fetch';
 import { hsize, BatchedQueueClient } from '@adobe/helix-admin-support';
+import checkAlerts from './alerts.js';
+import { getOrgLogId } from './s3/MediaLog.js';
+import RejectionLog from './s3/RejectionLog.js';
+import { getConfig } from './utils.js';
+import { SCHEMA_ID, validate } from './validate.js';
 
 /**
  * Our service prefix used for SQS objects.
@@ -37,23 +42,25 @@ export function getOutputQueue(region, accountId, test) {
 }
 
 /**
- * Return the list of organizations that have root
- * org logging enabled.
+ * The dead-letter queue that contains the bundled messages that could not be processed.
+ *
+ * @type {string}
+ */
+export function getDeadLetterQueue(region, accountId, test) {
+  return `https://sqs.${region}.amazonaws.com/${accountId}/${SERVICE_PREFIX}${test ? '-test' : ''}-dlq.fifo`;
+}
+
+/**
+ * Return the mapping of content bus IDs to organizations that have root
+ * org logging enabled. `HLX_MEDIA_LOGGING_ORGS` contains either this
+ * mapping as JSON, or the S3 URL of an object containing it.
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @returns {Promise<object>} mapping of content bus ID to org
  */
-// function getLoggingOrgs(context) {
-//   const { env: { HLX_MEDIA_LOGGING_ORGS: json }, log } = context;
-//   if (json) {
-//     try {
-//       const orgs = JSON.parse(json);
-//       if (Array.isArray(orgs)) {
-//         return orgs;
-//       }
-//     } catch (e) {
-//       log.warn(`error evaluating ${json} for HLX_MEDIA_LOGGING_ORGS`, e);
-//     }
-//   }
-//   return [];
-// }
+async function getLoggingOrgs(context) {
+  return getConfig(context, 'HLX_MEDIA_LOGGING_ORGS');
+}
 
 /**
  * Add a single message to the updates for a project, given
@@ -72,10 +79,10 @@ function addMessage(message, key, projects) {
     // eslint-disable-next-line no-param-reassign
     projects[key] = project;
   }
-  // Remove contentBusId from the update since it's already at the message body level
-  // eslint-disable-next-line no-unused-vars
+  // Remove contentBusId from the update if it's the one at the message body level,
+  // org aggregate logs need to keep it to tell the projects apart
   const { contentBusId, ...update } = message;
-  project.updates.push(update);
+  project.updates.push(contentBusId === key ? update : message);
 }
 
 /**
@@ -87,7 +94,7 @@ function addMessage(message, key, projects) {
  */
 async function doRun(context) {
   const { runtime: { region, accountId }, log } = context;
-  // const loggingOrgs = getLoggingOrgs(context);
+  const loggingOrgs = await getLoggingOrgs(context);
   const test = !!process.env.HLX_DEV_SERVER_HOST;
 
   const client = new BatchedQueueClient({
@@ -100,8 +107,9 @@ async function doRun(context) {
   // the same message twice
   const msgs = await client.receive(30, 50, 1000);
 
-  // group the messages by project
+  // group the messages by project, collecting the ones that are invalid
   const projects = {};
+  const rejections = [];
   for (const msg of msgs) {
     try {
       const body = JSON.parse(msg.Body);
@@ -114,21 +122,39 @@ async function doRun(context) {
         message = body;
       }
 
-      const { contentBusId } = message;
-      if (contentBusId) {
-        addMessage(message, contentBusId, projects);
+      const error = validate(message);
+      if (error) {
+        log.warn(`message ${msg.MessageId} rejected: ${error}`);
+        rejections.push({
+          timestamp: Date.now(),
+          messageId: msg.MessageId,
+          schema: SCHEMA_ID,
+          error,
+          event: message,
+        });
       } else {
-        log.warn(`message ${msg.MessageId} missing contentBusId, skipping`);
-      }
+        const { contentBusId } = message;
+        addMessage(message, contentBusId, projects);
 
-      // if (loggingOrgs.includes(org)) {
-      //   addMessage(message, `${org}/*`, projects);
-      // }
+        const org = loggingOrgs[contentBusId];
+        if (org) {
+          addMessage(message, getOrgLogId(org), projects);
+        }
+      }
     } catch (e) {
-      log.warn(`error processing message ${msg.MessageId}: ${e.message}`);
+      log.warn(`message ${msg.MessageId} rejected: ${e.message}`);
+      rejections.push({
+        timestamp: Date.now(),
+        messageId: msg.MessageId,
+        error: `invalid JSON: ${e.message}`,
+        body: msg.Body,
+      });
     }
   }
 
+  // look for anomalies in the batches, before they're forwarded
+  await checkAlerts(context, Object.values(projects));
+
   // construct the payload for the FIFO messages. 1 per project
   const payloads = Object.values(projects).map((project) => {
     const { contentBusId } = project;
@@ -136,11 +162,18 @@ async function doRun(context) {
     log.info(`created batched message for ${contentBusId}, ${project.updates.length} updates, ${hsize(body.length)}`);
     return {
       MessageGroupId: contentBusId,
-      MessageDeduplicationId: crypto.randomUUID(), // probably don't need message-deduplication
+      // derived from the contents, so SQS drops a batch sent again within its deduplication
+      // interval, e.g. after input messages were received twice
+      MessageDeduplicationId: crypto.createHash('sha256').update(body).digest('hex'),
       MessageBody: body,
     };
   });
 
+  if (rejections.length) {
+    const rejectionLog = await RejectionLog.create(context);
+    await rejectionLog.append(rejections);
+  }
+
   await client.send(payloads);
   await client.delete(msgs);
 
@@ -0,0 +1,161 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { expireExports } from './export.js';
+import { refreshReport } from './report.js';
+import EventMirror from './s3/EventMirror.js';
+import Inventory from './s3/Inventory.js';
+import PurgeLog from './s3/PurgeLog.js';
+import RejectionLog from './s3/RejectionLog.js';
+import Rollups from './s3/Rollups.js';
+import { getConfig, runJob } from './utils.js';
+
+/**
+ * Environment variable containing the retention in days, as `default` and per
+ * content bus ID.
+ */
+const RETENTION_CONFIG = 'HLX_MEDIA_LOG_RETENTION';
+
+/**
+ * Key in the retention configuration for the rejection logs, which fall back to the
+ * `default` retention.
+ */
+const REJECTED = '.rejected';
+
+/**
+ * Key in the retention configuration for the events mirrored for Athena, which fall back
+ * to the `default` retention.
+ */
+const MIRROR = '.mirror';
+
+/**
+ * Length of a day in milliseconds.
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the retention in days that applies to a project.
+ *
+ * @param {object} config retention configuration
+ * @param {string} contentBusId content bus ID
+ * @returns {number|null} retention in days or null if the project is kept indefinitely
+ */
+export function getRetentionDays(config, contentBusId) {
+  const days = Number(config[contentBusId] ?? config.default);
+  return Number.isFinite(days) && days > 0 ? days : null;
+}
+
+/**
+ * Removes the rejection logs of the days past their retention, which contain the rejected
+ * events in full, and records the days purged in the purge log. Failing to do so is
+ * logged only.
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @param {object} config retention configuration
+ * @param {PurgeLog} purgeLog purge log
+ */
+async function expireRejections(context, config, purgeLog) {
+  const { log } = context;
+
+  const retentionDays = getRetentionDays(config, REJECTED);
+  if (!retentionDays) {
+    return;
+  }
+  try {
+    const now = Date.now();
+    const rejectionLog = await RejectionLog.create(context);
+    const days = await rejectionLog.expire(now - retentionDays * DAY);
+    if (days.length) {
+      await purgeLog.append([{
+        timestamp: now, prefix: REJECTED, retentionDays, days,
+      }]);
+    }
+  } catch (e) {
+    log.warn(`Unable to expire rejection logs: ${e.message}`);
+  }
+}
+
+/**
+ * Removes the days of the event mirror past their retention, if mirroring is enabled, and
+ * records the days purged in the purge log. Failing to do so is logged only.
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @param {object} config retention configuration
+ * @param {PurgeLog} purgeLog purge log
+ */
+async function expireMirror(context, config, purgeLog) {
+  const { log } = context;
+
+  const retentionDays = getRetentionDays(config, MIRROR);
+  const mirror = await EventMirror.create(context, {});
+  if (!retentionDays || !mirror) {
+    return;
+  }
+  try {
+    const now = Date.now();
+    const days = await mirror.expire(now - retentionDays * DAY);
+    if (days.length) {
+      await purgeLog.append([{
+        timestamp: now, prefix: MIRROR, retentionDays, days,
+      }]);
+    }
+  } catch (e) {
+    log.warn(`Unable to expire event mirror: ${e.message}`);
+  }
+}
+
+/**
+ * Removes the log files of every project whose events are all older than the retention
+ * configured for that project, and records the purged log files in the purge log. The
+ * rollups of the days past the retention, the stored exports whose range ended before it,
+ * the rejection logs and the event mirror are expired as well. Users of inventory items
+ * whose last event is past the retention are removed, and a stored report is built again
+ * without them.
+ *
+ * The retention is configured in `HLX_MEDIA_LOG_RETENTION` as a mapping containing a
+ * `default` and overrides per content bus ID, `.rejected` for the rejection logs or
+ * `.mirror` for the event mirror, in days. Projects without retention are left alone.
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @returns {Promise<Response>} a response containing the purged log files per project
+ */
+export default async function expire(context) {
+  const config = await getConfig(context, RETENTION_CONFIG);
+  const purgeLog = await PurgeLog.create(context);
+
+  await expireRejections(context, config, purgeLog);
+  await expireMirror(context, config, purgeLog);
+
+  return runJob(context, 'expire', async (mediaLog, contentBusId) => {
+    const retentionDays = getRetentionDays(config, contentBusId);
+    if (!retentionDays) {
+      return {
+        retentionDays, purged: [], rollups: [], exports: [], inventory: 0,
+      };
+    }
+    const now = Date.now();
+    const before = now - retentionDays * DAY;
+    const purged = await mediaLog.expire(before);
+    const rollups = await (await Rollups.create(context, { contentBusId })).expire(before);
+    const exports = await expireExports(mediaLog, before);
+    const inventory = await (await Inventory.create(context, { contentBusId }))
+      .expireUsers(before);
+    await refreshReport(context, contentBusId);
+    if (purged.length || rollups.length || exports.length) {
+      await purgeLog.append([{
+        timestamp: now, contentBusId, retentionDays, files: purged, rollups, exports,
+      }]);
+    }
+    return {
+      retentionDays, purged, rollups, exports, inventory,
+    };
+  });
+}
@@ -0,0 +1,375 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { pipeline, Readable } from 'stream';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import { Response } from '@adobe/fetch';
+import { parquetWriteBuffer } from 'hyparquet-writer';
+import { parseRange } from './query.js';
+import DateFormat from './s3/DateFormat.js';
+import MediaLog from './s3/MediaLog.js';
+import { COLUMNS, toCSVLine, toRow } from './sheet.js';
+import { error, runJob } from './utils.js';
+
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Folder in the project folder that contains the exports stored.
+ */
+const EXPORTS_FOLDER = '.exports';
+
+/**
+ * Number of entries read from the media log at once.
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Supported outputs of the export route.
+ */
+const OUTPUTS = ['stream', 'object'];
+
+/**
+ * Limits of exports returned in the response: the maximum size in bytes. The adapter
+ * buffers the response and Lambda rejects responses larger than 6MB, which a binary body
+ * encoded as base64 reaches at 4.5MB already.
+ */
+export const LIMITS = {
+  responseSize: 4 * 1024 * 1024,
+};
+
+/**
+ * Yields the entries of a media log in a time range, page by page, counting them.
+ *
+ * @param {MediaLog} mediaLog media log
+ * @param {object} params parsed parameters
+ * @param {object} stats object whose `count` is incremented for every entry
+ */
+async function* readPages(mediaLog, { from, to }, stats) {
+  let location;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const { entries, next } = await mediaLog.getEntries(from, to, { limit: PAGE_SIZE }, location);
+    // eslint-disable-next-line no-param-reassign
+    stats.count += entries.length;
+    yield entries;
+    location = next;
+  } while (location);
+}
+
+/**
+ * Encodes pages of entries as newline-delimited JSON.
+ *
+ * @param {AsyncIterable<object[]>} pages pages of entries
+ */
+async function* toNDJSON(pages) {
+  for await (const entries of pages) {
+    yield entries.map((entry) => `${JSON.stringify(entry)}\n`).join('');
+  }
+}
+
+/**
+ * Encodes pages of entries as CSV, with a header line and all columns, in their
+ * default order.
+ *
+ * @param {AsyncIterable<object[]>} pages pages of entries
+ */
+async function* toCSV(pages) {
+  yield toCSVLine(COLUMNS);
+  for await (const entries of pages) {
+    yield entries.map((entry) => toCSVLine(Object.values(toRow(entry, COLUMNS)))).join('');
+  }
+}
+
+/**
+ * Encodes pages of entries as Parquet, with all columns. Parquet stores the values
+ * column by column, so all entries are read before the file is written.
+ *
+ * @param {AsyncIterable<object[]>} pages pages of entries
+ */
+async function* toParquet(pages) {
+  const rows = [];
+  for await (const entries of pages) {
+    rows.push(...entries.map((entry) => toRow(entry, COLUMNS)));
+  }
+  const columnData = COLUMNS.map((name) => (name === 'timestamp' ? {
+    name, data: rows.map((row) => new Date(row.timestamp)), type: 'TIMESTAMP',
+  } : {
+    name, data: rows.map((row) => (row[name] === '' ? null : String(row[name]))), type: 'STRING',
+  }));
+  yield Buffer.from(parquetWriteBuffer({ columnData }));
+}
+
+/**
+ * Supported export formats.
+ */
+const FORMATS = {
+  ndjson: {
+    extension: 'ndjson.gz',
+    contentType: 'application/x-ndjson',
+    contentEncoding: 'gzip',
+    encode: toNDJSON,
+  },
+  csv: {
+    extension: 'csv',
+    contentType: 'text/csv',
+    encode: toCSV,
+  },
+  parquet: {
+    extension: 'parquet',
+    contentType: 'application/vnd.apache.parquet',
+    encode: toParquet,
+  },
+};
+
+/**
+ * Returns the time range of the previous day in UTC, the default range of the job.
+ *
+ * @returns {object} object containing start and end timestamp
+ */
+function previousDay() {
+  const now = new Date();
+  const to = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - 1;
+  return { from: to + 1 - 24 * 60 * 60 * 1000, to };
+}
+
+/**
+ * Parses the parameters of an export.
+ *
+ * @param {object} data request parameters
+ * @param {boolean} [job] whether the export runs as job, which defaults to the previous day
+ * @returns {object} parsed parameters or an object containing an `error` response
+ */
+function parseParams(data, job = false) {
+  const range = job && !data.from && !data.to ? previousDay() : parseRange(data);
+  if (range.error) {
+    return range;
+  }
+  const { format = 'ndjson' } = data;
+  if (!Object.hasOwn(FORMATS, format)) {
+    return { error: error(400, `unsupported format: ${format}`) };
+  }
+  return { ...range, format };
+}
+
+/**
+ * Returns a stream with the entries of a media log in a time range in the format
+ * requested.
+ *
+ * @param {MediaLog} mediaLog media log
+ * @param {object} params parsed parameters
+ * @param {object} stats object whose `count` is incremented for every entry
+ * @returns {Readable} stream
+ */
+function createExport(mediaLog, params, stats) {
+  const { encode, contentEncoding } = FORMATS[params.format];
+  const stream = Readable.from(encode(readPages(mediaLog, params, stats)));
+  if (contentEncoding !== 'gzip') {
+    return stream;
+  }
+  // errors are passed on to the gzip stream, which is returned to the caller
+  return pipeline(stream, zlib.createGzip(), () => {});
+}
+
+/**
+ * Reads a stream into a buffer, unless it exceeds a maximum size.
+ *
+ * @param {Readable} stream stream
+ * @param {number} maxSize maximum size in bytes
+ * @returns {Promise<Buffer|null>} contents, or null if the stream is larger
+ */
+async function readExport(stream, maxSize) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    const buffer = Buffer.from(chunk);
+    size += buffer.length;
+    if (size > maxSize) {
+      stream.destroy();
+      return null;
+    }
+    chunks.push(buffer);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Stores an export of the entries of a media log in a time range in the folder of its
+ * project, as `.exports/<from>_<to>.<extension>`.
+ *
+ * @param {MediaLog} mediaLog media log
+ * @param {object} params parsed parameters
+ * @returns {Promise<object>} object containing key, format and number of entries exported
+ */
+async function storeExport(mediaLog, params) {
+  const { from, to, format } = params;
+  const { extension, contentType, contentEncoding } = FORMATS[format];
+
+  const stats = { count: 0 };
+  const body = await new Response(createExport(mediaLog, params, stats), {}).buffer();
+  const range = `${DateFormat.format(new Date(from))}_${DateFormat.format(new Date(to))}`;
+  const key = `${mediaLog.contentBusId}/${EXPORTS_FOLDER}/${range}.${extension}`;
+  await mediaLog.storage.put(key, body, { contentType, contentEncoding });
+  return { key, format, count: stats.count };
+}
+
+/**
+ * Returns the exports stored in the folder of a project, along with the parameters they
+ * were created with. The range is taken from the name, whose times are formatted in
+ * seconds, so it extends to the end of the last second.
+ *
+ * @param {import('./storage/Storage.js').Storage} storage storage
+ * @param {string} contentBusId content bus ID
+ * @returns {Promise<object[]>} exports with name, key and parsed parameters
+ */
+async function listExports(storage, contentBusId) {
+  const prefix = `${contentBusId}/${EXPORTS_FOLDER}/`;
+  const { keys } = await storage.list(prefix);
+  return keys.map((key) => {
+    const name = key.substring(prefix.length);
+    const [, from, to, extension] = name.match(/^([\d-]{19})_([\d-]{19})\.(.+)$/) ?? [];
+    const format = Object.keys(FORMATS).find((f) => FORMATS[f].extension === extension);
+    return format && {
+      name,
+      key,
+      from: DateFormat.parse(from).getTime(),
+      to: DateFormat.parse(to).getTime() + 999,
+      format,
+    };
+  }).filter((exp) => !!exp);
+}
+
+/**
+ * Creates the exports stored in the folder of a project again from its media log, if
+ * they contain some text, e.g. after a user was erased from the media log. Only NDJSON
+ * exports are compressed, so the text is found in the others as they are.
+ *
+ * @param {MediaLog} mediaLog media log
+ * @param {function(string): boolean} contains function returning whether the contents
+ * of an export contain the text
+ * @returns {Promise<string[]>} names of the exports created again
+ */
+export async function rewriteExports(mediaLog, contains) {
+  const { contentBusId, storage } = mediaLog;
+
+  const rewritten = [];
+  for (const { name, key, ...params } of await listExports(storage, contentBusId)) {
+    // eslint-disable-next-line no-await-in-loop
+    const object = await storage.get(key);
+    const { contentEncoding } = FORMATS[params.format];
+    // eslint-disable-next-line no-await-in-loop
+    const body = contentEncoding === 'gzip' ? await gunzip(object.body) : object.body;
+    if (contains(body.toString())) {
+      // eslint-disable-next-line no-await-in-loop
+      await storeExport(mediaLog, params);
+      rewritten.push(name);
+    }
+  }
+  return rewritten;
+}
+
+/**
+ * Removes the exports stored in the folder of a project whose range ended before a
+ * cutoff time.
+ *
+ * @param {MediaLog} mediaLog media log
+ * @param {number} before cutoff time in milliseconds
+ * @returns {Promise<string[]>} names of the exports removed
+ */
+export async function expireExports(mediaLog, before) {
+  const { contentBusId, storage } = mediaLog;
+  const expired = (await listExports(storage, contentBusId)).filter(({ to }) => to < before);
+  for (const { key } of expired) {
+    // eslint-disable-next-line no-await-in-loop
+    await storage.delete(key);
+  }
+  return expired.map(({ name }) => name);
+}
+
+/**
+ * Exports the entries of every project in a time range into the folder of that
+ * project, as `.exports/<from>_<to>.<extension>`.
+ *
+ * Supported parameters:
+ * - `from`, `to`: time range, defaults to the previous day in UTC
+ * - `format`: `ndjson` (gzipped, the default), `csv` or `parquet`
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @returns {Promise<Response>} a response containing the export per project
+ */
+export async function writeExports(context) {
+  const { data = {} } = context;
+
+  const params = parseParams(data, true);
+  if (params.error) {
+    return params.error;
+  }
+  return runJob(context, 'export', (mediaLog) => storeExport(mediaLog, params));
+}
+
+/**
+ * Exports the entries in the media log of a project that lie in a time range.
+ *
+ * Supported parameters:
+ * - `from`: start of range, in milliseconds or ISO format, defaults to 24 hours before `to`
+ * - `to`: end of range, in milliseconds or ISO format, defaults to now
+ * - `format`: `ndjson` (gzipped, the default), `csv` or `parquet`
+ * - `output`: `stream` to return the export (the default), or `object` to store it in
+ *   the project folder and return its key. Exports larger than `LIMITS.responseSize` cannot
+ *   be returned and are rejected with `413`, they must be stored instead.
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} contentBusId content bus ID
+ * @returns {Promise<Response>} response
+ */
+export default async function exportLog(context, contentBusId) {
+  const { data = {}, log } = context;
+
+  const params = parseParams(data);
+  if (params.error) {
+    return params.error;
+  }
+  const { output = 'stream' } = data;
+  if (!OUTPUTS.includes(output)) {
+    return error(400, `'output' must be one of: ${OUTPUTS.join(', ')}`);
+  }
+
+  const mediaLog = await MediaLog.create(context, { contentBusId });
+  try {
+    if (output === 'object') {
+      const result = await storeExport(mediaLog, params);
+      return new Response(JSON.stringify(result), {
+        headers: {
+          'content-type': 'application/json',
+        },
+      });
+    }
+    const { extension, contentType, contentEncoding } = FORMATS[params.format];
+    const headers = {
+      'content-type': contentType,
+      'content-disposition': `attachment; filename="${contentBusId}.${extension}"`,
+    };
+    if (contentEncoding) {
+      headers['content-encoding'] = contentEncoding;
+    }
+    const stream = createExport(mediaLog, params, { count: 0 });
+    const body = await readExport(stream, LIMITS.responseSize);
+    if (!body) {
+      return error(413, `export exceeds ${LIMITS.responseSize} bytes, use 'output=object' instead`);
+    }
+    return new Response(body, { headers });
+  } catch (e) {
+    log.error(`Unable to export media log of ${contentBusId}: ${e.message}`);
+    return error(500, 'error exporting media log.');
+  } finally {
+    mediaLog.close();
+  }
+}
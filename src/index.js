@@ -14,8 +14,75 @@ import { helixStatus } from '@adobe/helix-status';
 import { Response } from '@adobe/fetch';
 import bodyData from '@adobe/helix-shared-body-data';
 // import secrets from '@adobe/helix-shared-secrets';
+import compact from './compact.js';
+import duplicates from './duplicates.js';
+import erase from './erase.js';
 import events from './events.js';
+import expire from './expire.js';
+import exportLog, { writeExports } from './export.js';
+import inventory from './inventory.js';
+import migrate from './migrate.js';
+import query from './query.js';
+import { referencesByHash, referencesByPath } from './references.js';
+import replay from './replay.js';
+import report, { writeReports } from './report.js';
+import stats from './stats.js';
+import tail from './tail.js';
 import trigger from './trigger.js';
+import verify from './verify.js';
+import deliveries from './webhooks.js';
+
+/**
+ * Jobs that can be run by passing their name in the `job` property of an AWS
+ * EventBridge payload. Without `job`, the input queue is polled.
+ */
+const JOBS = {
+  compact,
+  erase,
+  expire,
+  export: writeExports,
+  migrate,
+  replay,
+  report: writeReports,
+  verify,
+};
+
+/**
+ * Read routes, consisting of a pattern matched against the path suffix, where the first
+ * group is the content bus ID and further groups are passed as additional arguments, and
+ * the handler to invoke. The request is passed last. Routes reading the media log only
+ * also accept the ID of an organization's aggregate log, e.g. `@adobe`.
+ */
+const ROUTES = [
+  [/^\/([0-9a-z]+|@[0-9a-z-]+)\/log$/, query],
+  [/^\/([0-9a-z]+)\/inventory$/, inventory],
+  [/^\/([0-9a-z]+)\/report$/, report],
+  [/^\/([0-9a-z]+)\/duplicates$/, duplicates],
+  [/^\/([0-9a-z]+)\/stats$/, stats],
+  [/^\/([0-9a-z]+|@[0-9a-z-]+)\/export$/, exportLog],
+  [/^\/([0-9a-z]+|@[0-9a-z-]+)\/tail$/, tail],
+  [/^\/([0-9a-z]+)\/deliveries$/, deliveries],
+  [/^\/([0-9a-z]+)\/references\/hash\/([0-9a-z]+)$/, referencesByHash],
+  [/^\/([0-9a-z]+)\/references\/path(\/.*)$/, referencesByPath],
+];
+
+/**
+ * Finds the handler for a GET request.
+ *
+ * @param {import('@adobe/fetch').Request} request request
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @returns {Function|null} handler bound to the route parameters, or null
+ */
+function findRoute(request, context) {
+  const { suffix = '' } = context.pathInfo ?? {};
+  for (const [pattern, handler] of ROUTES) {
+    const match = suffix.match(pattern);
+    if (match) {
+      return () => handler(context, ...match.slice(1), request);
+    }
+  }
+  return null;
+}
 
 /**
  * This is the main function.
@@ -27,7 +94,23 @@ import trigger from './trigger.js';
 async function run(request, context) {
   const { source } = context.data;
   if (source === 'aws.events') {
-    return events(context);
+    const { job } = context.data;
+    if (!job) {
+      return events(context);
+    }
+    if (Object.hasOwn(JOBS, job)) {
+      return JOBS[job](context);
+    }
+    return new Response(`Unknown job: ${job}`, {
+      status: 400,
+    });
+  }
+
+  if (request.method === 'GET') {
+    const route = findRoute(request, context);
+    if (route) {
+      return route();
+    }
   }
 
   let { records: messages } = context;
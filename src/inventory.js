@@ -0,0 +1,68 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { Response } from '@adobe/fetch';
+import Inventory from './s3/Inventory.js';
+import { error } from './utils.js';
+
+/**
+ * Returns a function that matches a MIME type, given either exactly or as wildcard,
+ * e.g. `image/*`.
+ *
+ * @param {string} [pattern] MIME type or wildcard
+ * @returns {function(string): boolean} matcher
+ */
+function mimeTypeMatcher(pattern) {
+  if (!pattern) {
+    return () => true;
+  }
+  if (pattern.endsWith('/*')) {
+    const prefix = pattern.substring(0, pattern.length - 1);
+    return (mimeType) => mimeType.startsWith(prefix);
+  }
+  return (mimeType) => mimeType === pattern;
+}
+
+/**
+ * Returns the media inventory of a project, i.e. every media ever seen in the media log,
+ * with its MIME type, first and last seen time, the paths referencing it and whether it
+ * was deleted from all of them. Items are sorted by last seen time, most recent first.
+ *
+ * Supported parameters:
+ * - `mimeType`: only return media with that MIME type, or matching a wildcard like `image/*`
+ * - `path`: only return media referenced by a path starting with that prefix
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} contentBusId content bus ID
+ * @returns {Promise<Response>} response
+ */
+export default async function inventory(context, contentBusId) {
+  const { data = {}, log } = context;
+  const matchesMimeType = mimeTypeMatcher(data.mimeType);
+  const { path } = data;
+
+  try {
+    const media = await (await Inventory.create(context, { contentBusId })).get();
+    const items = Object.entries(media)
+      .map(([mediaHash, item]) => ({ mediaHash, ...item }))
+      .filter(({ mimeType }) => matchesMimeType(mimeType))
+      .filter(({ paths }) => !path || paths.some((p) => p.startsWith(path)))
+      .sort((i1, i2) => i2.lastSeen - i1.lastSeen);
+    return new Response(JSON.stringify({ media: items }), {
+      headers: {
+        'content-type': 'application/json',
+      },
+    });
+  } catch (e) {
+    log.error(`Unable to read inventory of ${contentBusId}: ${e.message}`);
+    return error(500, 'error reading inventory.');
+  }
+}
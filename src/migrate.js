@@ -0,0 +1,28 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { runJob } from './utils.js';
+
+/**
+ * Upgrades the index of every project to the JSON format, filling in the statistics
+ * of log files that were listed in a legacy index. Organization aggregate logs kept in
+ * their legacy folder `<org>/*` are moved to the folder listed as project.
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @returns {Promise<Response>} a response containing the upgrade result per project
+ */
+export default async function migrate(context) {
+  return runJob(context, 'migrate', async (mediaLog) => {
+    const moved = await mediaLog.moveLegacyOrgLog();
+    const result = await mediaLog.upgradeIndex();
+    return moved ? { ...result, moved } : result;
+  });
+}
@@ -0,0 +1,238 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { Response } from '@adobe/fetch';
+import MediaLog from './s3/MediaLog.js';
+import { parseColumns, toSheet } from './sheet.js';
+import { error } from './utils.js';
+
+/**
+ * Default number of entries to return.
+ */
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Maximum number of entries to return.
+ */
+const MAX_LIMIT = 1000;
+
+/**
+ * Maximum number of entries to read for a sheet, which contains their total count.
+ */
+const MAX_SHEET_ENTRIES = 10000;
+
+/**
+ * Default time range to return, if `from` is not specified.
+ */
+const DEFAULT_RANGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a date given either as milliseconds since epoch or in ISO format.
+ *
+ * @param {string} value value to parse
+ * @param {number} defaultValue value to return if `value` is empty
+ * @returns {number} timestamp in milliseconds or NaN if it is invalid
+ */
+function parseDate(value, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number.parseInt(value, 10);
+  }
+  return Date.parse(value);
+}
+
+/**
+ * Encodes a location in the log into an opaque token.
+ *
+ * @param {import('./s3/MediaLog.js').LogLocation} location location
+ * @returns {string} token
+ */
+export function encodeToken(location) {
+  return Buffer.from(JSON.stringify(location)).toString('base64url');
+}
+
+/**
+ * Decodes an opaque token into a location in the log, checking that it contains a
+ * timestamp and a list of event identities.
+ *
+ * @param {string} token token
+ * @returns {import('./s3/MediaLog.js').LogLocation|null} location or null if invalid
+ */
+export function decodeToken(token) {
+  try {
+    const location = JSON.parse(Buffer.from(token, 'base64url').toString());
+    const { timestamp, eventIds } = location ?? {};
+    if (!Number.isInteger(timestamp) || !Array.isArray(eventIds)
+      || eventIds.some((eventId) => typeof eventId !== 'string')) {
+      return null;
+    }
+    return { timestamp, eventIds };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses the query parameters common to all readers of the media log.
+ *
+ * @param {object} data request parameters
+ * @param {number} [defaultRange] length of the range if `from` is missing, in milliseconds
+ * @returns {object} parsed parameters or an object containing an `error` response
+ */
+export function parseRange(data, defaultRange = DEFAULT_RANGE) {
+  const to = parseDate(data.to, Date.now());
+  const from = parseDate(data.from, to - defaultRange);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: error(400, 'invalid \'from\' or \'to\' parameter') };
+  }
+  if (from > to) {
+    return { error: error(400, '\'from\' must not be after \'to\'') };
+  }
+  return { from, to };
+}
+
+/**
+ * Returns all entries in a time range.
+ *
+ * @param {MediaLog} mediaLog media log
+ * @param {number} from start timestamp
+ * @param {number} to end timestamp
+ * @returns {Promise<object[]>} entries
+ */
+export async function getAllEntries(mediaLog, from, to) {
+  const entries = [];
+  let location;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const result = await mediaLog.getEntries(from, to, { limit: MAX_LIMIT }, location);
+    entries.push(...result.entries);
+    location = result.next;
+  } while (location);
+  return entries;
+}
+
+/**
+ * Returns the entries in a time range as a page in the Helix sheet format. Reads no more
+ * than `MAX_SHEET_ENTRIES` entries, so the total is capped at that number.
+ *
+ * @param {MediaLog} mediaLog media log
+ * @param {object} params parsed parameters
+ * @returns {Promise<object>} response body
+ */
+async function querySheet(mediaLog, {
+  from, to, limit, offset, columns,
+}) {
+  const entries = [];
+  let location;
+  do {
+    const count = Math.min(MAX_LIMIT, MAX_SHEET_ENTRIES - entries.length);
+    // eslint-disable-next-line no-await-in-loop
+    const result = await mediaLog.getEntries(from, to, { limit: count }, location);
+    entries.push(...result.entries);
+    location = result.next;
+  } while (location && entries.length < MAX_SHEET_ENTRIES);
+  return toSheet(entries, { offset, limit, columns });
+}
+
+/**
+ * Returns the entries in a time range, along with a token to continue from.
+ *
+ * @param {MediaLog} mediaLog media log
+ * @param {object} params parsed parameters
+ * @returns {Promise<object>} response body
+ */
+async function queryEntries(mediaLog, {
+  from, to, limit, location,
+}) {
+  const { entries, next } = await mediaLog.getEntries(from, to, { limit }, location);
+  const body = {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    entries,
+  };
+  if (next) {
+    body.nextToken = encodeToken(next);
+  }
+  return body;
+}
+
+/**
+ * Returns the entries in the media log of a project that lie in a time range.
+ *
+ * Supported parameters:
+ * - `from`: start of range, in milliseconds or ISO format, defaults to 24 hours before `to`
+ * - `to`: end of range, in milliseconds or ISO format, defaults to now
+ * - `limit`: maximum number of entries to return, defaults to 100
+ * - `nextToken`: continuation token returned by a previous request
+ * - `format`: `sheet` to return entries in the Helix sheet format
+ * - `offset`: index of first entry to return, only used with `format=sheet`, where `offset`
+ *   and `limit` together must not exceed `MAX_SHEET_ENTRIES`
+ * - `columns`: comma separated list of columns to return, only used with `format=sheet`
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} contentBusId content bus ID
+ * @returns {Promise<Response>} response
+ */
+export default async function query(context, contentBusId) {
+  const { data = {}, log } = context;
+
+  const range = parseRange(data);
+  if (range.error) {
+    return range.error;
+  }
+  const { from, to } = range;
+
+  const limit = data.limit ? Number.parseInt(data.limit, 10) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return error(400, `'limit' must be a number between 1 and ${MAX_LIMIT}`);
+  }
+
+  const params = { from, to, limit };
+  if (data.format === 'sheet') {
+    params.offset = data.offset ? Number.parseInt(data.offset, 10) : 0;
+    if (!Number.isInteger(params.offset) || params.offset < 0) {
+      return error(400, '\'offset\' must be a non-negative number');
+    }
+    if (params.offset + limit > MAX_SHEET_ENTRIES) {
+      return error(400, `'offset' and 'limit' must not exceed ${MAX_SHEET_ENTRIES} entries`);
+    }
+    params.columns = parseColumns(data.columns);
+    if (!params.columns) {
+      return error(400, 'invalid \'columns\' parameter');
+    }
+  } else if (data.format && data.format !== 'json') {
+    return error(400, `unsupported format: ${data.format}`);
+  } else if (data.nextToken) {
+    params.location = decodeToken(data.nextToken);
+    if (!params.location) {
+      return error(400, 'invalid \'nextToken\' parameter');
+    }
+  }
+
+  const mediaLog = await MediaLog.create(context, { contentBusId });
+  try {
+    const body = data.format === 'sheet'
+      ? await querySheet(mediaLog, params)
+      : await queryEntries(mediaLog, params);
+    return new Response(JSON.stringify(body), {
+      headers: {
+        'content-type': 'application/json',
+      },
+    });
+  } catch (e) {
+    log.error(`Unable to read media log of ${contentBusId}: ${e.message}`);
+    return error(500, 'error reading media log.');
+  } finally {
+    mediaLog.close();
+  }
+}
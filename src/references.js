@@ -0,0 +1,66 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { Response } from '@adobe/fetch';
+import References from './s3/References.js';
+import { error } from './utils.js';
+
+/**
+ * Returns a JSON response.
+ *
+ * @param {object} body response body
+ * @returns {Response} response
+ */
+function json(body) {
+  return new Response(JSON.stringify(body), {
+    headers: {
+      'content-type': 'application/json',
+    },
+  });
+}
+
+/**
+ * Returns the paths that reference a media in a project.
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} contentBusId content bus ID
+ * @param {string} mediaHash media hash
+ * @returns {Promise<Response>} response
+ */
+export async function referencesByHash(context, contentBusId, mediaHash) {
+  const { log } = context;
+  try {
+    const references = await References.create(context, { contentBusId });
+    return json({ mediaHash, paths: await references.getPaths(mediaHash) });
+  } catch (e) {
+    log.error(`Unable to read references of ${contentBusId}: ${e.message}`);
+    return error(500, 'error reading references.');
+  }
+}
+
+/**
+ * Returns the media referenced by a path in a project.
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} contentBusId content bus ID
+ * @param {string} path path, starting with a slash
+ * @returns {Promise<Response>} response
+ */
+export async function referencesByPath(context, contentBusId, path) {
+  const { log } = context;
+  try {
+    const references = await References.create(context, { contentBusId });
+    return json({ path, mediaHashes: await references.getMediaHashes(path) });
+  } catch (e) {
+    log.error(`Unable to read references of ${contentBusId}: ${e.message}`);
+    return error(500, 'error reading references.');
+  }
+}
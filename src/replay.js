@@ -0,0 +1,143 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { ChangeMessageVisibilityBatchCommand } from '@aws-sdk/client-sqs';
+import { Response } from '@adobe/fetch';
+import { BatchedQueueClient } from '@adobe/helix-admin-support';
+import { getDeadLetterQueue, getOutputQueue } from './events.js';
+import { processRecords } from './trigger.js';
+import { error } from './utils.js';
+
+/**
+ * Default and maximum number of batches replayed per invocation. Batches are processed one
+ * after the other, so this keeps an invocation within the timeout of the Lambda function.
+ */
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Summarizes the batches in the dead-letter queue by project.
+ *
+ * @param {import("@aws-sdk/client-sqs").Message[]} msgs messages
+ * @returns {object} summary, keyed by content bus ID
+ */
+function summarize(msgs) {
+  const projects = {};
+  for (const { Body } of msgs) {
+    let body = {};
+    try {
+      body = JSON.parse(Body);
+    } catch {
+      // count as unknown project
+    }
+    const { contentBusId = '(unknown)', updates = [], swapS3Url } = body;
+    let project = projects[contentBusId];
+    if (!project) {
+      project = { batches: 0, updates: 0, swapped: 0 };
+      projects[contentBusId] = project;
+    }
+    project.batches += 1;
+    project.updates += updates.length;
+    if (swapS3Url) {
+      project.swapped += 1;
+    }
+  }
+  return projects;
+}
+
+/**
+ * Makes messages received visible in the queue again, right away.
+ *
+ * @param {BatchedQueueClient} client queue client
+ * @param {import("@aws-sdk/client-sqs").Message[]} msgs messages
+ */
+async function release(client, msgs) {
+  for (let i = 0; i < msgs.length; i += 10) {
+    // eslint-disable-next-line no-await-in-loop
+    await client.sqs.send(new ChangeMessageVisibilityBatchCommand({
+      QueueUrl: client.inQueue,
+      Entries: msgs.slice(i, i + 10).map(({ ReceiptHandle }, idx) => ({
+        Id: `msg${idx}`,
+        ReceiptHandle,
+        VisibilityTimeout: 0,
+      })),
+    }));
+  }
+}
+
+/**
+ * Drains the dead-letter queue and feeds its batches back through the same processing
+ * as the SQS trigger. Batches that fail again remain in the dead-letter queue. In dry-run
+ * mode, only returns a summary and makes all batches visible in the queue again.
+ *
+ * Supported parameters:
+ * - `dryRun`: only return a summary of the batches
+ * - `limit`: maximum number of batches to receive, defaults to 50; if reached, `more` is
+ *   set in the response, and the job should be invoked again
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @returns {Promise<Response>} a response containing the summary
+ */
+export default async function replay(context) {
+  const {
+    runtime: { region, accountId }, data: { dryRun: dryRunParam, limit: limitParam } = {}, log,
+  } = context;
+  const dryRun = dryRunParam === true || dryRunParam === 'true';
+  const limit = limitParam ? Number(limitParam) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return error(400, `'limit' must be a number between 1 and ${MAX_LIMIT}`);
+  }
+  const test = !!process.env.HLX_DEV_SERVER_HOST;
+
+  try {
+    const client = new BatchedQueueClient({
+      log,
+      inQueue: getDeadLetterQueue(region, accountId, test),
+      outQueue: getOutputQueue(region, accountId, test),
+    });
+
+    const msgs = await client.receive(10, 30, limit);
+    const result = {
+      dryRun,
+      batches: msgs.length,
+      more: msgs.length === limit,
+      projects: summarize(msgs),
+    };
+
+    if (dryRun) {
+      await release(client, msgs);
+    } else {
+      const { batchItemFailures } = await processRecords(context, msgs.map((msg) => ({
+        messageId: msg.MessageId,
+        body: msg.Body,
+      })));
+      const failed = new Set(batchItemFailures.map(({ itemIdentifier }) => itemIdentifier));
+      await client.delete(msgs.filter(({ MessageId }) => !failed.has(MessageId)));
+
+      result.failures = [...failed];
+      log.info(`Replayed ${msgs.length - failed.size} of ${msgs.length} batches from dead-letter queue.`);
+    }
+
+    return new Response(JSON.stringify(result), {
+      headers: {
+        'content-type': 'application/json',
+      },
+    });
+  } catch (e) {
+    log.error(`An error occurred while replaying the dead-letter queue: ${e}`);
+    return new Response('', {
+      status: 500,
+      headers: {
+        'x-error': 'error replaying dead-letter queue.',
+      },
+    });
+  }
+}
@@ -0,0 +1,208 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { Response } from '@adobe/fetch';
+import Inventory from './s3/Inventory.js';
+import MediaLog, { isOrgLog } from './s3/MediaLog.js';
+import { toCSV } from './sheet.js';
+import { error, runJob } from './utils.js';
+
+/**
+ * Default number of days after which media that is no longer referenced is reported.
+ */
+const DEFAULT_DAYS = 90;
+
+/**
+ * Columns of the report in CSV format.
+ */
+const CSV_COLUMNS = ['report', 'mediaHash', 'mimeType', 'originalFilename', 'user', 'lastReferenced'];
+
+/**
+ * @typedef ReportItem
+ * @property {string} mediaHash media hash
+ * @property {string} mimeType MIME type
+ * @property {string} originalFilename original filename in the last event
+ * @property {string} user user in the last event
+ * @property {string} lastReferenced time of the last `ingest` or `reuse` in ISO format
+ *
+ * @typedef Report
+ * @property {string} generated time the report was generated in ISO format
+ * @property {number} days number of days after which media is reported as unused
+ * @property {ReportItem[]} orphaned media that was ingested and has no referencing path left
+ * @property {ReportItem[]} unused media that was not referenced for `days` days
+ */
+
+/**
+ * Parses the number of days parameter.
+ *
+ * @param {string} [value] value to parse
+ * @returns {number|null} number of days or null if invalid
+ */
+function parseDays(value) {
+  if (value === undefined || value === '') {
+    return DEFAULT_DAYS;
+  }
+  const days = Number(value);
+  return Number.isInteger(days) && days > 0 ? days : null;
+}
+
+/**
+ * Builds the report of orphaned and unused media from the inventory of a project.
+ *
+ * @param {Inventory} inventory inventory
+ * @param {number} days number of days after which media is reported as unused
+ * @param {number} [now] current time in milliseconds
+ * @returns {Promise<Report>} report
+ */
+export async function buildReport(inventory, days, now = Date.now()) {
+  const items = Object.entries(await inventory.get())
+    .map(([mediaHash, item]) => ({ mediaHash, ...item }));
+
+  const toReportItem = ({
+    mediaHash, mimeType, originalFilename, user, lastReferenced,
+  }) => ({
+    mediaHash,
+    mimeType,
+    originalFilename,
+    user,
+    lastReferenced: lastReferenced ? new Date(lastReferenced).toISOString() : '',
+  });
+  const cutoff = now - days * 24 * 60 * 60 * 1000;
+  return {
+    generated: new Date(now).toISOString(),
+    days,
+    orphaned: items.filter((item) => item.ingested && !item.paths.length).map(toReportItem),
+    unused: items.filter((item) => item.lastReferenced < cutoff).map(toReportItem),
+  };
+}
+
+/**
+ * Returns a report in CSV format, with one line per item and the list it belongs to
+ * in the `report` column.
+ *
+ * @param {Report} report report
+ * @returns {string} CSV
+ */
+function reportToCSV({ orphaned, unused }) {
+  return toCSV([
+    ...orphaned.map((item) => ({ report: 'orphaned', ...item })),
+    ...unused.map((item) => ({ report: 'unused', ...item })),
+  ], CSV_COLUMNS);
+}
+
+/**
+ * Returns the report of orphaned and unused media of a project: media that was ingested
+ * and is no longer referenced by any path, and media whose last `ingest` or `reuse`
+ * is older than a number of days.
+ *
+ * Supported parameters:
+ * - `days`: number of days after which media is reported as unused, defaults to 90
+ * - `format`: `csv` to return the report in CSV format
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} contentBusId content bus ID
+ * @returns {Promise<Response>} response
+ */
+export default async function report(context, contentBusId) {
+  const { data = {}, log } = context;
+
+  const days = parseDays(data.days);
+  if (!days) {
+    return error(400, '\'days\' must be a positive number');
+  }
+  if (data.format && data.format !== 'json' && data.format !== 'csv') {
+    return error(400, `unsupported format: ${data.format}`);
+  }
+
+  try {
+    const result = await buildReport(await Inventory.create(context, { contentBusId }), days);
+    if (data.format === 'csv') {
+      return new Response(reportToCSV(result), {
+        headers: {
+          'content-type': 'text/csv',
+        },
+      });
+    }
+    return new Response(JSON.stringify(result), {
+      headers: {
+        'content-type': 'application/json',
+      },
+    });
+  } catch (e) {
+    log.error(`Unable to build report of ${contentBusId}: ${e.message}`);
+    return error(500, 'error building report.');
+  }
+}
+
+/**
+ * Stores the report of a project in its folder, as `.report.json` and `.report.csv`.
+ *
+ * @param {import('./storage/Storage.js').Storage} storage storage
+ * @param {string} contentBusId content bus ID
+ * @param {Report} result report
+ */
+async function storeReport(storage, contentBusId, result) {
+  await storage.put(`${contentBusId}/.report.json`, JSON.stringify(result), {
+    contentType: 'application/json',
+  });
+  await storage.put(`${contentBusId}/.report.csv`, reportToCSV(result), {
+    contentType: 'text/csv',
+  });
+}
+
+/**
+ * Builds the report stored in the folder of a project again, for the same number of days,
+ * so it reflects users erased or expired from the inventory.
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @param {string} contentBusId content bus ID
+ * @returns {Promise<boolean>} whether there was a report to build again
+ */
+export async function refreshReport(context, contentBusId) {
+  const storage = await MediaLog.createStorage(context);
+  const stored = await storage.get(`${contentBusId}/.report.json`);
+  if (!stored) {
+    return false;
+  }
+  const { days } = JSON.parse(stored.body.toString());
+  const inventory = await Inventory.create(context, { contentBusId });
+  await storeReport(storage, contentBusId, await buildReport(inventory, days));
+  return true;
+}
+
+/**
+ * Writes the report of orphaned and unused media of every project into its folder, as
+ * `.report.json` and `.report.csv`. The number of days after which media is reported
+ * as unused is given in `days`. Organization aggregate logs have no inventory, so they
+ * are skipped.
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @returns {Promise<Response>} a response containing the number of media reported per project
+ */
+export async function writeReports(context) {
+  const { data = {} } = context;
+
+  const days = parseDays(data.days);
+  if (!days) {
+    return error(400, '\'days\' must be a positive number');
+  }
+
+  const storage = await MediaLog.createStorage(context);
+  return runJob(context, 'report', async (_, contentBusId) => {
+    if (isOrgLog(contentBusId)) {
+      return { orphaned: 0, unused: 0 };
+    }
+    const inventory = await Inventory.create(context, { contentBusId });
+    const result = await buildReport(inventory, days);
+    await storeReport(storage, contentBusId, result);
+    return { orphaned: result.orphaned.length, unused: result.unused.length };
+  });
+}
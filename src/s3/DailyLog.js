@@ -0,0 +1,135 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import DateFormat from './DateFormat.js';
+import { readJSON, updateJSON } from './utils.js';
+
+/**
+ * Length of a day in milliseconds.
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Log of records kept in one gzipped JSON object per day, in a folder of the storage
+ * the media log is kept in.
+ */
+export default class DailyLog {
+  /**
+   * @param {object} opts options
+   * @param {import('../storage/Storage.js').Storage} opts.storage storage
+   * @param {object} opts.log logger
+   * @param {string} opts.prefix folder in the storage that contains the daily logs
+   * @param {string} opts.name name of the records, used in log messages
+   */
+  constructor(opts) {
+    this.storage = opts.storage;
+    this.log = opts.log;
+    this.prefix = opts.prefix;
+    this.name = opts.name;
+  }
+
+  /**
+   * Appends records to the daily log of the current day.
+   *
+   * @param {object[]} records records
+   * @returns {Promise<string>} key of the daily log
+   */
+  async append(records) {
+    const { log, name, storage } = this;
+    const key = `${this.prefix}/${DateFormat.format(new Date()).substring(0, 10)}.gz`;
+
+    await updateJSON(storage, key, (contents) => [...contents, ...records], { log, initial: [] });
+    log.info(`Appended ${records.length} ${name} to ${key}`);
+    return key;
+  }
+
+  /**
+   * Returns the days that have a daily log.
+   *
+   * @returns {Promise<string[]>} days in `YYYY-MM-DD` format, in ascending order
+   */
+  async #listDays() {
+    const { prefix, storage } = this;
+
+    const { keys } = await storage.list(`${prefix}/`);
+    return keys
+      .map((key) => key.substring(prefix.length + 1).match(/^(\d{4}-\d{2}-\d{2})\.gz$/)?.[1])
+      .filter((day) => !!day)
+      .sort();
+  }
+
+  /**
+   * Rewrites the records of every daily log with a function invoked for each record,
+   * which returns either the record, a modified copy of it, or null to remove it. Only
+   * daily logs containing records that are changed or removed are stored.
+   *
+   * @param {function(object): object|null} fn function returning the record to keep, or
+   * null to remove it
+   * @returns {Promise<object[]>} daily logs touched, each containing its day and the
+   * number of records changed and removed
+   */
+  async rewrite(fn) {
+    const { log, prefix, storage } = this;
+
+    const touched = [];
+    for (const day of await this.#listDays()) {
+      let changed;
+      let removed;
+      // eslint-disable-next-line no-await-in-loop
+      await updateJSON(storage, `${prefix}/${day}.gz`, (contents) => {
+        const rewritten = contents.map(fn);
+        changed = rewritten.filter((record, i) => record && record !== contents[i]).length;
+        removed = rewritten.filter((record) => !record).length;
+        return changed || removed ? rewritten.filter((record) => !!record) : null;
+      }, { log, initial: [] });
+      if (changed || removed) {
+        touched.push({ day, changed, removed });
+      }
+    }
+    return touched;
+  }
+
+  /**
+   * Removes the daily logs of the days that ended before a cutoff time.
+   *
+   * @param {number} before cutoff time in milliseconds
+   * @returns {Promise<string[]>} days removed, in `YYYY-MM-DD` format
+   */
+  async expire(before) {
+    const {
+      log, name, prefix, storage,
+    } = this;
+
+    const days = (await this.#listDays())
+      .filter((day) => DateFormat.parse(`${day}-00-00-00`).getTime() + DAY <= before);
+    for (const day of days) {
+      // eslint-disable-next-line no-await-in-loop
+      await storage.delete(`${prefix}/${day}.gz`);
+    }
+    if (days.length) {
+      log.info(`Expired ${days.length} daily logs of ${name} in ${prefix}`);
+    }
+    return days;
+  }
+
+  /**
+   * Returns the records in the daily log of a day.
+   *
+   * @param {string} day day in `YYYY-MM-DD` format
+   * @returns {Promise<object[]>} records, empty if there were none that day
+   */
+  async get(day) {
+    const { storage } = this;
+    const dailyLog = await readJSON(storage, `${this.prefix}/${day}.gz`);
+    return dailyLog?.contents ?? [];
+  }
+}
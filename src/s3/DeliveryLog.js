@@ -0,0 +1,59 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import DailyLog from './DailyLog.js';
+import MediaLog from './MediaLog.js';
+
+/**
+ * Folder in the project folder that contains the delivery logs, one per day.
+ */
+const DELIVERIES_FOLDER = '.deliveries';
+
+/**
+ * @typedef DeliveryAttempt
+ * @property {number} timestamp time of the attempt in milliseconds
+ * @property {string} deliveryId ID of the delivery, shared by all its attempts
+ * @property {string} webhook ID of the webhook
+ * @property {string} url URL delivered to
+ * @property {number} attempt number of the attempt, starting with 1
+ * @property {number} events number of media events delivered
+ * @property {number} [status] HTTP status returned, missing if there was no response
+ * @property {string} [error] error message, missing if the attempt succeeded
+ * @property {number} duration duration of the attempt in milliseconds
+ */
+
+/**
+ * Log of the attempts to deliver media events to the webhooks of a project.
+ */
+export default class DeliveryLog extends DailyLog {
+  constructor(opts) {
+    super({
+      ...opts,
+      prefix: `${opts.contentBusId}/${DELIVERIES_FOLDER}`,
+      name: 'webhook delivery attempts',
+    });
+  }
+
+  /**
+   * Creates the delivery log of a project
+   *
+   * @param {import('@adobe/helix-universal').UniversalContext} context context
+   * @param {object} opts options
+   * @param {string} opts.contentBusId content bus ID
+   * @returns {Promise<DeliveryLog>} delivery log
+   */
+  static async create(context, opts) {
+    const { log } = context;
+    const { contentBusId } = opts;
+    const storage = await MediaLog.createStorage(context);
+    return new DeliveryLog({ storage, contentBusId, log });
+  }
+}
@@ -0,0 +1,210 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import crypto from 'crypto';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import S3Storage from '../storage/S3Storage.js';
+import DateFormat from './DateFormat.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Length of a day in milliseconds.
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Environment variable containing the bucket to mirror events to.
+ */
+const MIRROR_BUCKET = 'HLX_MEDIA_LOG_MIRROR_BUCKET';
+
+/**
+ * Prefix of the mirrored events in the bucket, which is also the location of the table
+ * defined in `src/schemas/media-events.athena.sql`.
+ */
+export const MIRROR_PREFIX = 'events';
+
+/**
+ * Converts a media event into a record of the mirror, where the fields sent by older
+ * producers are replaced by their current names.
+ *
+ * @param {object} update media event
+ * @returns {object} record
+ */
+function toRecord({ contentType, contentSourceType, ...update }) {
+  return {
+    ...update,
+    mimeType: update.mimeType ?? contentType,
+    source: update.source ?? contentSourceType,
+  };
+}
+
+/**
+ * Mirror of the media events of a project, as gzipped newline-delimited JSON in a
+ * partitioned layout that Athena and Glue can read:
+ * `events/dt=YYYY-MM-DD/hour=HH/cbid=<contentBusId>/<batchId>.ndjson.gz`
+ *
+ * Rewriting and expiring apply to the mirrored events of all projects.
+ */
+export default class EventMirror {
+  constructor(opts) {
+    this.storage = opts.storage;
+    this.contentBusId = opts.contentBusId;
+    this.log = opts.log;
+  }
+
+  /**
+   * Creates the mirror of a project, if a bucket is configured in
+   * `HLX_MEDIA_LOG_MIRROR_BUCKET`.
+   *
+   * @param {import('@adobe/helix-universal').UniversalContext} context context
+   * @param {object} opts options
+   * @param {string} opts.contentBusId content bus ID
+   * @returns {Promise<EventMirror|null>} mirror or null if mirroring is disabled
+   */
+  static async create(context, opts) {
+    const { log, env = {} } = context;
+    const { contentBusId } = opts;
+    const bucket = env[MIRROR_BUCKET];
+    if (!bucket) {
+      return null;
+    }
+    return new EventMirror({ storage: new S3Storage({ bucket }), contentBusId, log });
+  }
+
+  /**
+   * Writes a batch of media events to the partitions of the hours they occurred. The
+   * objects are named after a hash of the batch, so writing the same batch again
+   * overwrites them. Callers only pass the events just appended to the media log, so an
+   * event that is redelivered in another batch is not mirrored again.
+   *
+   * @param {object[]} updates media events
+   * @returns {Promise<string[]>} keys of the objects written
+   */
+  async write(updates) {
+    const { contentBusId, log, storage } = this;
+    const batchId = crypto.createHash('sha256')
+      .update(JSON.stringify(updates))
+      .digest('hex')
+      .substring(0, 16);
+
+    const partitions = new Map();
+    updates.forEach((update) => {
+      const date = DateFormat.format(new Date(update.timestamp));
+      const partition = `dt=${date.substring(0, 10)}/hour=${date.substring(11, 13)}`;
+      if (!partitions.has(partition)) {
+        partitions.set(partition, []);
+      }
+      partitions.get(partition).push(`${JSON.stringify(toRecord(update))}\n`);
+    });
+
+    const keys = [];
+    for (const [partition, lines] of partitions) {
+      const key = `${MIRROR_PREFIX}/${partition}/cbid=${contentBusId}/${batchId}.ndjson.gz`;
+      // eslint-disable-next-line no-await-in-loop
+      await storage.put(key, await gzip(lines.join('')), {
+        contentType: 'application/x-ndjson',
+        contentEncoding: 'gzip',
+      });
+      keys.push(key);
+    }
+    log.info(`Mirrored ${updates.length} media events of ${contentBusId} to ${keys.length} partitions`);
+    return keys;
+  }
+
+  /**
+   * Returns the keys of all objects below a prefix, descending into its folders.
+   *
+   * @param {string} prefix prefix ending with `/`
+   * @returns {Promise<string[]>} keys
+   */
+  async #listAll(prefix) {
+    const { keys, folders } = await this.storage.list(prefix);
+    for (const folder of folders) {
+      // eslint-disable-next-line no-await-in-loop
+      keys.push(...await this.#listAll(folder));
+    }
+    return keys;
+  }
+
+  /**
+   * Rewrites the records of all projects in the mirror with a function invoked for each
+   * record, which returns either the record, a modified copy of it, or null to remove it.
+   * Only objects containing records that are changed or removed are stored again, or
+   * deleted if no record remains.
+   *
+   * @param {function(object): object|null} fn function returning the record to keep, or
+   * null to remove it
+   * @returns {Promise<string[]>} keys of the objects touched
+   */
+  async rewrite(fn) {
+    const { log, storage } = this;
+
+    const touched = [];
+    for (const key of await this.#listAll(`${MIRROR_PREFIX}/`)) {
+      // eslint-disable-next-line no-await-in-loop
+      const { body } = await storage.get(key) ?? {};
+      if (body) {
+        // eslint-disable-next-line no-await-in-loop
+        const records = (await gunzip(body)).toString().split('\n')
+          .filter((line) => !!line)
+          .map((line) => JSON.parse(line));
+        const rewritten = records.map(fn);
+        if (rewritten.some((record, i) => record !== records[i])) {
+          const lines = rewritten.filter((record) => !!record)
+            .map((record) => `${JSON.stringify(record)}\n`);
+          if (lines.length) {
+            // eslint-disable-next-line no-await-in-loop
+            await storage.put(key, await gzip(lines.join('')), {
+              contentType: 'application/x-ndjson',
+              contentEncoding: 'gzip',
+            });
+          } else {
+            // eslint-disable-next-line no-await-in-loop
+            await storage.delete(key);
+          }
+          touched.push(key);
+        }
+      }
+    }
+    log.info(`Rewrote ${touched.length} mirrored objects`);
+    return touched;
+  }
+
+  /**
+   * Removes the partitions of all projects in the mirror of the days that ended before a
+   * cutoff time.
+   *
+   * @param {number} before cutoff time in milliseconds
+   * @returns {Promise<string[]>} days removed, in `YYYY-MM-DD` format
+   */
+  async expire(before) {
+    const { log, storage } = this;
+
+    const { folders } = await storage.list(`${MIRROR_PREFIX}/`);
+    const days = folders
+      .map((folder) => folder.match(/\/dt=(\d{4}-\d{2}-\d{2})\/$/)?.[1])
+      .filter((day) => day && DateFormat.parse(`${day}-00-00-00`).getTime() + DAY <= before);
+    for (const day of days) {
+      // eslint-disable-next-line no-await-in-loop
+      for (const key of await this.#listAll(`${MIRROR_PREFIX}/dt=${day}/`)) {
+        // eslint-disable-next-line no-await-in-loop
+        await storage.delete(key);
+      }
+    }
+    if (days.length) {
+      log.info(`Expired ${days.length} days of mirrored events`);
+    }
+    return days;
+  }
+}
@@ -0,0 +1,205 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import MediaLog from './MediaLog.js';
+import {
+  isOutdated, lastEventTime, readJSON, recordEventTime, updateJSON,
+} from './utils.js';
+
+/**
+ * Inventory file in project folder, a gzipped JSON object.
+ */
+const INVENTORY_FILE = '.inventory.gz';
+
+/**
+ * @typedef InventoryItem
+ * @property {string} mimeType MIME type of the media
+ * @property {number} firstSeen time of the first event in milliseconds
+ * @property {number} lastSeen time of the last event in milliseconds
+ * @property {string[]} paths paths of the documents referencing the media
+ * @property {boolean} deleted whether the media is no longer referenced by any path
+ * @property {boolean} ingested whether the media was ever ingested
+ * @property {number} lastReferenced time of the last `ingest` or `reuse` in milliseconds,
+ * 0 if there was none
+ * @property {string} originalFilename original filename in the last event
+ * @property {string} user user in the last event, empty if erased or expired
+ */
+
+/**
+ * Returns the initial contents of an inventory.
+ *
+ * @returns {object} empty inventory
+ */
+function emptyInventory() {
+  return { media: {}, times: { paths: {}, cleared: {} } };
+}
+
+/**
+ * Applies a media event to the inventory. Events older than the last one applied to the
+ * same media and path leave its paths unchanged, and the original filename and user are
+ * taken from the last event.
+ *
+ * @param {Object<string, InventoryItem>} media inventory items by media hash
+ * @param {import('./utils.js').EventTimes} times event times
+ * @param {object} update media event
+ */
+function apply(media, times, update) {
+  const {
+    timestamp, operation, mediaHash, path,
+  } = update;
+  if (!mediaHash) {
+    return;
+  }
+  let item = media[mediaHash];
+  if (!item) {
+    item = {
+      mimeType: '',
+      firstSeen: timestamp,
+      lastSeen: timestamp,
+      paths: [],
+      deleted: true,
+      ingested: false,
+      lastReferenced: 0,
+      originalFilename: '',
+      user: '',
+    };
+    // eslint-disable-next-line no-param-reassign
+    media[mediaHash] = item;
+  }
+  if (timestamp >= item.lastSeen) {
+    item.originalFilename = update.originalFilename ?? item.originalFilename;
+    item.user = update.user ?? item.user;
+  }
+  item.mimeType = update.mimeType ?? update.contentType ?? item.mimeType;
+  item.firstSeen = Math.min(item.firstSeen, timestamp);
+  item.lastSeen = Math.max(item.lastSeen, timestamp);
+  if (operation !== 'delete') {
+    item.ingested ||= operation === 'ingest';
+    item.lastReferenced = Math.max(item.lastReferenced, timestamp);
+  }
+
+  if (operation === 'delete' && !path) {
+    item.paths = item.paths.filter((p) => lastEventTime(times, mediaHash, p) > timestamp);
+  } else if (!path || isOutdated(times, update)) {
+    return;
+  } else if (operation === 'delete') {
+    item.paths = item.paths.filter((p) => p !== path);
+  } else if (!item.paths.includes(path)) {
+    item.paths.push(path);
+    item.paths.sort();
+  }
+  recordEventTime(times, update);
+  item.deleted = item.paths.length === 0;
+}
+
+/**
+ * Inventory of the media of a project, derived from the media log and kept in its storage.
+ */
+export default class Inventory {
+  constructor(opts) {
+    this.storage = opts.storage;
+    this.contentBusId = opts.contentBusId;
+    this.log = opts.log;
+  }
+
+  /**
+   * Creates the inventory of a project
+   *
+   * @param {import('@adobe/helix-universal').UniversalContext} context context
+   * @param {object} opts options
+   * @param {string} opts.contentBusId content bus ID
+   * @returns {Promise<Inventory>} inventory
+   */
+  static async create(context, opts) {
+    const { log } = context;
+    const { contentBusId } = opts;
+    const storage = await MediaLog.createStorage(context);
+    return new Inventory({ storage, contentBusId, log });
+  }
+
+  /**
+   * Returns the inventory items.
+   *
+   * @returns {Promise<Object<string, InventoryItem>>} inventory items by media hash
+   */
+  async get() {
+    const { contentBusId, storage } = this;
+    const inventory = await readJSON(storage, `${contentBusId}/${INVENTORY_FILE}`);
+    return inventory?.contents.media ?? {};
+  }
+
+  /**
+   * Updates the inventory with media events, in timestamp order. The time of the last
+   * event per media and path is kept in the inventory, so events delivered again or out
+   * of order never undo a newer one.
+   *
+   * @param {object[]} updates media events
+   */
+  async update(updates) {
+    const { contentBusId, log, storage } = this;
+    const sorted = [...updates].sort((u1, u2) => u1.timestamp - u2.timestamp);
+
+    await updateJSON(storage, `${contentBusId}/${INVENTORY_FILE}`, (contents) => {
+      const times = contents.times ?? { paths: {}, cleared: {} };
+      sorted.forEach((update) => apply(contents.media, times, update));
+      return { ...contents, times };
+    }, { log, initial: emptyInventory() });
+  }
+
+  /**
+   * Rewrites the user of every inventory item with a function invoked for each item,
+   * which returns the user to keep.
+   *
+   * @param {function(InventoryItem): string} fn function returning the user to keep
+   * @returns {Promise<number>} number of items changed
+   */
+  async #rewriteItemUsers(fn) {
+    const { contentBusId, log, storage } = this;
+
+    let changed;
+    await updateJSON(storage, `${contentBusId}/${INVENTORY_FILE}`, (contents) => {
+      changed = 0;
+      for (const item of Object.values(contents.media)) {
+        const user = fn(item);
+        if (user !== item.user) {
+          item.user = user;
+          changed += 1;
+        }
+      }
+      return changed ? contents : null;
+    }, { log, initial: emptyInventory() });
+    return changed;
+  }
+
+  /**
+   * Rewrites the users of the inventory items with a function, which returns either the
+   * user, another one to replace it with, or null to remove it.
+   *
+   * @param {function(string): string|null} fn function returning the user to keep, or
+   * null to remove it
+   * @returns {Promise<number>} number of items changed
+   */
+  async rewriteUsers(fn) {
+    return this.#rewriteItemUsers(({ user }) => (user ? fn(user) ?? '' : user));
+  }
+
+  /**
+   * Removes the users of the inventory items whose last event happened before a cutoff
+   * time, once that event is expired from the media log.
+   *
+   * @param {number} before cutoff time in milliseconds
+   * @returns {Promise<number>} number of items changed
+   */
+  async expireUsers(before) {
+    return this.#rewriteItemUsers(({ user, lastSeen }) => (lastSeen < before ? '' : user));
+  }
+}
@@ -0,0 +1,77 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Version of the JSON index format.
+ */
+export const INDEX_VERSION = 2;
+
+/**
+ * @typedef IndexEntry
+ * @property {string} id log file ID
+ * @property {number} [firstEventTime] time of the first event in milliseconds
+ * @property {number} [lastEventTime] time of the last event in milliseconds
+ * @property {number} [count] number of events
+ * @property {number} [size] compressed size in bytes
+ * @property {number} [uncompressedSize] uncompressed size in bytes
+ *
+ * Entries taken over from a legacy index only contain the ID, entries of empty log
+ * files lack the event times.
+ */
+
+/**
+ * Parses the contents of an index, either in JSON format, or in the legacy format,
+ * a LF separated list of log file IDs.
+ *
+ * @param {string} text contents of the index
+ * @returns {object} object containing the entries and a flag indicating whether the
+ * index is in the legacy format
+ */
+export function parseIndex(text) {
+  if (text.startsWith('{')) {
+    const { files = [] } = JSON.parse(text);
+    return { files, legacy: false };
+  }
+  const files = text.split('\n').filter((id) => !!id).map((id) => ({ id }));
+  return { files, legacy: true };
+}
+
+/**
+ * Serializes index entries in JSON format.
+ *
+ * @param {IndexEntry[]} files index entries
+ * @returns {string} contents of the index
+ */
+export function serializeIndex(files) {
+  return JSON.stringify({ version: INDEX_VERSION, files });
+}
+
+/**
+ * Creates the index entry of a log file from its contents.
+ *
+ * @param {string} id log file ID
+ * @param {object[]} contents log entries, sorted by timestamp
+ * @param {object} sizes sizes of the log file
+ * @param {number} sizes.size compressed size in bytes
+ * @param {number} sizes.uncompressedSize uncompressed size in bytes
+ * @returns {IndexEntry} index entry
+ */
+export function createEntry(id, contents, { size, uncompressedSize }) {
+  const entry = { id };
+  if (contents.length) {
+    entry.firstEventTime = contents[0].timestamp;
+    entry.lastEventTime = contents[contents.length - 1].timestamp;
+  }
+  return {
+    ...entry, count: contents.length, size, uncompressedSize,
+  };
+}
@@ -13,23 +13,19 @@
 import crypto from 'crypto';
 import { promisify } from 'util';
 import zlib from 'zlib';
-import {
-  GetObjectCommand, PutObjectCommand, S3Client,
-} from '@aws-sdk/client-s3';
-import { Response } from '@adobe/fetch';
+import FSStorage from '../storage/FSStorage.js';
+import S3Storage from '../storage/S3Storage.js';
 import DateFormat from './DateFormat.js';
+import { createEntry, parseIndex, serializeIndex } from './LogIndex.js';
+import { isConflict } from './utils.js';
 
 const gzip = promisify(zlib.gzip);
 const gunzip = promisify(zlib.gunzip);
 
 /**
- * Bucket to use for media logging.
- */
-const BUCKET_NAME = 'helix-media-logs';
-
-/**
- * Index file in project folder. This is a LF separated text file with
- * the list of all log files in ascending order.
+ * Index file in project folder. This is a JSON object with an entry for every log
+ * file in ascending order, see `LogIndex.js`. Older indexes are LF separated text
+ * files with the list of log files, which are upgraded on the next write.
  */
 const INDEX_FILE = '.index';
 
@@ -39,176 +35,1223 @@ const INDEX_FILE = '.index';
  */
 const META_LAST_EVENT = 'last-event-time';
 
+/**
+ * Metadata property for first event in log file, updated along with the last one.
+ * Log files written before it was introduced fall back to their creation time.
+ */
+const META_FIRST_EVENT = 'first-event-time';
+
 /**
  * Threshold size to allow in one log file.
  */
 const MAX_OBJECT_SIZE = 512 * 1024;
 
+/**
+ * Maximum number of attempts to append to a log file, when the index or the log file
+ * itself has been modified concurrently.
+ */
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Precision of the event times stored in metadata, which are truncated to seconds.
+ */
+const META_TIME_PRECISION = 1000;
+
+/**
+ * Folder in the project folder that log files are moved to by a repair if they cannot
+ * be read.
+ */
+const QUARANTINE_FOLDER = '.quarantine';
+
+/**
+ * Number of the latest entries of a log file a tail cursor remembers, so that late events
+ * inserted among them are found, while the cursor stays small enough to be sent back by
+ * clients.
+ */
+const TAIL_ENTRIES = 100;
+
+/**
+ * @typedef LogLocation
+ * @property {number} timestamp timestamp of the last entry returned
+ * @property {string[]} eventIds identities of the entries returned with that timestamp
+ *
+ * @typedef LogResult
+ * @property {object[]} entries log entries
+ * @property {LogLocation} [next] location to continue from, if there are more entries
+ *
+ * @typedef TailCursor
+ * @property {string} id ID of the log file read last, empty if there was none
+ * @property {number} [timestamp] time from which on the entries of that log file are
+ * remembered, missing if all of them are
+ * @property {string[]} [seen] short identities of the entries remembered
+ * @property {string} [indexEtag] ETag of the index when read
+ * @property {string} [etag] ETag of the log file when read
+ */
+
+/**
+ * Returns the identity of an event: the `eventId` assigned by its producer or, if there
+ * is none, a hash of its contents. Events with the same identity are duplicates.
+ *
+ * @param {object} entry log entry
+ * @returns {string} event identity
+ */
+export function getEventId(entry) {
+  if (typeof entry.eventId === 'string' && entry.eventId) {
+    return entry.eventId;
+  }
+  const canonical = Object.keys(entry).sort().map((name) => [name, entry[name]]);
+  return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+}
+
+/**
+ * Returns a short identity of an event, a hash of its identity, as remembered by a tail
+ * cursor.
+ *
+ * @param {object} entry log entry
+ * @returns {string} short identity
+ */
+function getShortId(entry) {
+  return crypto.createHash('sha256').update(getEventId(entry)).digest('base64url').substring(0, 8);
+}
+
+/**
+ * Prefix of the folder an organization's aggregate log is kept in, next to the folders of
+ * the projects. Content bus IDs never start with it.
+ */
+const ORG_LOG_PREFIX = '@';
+
+/**
+ * Returns the ID an organization's aggregate log is kept under, in place of a content
+ * bus ID.
+ *
+ * @param {string} org organization
+ * @returns {string} ID of the aggregate log
+ */
+export function getOrgLogId(org) {
+  return `${ORG_LOG_PREFIX}${org}`;
+}
+
+/**
+ * Returns a flag indicating whether an ID is the one of an organization's aggregate log
+ * rather than a project's content bus ID.
+ *
+ * @param {string} id content bus ID or ID of an aggregate log
+ * @returns {boolean} true if it is the ID of an aggregate log
+ */
+export function isOrgLog(id) {
+  return id.startsWith(ORG_LOG_PREFIX);
+}
+
+/**
+ * Sorts log entries by timestamp, keeping entries with the same timestamp in the
+ * order they were appended.
+ *
+ * @param {object[]} entries log entries
+ * @returns {object[]} sorted entries
+ */
+function sortEntries(entries) {
+  return entries.sort((e1, e2) => e1.timestamp - e2.timestamp);
+}
+
+/**
+ * Returns the metadata containing the times of the first and last events in a log file.
+ *
+ * @param {object[]} entries log entries, sorted by timestamp
+ * @returns {object} metadata, empty if there are no entries
+ */
+function eventTimes(entries) {
+  if (!entries.length) {
+    return {};
+  }
+  return {
+    [META_FIRST_EVENT]: DateFormat.format(new Date(entries[0].timestamp)),
+    [META_LAST_EVENT]: DateFormat.format(new Date(entries[entries.length - 1].timestamp)),
+  };
+}
+
+/**
+ * Returns the times of the first and last events in a log file from its metadata,
+ * falling back to the creation time contained in the log file ID.
+ *
+ * @param {string} id log file ID
+ * @param {object} [metadata] metadata of the log file
+ * @returns {object} object containing first and last event time in milliseconds
+ */
+function getEventTimes(id, metadata = {}) {
+  const parse = (name) => DateFormat.parse(metadata[name] ?? id).getTime();
+  return {
+    firstEventTime: parse(META_FIRST_EVENT),
+    lastEventTime: parse(META_LAST_EVENT),
+  };
+}
+
 /**
  * Generate log file from date and some random value.
  *
+ * @param {string} [date] formatted date, defaults to now
  * @returns log file, consisting of name and date created
  */
-function generateID() {
-  return `${DateFormat.format(new Date())}-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+function generateID(date = DateFormat.format(new Date())) {
+  return `${date}-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Replaces groups of consecutive log files in an index with the log files they
+ * were merged into.
+ *
+ * @param {import('./LogIndex.js').IndexEntry[]} files entries in index
+ * @param {string[][]} groups groups of consecutive log file IDs
+ * @param {import('./LogIndex.js').IndexEntry[]} merged entries of the log files every
+ * group was merged into
+ * @returns {import('./LogIndex.js').IndexEntry[]|null} new entries, or null if some group
+ * is no longer contained in the index
+ */
+function replaceGroups(files, groups, merged) {
+  const logFiles = files.map(({ id }) => id);
+  const result = [];
+  let replaced = 0;
+  for (let i = 0; i < logFiles.length;) {
+    const index = groups.findIndex((group) => group[0] === logFiles[i]);
+    if (index === -1) {
+      result.push(files[i]);
+      i += 1;
+    } else {
+      const group = groups[index];
+      if (logFiles.slice(i, i + group.length).join('\n') !== group.join('\n')) {
+        return null;
+      }
+      result.push(merged[index]);
+      replaced += 1;
+      i += group.length;
+    }
+  }
+  return replaced === groups.length ? result : null;
 }
 
 /**
- * Media log implemented in S3
+ * Media log kept in a storage, one folder per project.
  */
 export default class MediaLog {
   constructor(opts) {
-    this.s3 = opts.s3;
+    this.storage = opts.storage;
     this.contentBusId = opts.contentBusId;
     this.log = opts.log;
   }
 
   /**
-   * Creates the S3 client
+   * Creates the storage the media log is kept in: a directory of the local filesystem
+   * if `HLX_MEDIA_LOG_ROOT` is set, otherwise the S3 bucket in `HLX_MEDIA_LOG_BUCKET`,
+   * which defaults to `helix-media-logs`.
+   *
+   * @param {import('@adobe/helix-universal').UniversalContext} [context] context
+   * @returns {Promise<import('../storage/Storage.js').Storage>} storage
+   */
+  static async createStorage(context) {
+    const { HLX_MEDIA_LOG_ROOT: root, HLX_MEDIA_LOG_BUCKET: bucket } = context?.env ?? {};
+    if (root) {
+      return new FSStorage({ root });
+    }
+    return new S3Storage({ bucket });
+  }
+
+  /**
+   * Returns the content bus IDs of all projects that have a media log, i.e. the top
+   * level folders in the storage. Folders starting with a dot contain other data and
+   * are skipped.
    *
-   * @returns {S3Client} S3 client
+   * @param {import('@adobe/helix-universal').UniversalContext} [context] context
+   * @returns {Promise<string[]>} content bus IDs
    */
-  static async createClient() {
-    return new S3Client({});
+  static async listProjects(context) {
+    const storage = await MediaLog.createStorage(context);
+    const { folders } = await storage.list('');
+    return folders
+      .map((prefix) => prefix.substring(0, prefix.length - 1))
+      .filter((prefix) => !prefix.startsWith('.'));
   }
 
   /**
-   * Fetch index file
+   * Fetch index file, in either format.
+   *
+   * @returns {Promise<object>} object containing the index entries, a flag indicating
+   * whether the index is in the legacy format, and the ETag of the index, which is
+   * undefined if the index does not exist
    */
   async #fetchIndex() {
-    const { contentBusId, s3 } = this;
+    const { contentBusId, storage } = this;
 
-    // fetch name of last log object
-    try {
-      const res = await s3.send(new GetObjectCommand({
-        Bucket: BUCKET_NAME,
-        Key: `${contentBusId}/${INDEX_FILE}`,
-      }));
-      const logContents = await new Response(res.Body, {}).text();
-      return logContents.split('\n');
-    } catch (e) {
-      /* c8 ignore next 3 */
-      if (e.$metadata.httpStatusCode !== 404) {
-        throw e;
+    const index = await storage.get(`${contentBusId}/${INDEX_FILE}`);
+    if (!index) {
+      return { files: [], legacy: false };
+    }
+    return { ...parseIndex(index.body.toString()), etag: index.etag };
+  }
+
+  /**
+   * Store the index file in JSON format, provided it has not been modified since we
+   * fetched it. Entries taken over from a legacy index only contain the log file ID,
+   * until the `migrate` job fills in their statistics.
+   *
+   * @param {import('./LogIndex.js').IndexEntry[]} files index entries
+   * @param {string} [etag] ETag of the index when fetched
+   */
+  async #storeIndex(files, etag) {
+    const { contentBusId, storage } = this;
+    await storage.conditionalPut(`${contentBusId}/${INDEX_FILE}`, serializeIndex(files), etag, {
+      contentType: 'application/json',
+    });
+  }
+
+  /**
+   * Update the index with a function that returns the new entries, given the current
+   * ones. If the index is modified concurrently, it is re-read and the function invoked
+   * again, up to a maximum number of attempts. If the function returns null, the index
+   * is left unchanged.
+   *
+   * @param {function(object[]): object[]|null|Promise<object[]|null>} fn function
+   * returning the new entries, or null
+   * @returns {Promise<import('./LogIndex.js').IndexEntry[]|null>} entries stored, or null
+   */
+  async #updateIndex(fn) {
+    const { contentBusId, log } = this;
+
+    for (let attempt = 1; ; attempt += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      const { files, etag } = await this.#fetchIndex();
+      // eslint-disable-next-line no-await-in-loop
+      const updated = await fn(files);
+      if (updated === null) {
+        return null;
+      }
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await this.#storeIndex(updated, etag);
+        return updated;
+      } catch (e) {
+        if (!isConflict(e) || attempt === MAX_ATTEMPTS) {
+          throw e;
+        }
+        log.info(`Index of ${contentBusId} modified concurrently (attempt ${attempt}), retrying`);
       }
     }
-    return [];
   }
 
   /**
-   * Fetch log file. Returns null if the log file is not found or too large to accommodate
-   * another record.
+   * Fetch log file. Returns null if the log file is too large to accommodate another
+   * record. A log file that is not found is returned empty, without ETag: it is listed in
+   * the index, but the invocation that added it has not stored it yet.
    *
    * @param {string} key key for object to fetch
-   * @returns {Promise<object>} object containing a key and contents
+   * @returns {Promise<object|null>} object containing a key, contents and ETag
    */
   async #fetchLogFile(key) {
-    const { s3 } = this;
+    const logFile = await this.storage.get(`${key}.gz`);
+    if (!logFile) {
+      return { key, contents: [] };
+    }
+    if (logFile.size < MAX_OBJECT_SIZE) {
+      return { key, contents: JSON.parse(await gunzip(logFile.body)), etag: logFile.etag };
+    }
+    return null;
+  }
 
-    try {
-      const res = await s3.send(new GetObjectCommand({
-        Bucket: BUCKET_NAME,
-        Key: `${key}.gz`,
-      }));
-      if (res.ContentLength < MAX_OBJECT_SIZE) {
-        const buf = await new Response(res.Body, {}).buffer();
-        return { key, contents: JSON.parse(await gunzip(buf)) };
+  /**
+   * Read the contents of a log file, regardless of its size, together with the times of
+   * its first and last events. Returns an empty log file if it is not found.
+   *
+   * @param {string} id log file ID
+   * @returns {Promise<object>} object containing contents, first and last event time,
+   * compressed and uncompressed size and ETag, which is undefined if the log file is
+   * not found
+   */
+  async #readLogFile(id) {
+    const { contentBusId, storage } = this;
+
+    const logFile = await storage.get(`${contentBusId}/${id}.gz`);
+    if (!logFile) {
+      return { contents: [], ...getEventTimes(id) };
+    }
+    const json = await gunzip(logFile.body);
+    return {
+      contents: JSON.parse(json),
+      ...getEventTimes(id, logFile.metadata),
+      size: logFile.body.length,
+      uncompressedSize: json.length,
+      etag: logFile.etag,
+    };
+  }
+
+  /**
+   * Fetch the compressed size and the times of the first and last events of a log file
+   * from its metadata. The latter fall back to the creation time contained in the log
+   * file ID if there is no such metadata.
+   *
+   * @param {string} id log file ID
+   * @returns {Promise<object|null>} object containing size, first and last event time, or
+   * null if the log file is not found
+   */
+  async #headLogFile(id) {
+    const { contentBusId, storage } = this;
+
+    const info = await storage.head(`${contentBusId}/${id}.gz`);
+    return info ? { size: info.size, ...getEventTimes(id, info.metadata) } : null;
+  }
+
+  /**
+   * Returns the times of the first and last events in a log file, taken from its index
+   * entry. Entries taken over from a legacy index don't contain them, so they are fetched
+   * from the metadata of the log file, falling back to the creation time contained in
+   * its ID.
+   *
+   * @param {import('./LogIndex.js').IndexEntry} entry index entry
+   * @returns {Promise<object>} object containing first and last event time in milliseconds
+   */
+  async #fetchEventTimes(entry) {
+    const {
+      id, firstEventTime, lastEventTime, count,
+    } = entry;
+    if (lastEventTime !== undefined) {
+      return { firstEventTime, lastEventTime };
+    }
+    if (count === 0) {
+      // log file without events
+      return getEventTimes(id);
+    }
+    const info = await this.#headLogFile(id);
+    return info ?? getEventTimes(id);
+  }
+
+  /**
+   * Delete log files.
+   *
+   * @param {string[]} ids log file IDs
+   */
+  async #deleteLogFiles(ids) {
+    const { contentBusId, storage } = this;
+    for (const id of ids) {
+      // eslint-disable-next-line no-await-in-loop
+      await storage.delete(`${contentBusId}/${id}.gz`);
+    }
+  }
+
+  /**
+   * Returns the log files that may contain entries between two timestamps, along with the
+   * times of their first and last events. Late events make the log file they were appended
+   * to start before the log files preceding it end, so the event times of every log file
+   * are taken into account: the latest event time of a log file and the ones preceding it
+   * determines where to start, and the earliest event time of a log file and the ones
+   * following it determines where to stop.
+   *
+   * @param {number} from start timestamp in milliseconds (inclusive)
+   * @param {number} to end timestamp in milliseconds (inclusive)
+   * @returns {Promise<object[]>} log file IDs with first and last event time
+   */
+  async #findLogFiles(from, to) {
+    const { files } = await this.#fetchIndex();
+
+    const times = [];
+    for (const file of files) {
+      // eslint-disable-next-line no-await-in-loop
+      times.push(await this.#fetchEventTimes(file));
+    }
+    // latest event time in every log file and the ones preceding it
+    const latest = times.map(({ lastEventTime }) => lastEventTime);
+    for (let i = 1; i < latest.length; i += 1) {
+      latest[i] = Math.max(latest[i], latest[i - 1]);
+    }
+    // earliest event time in every log file and the ones following it
+    const earliest = times.map(({ firstEventTime }) => firstEventTime);
+    for (let i = earliest.length - 2; i >= 0; i -= 1) {
+      earliest[i] = Math.min(earliest[i], earliest[i + 1]);
+    }
+
+    // binary search for the first log file that may contain events at or after `from`
+    let lo = 0;
+    let hi = files.length;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (latest[mid] + META_TIME_PRECISION <= from) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
       }
-    } catch (e) {
-    /* c8 ignore next 3 */
-      if (e.$metadata.httpStatusCode !== 404) {
-        throw e;
+    }
+
+    const result = [];
+    for (let i = lo; i < files.length && earliest[i] <= to; i += 1) {
+      const { firstEventTime, lastEventTime } = times[i];
+      if (firstEventTime <= to && lastEventTime + META_TIME_PRECISION > from) {
+        result.push({ id: files[i].id, firstEventTime, lastEventTime });
       }
     }
-    return null;
+    return result;
+  }
+
+  /**
+   * Returns the entries that lie between two timestamps, in timestamp order. Entries
+   * with the same timestamp are returned in the order of the log files and their position
+   * in them. Log files are read as their first event time is reached, so late events
+   * appended to a subsequent log file are returned in order as well.
+   *
+   * The location to continue from contains the timestamp and identities of the entries
+   * returned last rather than a position, so it remains valid if log files are compacted
+   * or expired in between.
+   *
+   * @param {number} from start timestamp in milliseconds (inclusive)
+   * @param {number} to end timestamp in milliseconds (inclusive)
+   * @param {object} opts options
+   * @param {number} opts.limit maximum number of entries to return
+   * @param {LogLocation} [location] location to continue from
+   * @returns {Promise<LogResult>} log result
+   */
+  async getEntries(from, to, { limit }, location) {
+    const { log } = this;
+
+    let after = () => true;
+    if (location) {
+      const { timestamp, eventIds } = location;
+      if (!Number.isInteger(timestamp) || !Array.isArray(eventIds)) {
+        log.warn(`Invalid location to continue from: ${JSON.stringify(location)}`);
+        return { entries: [] };
+      }
+      after = (entry) => entry.timestamp > timestamp
+        || (entry.timestamp === timestamp && !eventIds.includes(getEventId(entry)));
+    }
+
+    const logFiles = await this.#findLogFiles(Math.max(from, location?.timestamp ?? from), to);
+    // earliest event time in every log file and the ones following it
+    const earliest = logFiles.map(({ firstEventTime }) => firstEventTime);
+    for (let i = earliest.length - 2; i >= 0; i -= 1) {
+      earliest[i] = Math.min(earliest[i], earliest[i + 1]);
+    }
+
+    const entries = [];
+    let pending = [];
+    let next = 0;
+    while (entries.length < limit) {
+      // read log files until none can contain an entry before the earliest one pending
+      while (next < logFiles.length
+        && (!pending.length || earliest[next] <= pending[0].timestamp)) {
+        // eslint-disable-next-line no-await-in-loop
+        const { contents } = await this.#readLogFile(logFiles[next].id);
+        const matches = contents
+          .filter((entry) => entry.timestamp >= from && entry.timestamp <= to && after(entry));
+        pending = sortEntries([...pending, ...sortEntries(matches)]);
+        next += 1;
+      }
+      if (!pending.length) {
+        break;
+      }
+      entries.push(pending.shift());
+    }
+
+    if (!pending.length && next === logFiles.length) {
+      return { entries };
+    }
+    const { timestamp } = entries[entries.length - 1];
+    const eventIds = entries
+      .filter((entry) => entry.timestamp === timestamp)
+      .map(getEventId);
+    if (timestamp === location?.timestamp) {
+      eventIds.unshift(...location.eventIds);
+    }
+    return { entries, next: { timestamp, eventIds } };
+  }
+
+  /**
+   * Returns the entries appended since a cursor, along with the cursor to continue from.
+   * The index and the log file read last are checked with a HEAD request first, so
+   * nothing is read if neither has changed. Without a cursor, returns no entries and a
+   * cursor pointing to the end of the log.
+   *
+   * The log file read last is sorted by time, so late events are inserted before its last
+   * entry. The cursor remembers the entries of that log file, or only the latest ones from
+   * some time on in a large log file, and every entry from that time on which it does not
+   * remember is new. Late events inserted before that time are missed.
+   *
+   * @param {TailCursor} [cursor] cursor
+   * @returns {Promise<object>} object containing the new entries and the next cursor,
+   * which is the cursor passed if nothing has changed
+   */
+  async tail(cursor) {
+    const { contentBusId, storage } = this;
+
+    if (cursor?.indexEtag) {
+      const index = await storage.head(`${contentBusId}/${INDEX_FILE}`);
+      if (index?.etag === cursor.indexEtag) {
+        const logFile = cursor.id ? await storage.head(`${contentBusId}/${cursor.id}.gz`) : null;
+        if (logFile?.etag === cursor.etag) {
+          return { entries: [], cursor };
+        }
+      }
+    }
+
+    const { files, etag: indexEtag } = await this.#fetchIndex();
+    let start;
+    if (!cursor) {
+      start = Math.max(files.length - 1, 0);
+    } else {
+      start = files.findIndex(({ id }) => id >= cursor.id);
+      if (start === -1) {
+        start = files.length;
+      }
+    }
+
+    const entries = [];
+    let next = { id: '', ...cursor, indexEtag };
+    for (const { id } of files.slice(start)) {
+      // eslint-disable-next-line no-await-in-loop
+      const { contents, etag } = await this.#readLogFile(id);
+      let added = contents;
+      if (!cursor) {
+        added = [];
+      } else if (id === cursor.id) {
+        const seen = new Set(cursor.seen);
+        added = contents.filter((entry) => (cursor.timestamp === undefined
+          || entry.timestamp >= cursor.timestamp) && !seen.has(getShortId(entry)));
+      }
+      entries.push(...added);
+
+      // remember the latest entries, along with all others at the time of the earliest
+      const { timestamp } = contents.length > TAIL_ENTRIES ? contents.at(-TAIL_ENTRIES) : {};
+      next = {
+        id,
+        timestamp,
+        seen: contents
+          .filter((entry) => timestamp === undefined || entry.timestamp >= timestamp)
+          .map(getShortId),
+        indexEtag,
+        etag,
+      };
+    }
+    return { entries, cursor: next };
   }
 
   /**
-   * Retrieves the last log object or creates one if necessary.
+   * Retrieves the last log object or creates one if necessary, i.e. if there is none or
+   * the last one is too large. Throws an error that is a conflict if the index has been
+   * modified concurrently while creating one. A last log object that is listed in the
+   * index but not stored yet is reused, so concurrent appends to a new log end up in the
+   * same log object.
    *
-   * @returns an object containing a key and contents
+   * @returns an object containing the log file ID, key, contents and ETag, which is
+   * undefined for a log object that has not been stored yet
    */
   async getOrCreateLogObject() {
-    const { contentBusId, s3 } = this;
+    const { contentBusId } = this;
 
     // fetch list of log files
-    const logFiles = await this.#fetchIndex();
+    const { files, etag } = await this.#fetchIndex();
 
     // fetch contents of last log object
-    if (logFiles.length) {
-      const key = `${contentBusId}/${logFiles[logFiles.length - 1]}`;
-      const logFile = await this.#fetchLogFile(key);
+    if (files.length) {
+      const { id } = files[files.length - 1];
+      const logFile = await this.#fetchLogFile(`${contentBusId}/${id}`);
       if (logFile) {
-        return logFile;
+        return { id, ...logFile };
       }
     }
 
     // generate new last log object, store modified list in index
-    logFiles.push(generateID());
-    await s3.send(new PutObjectCommand({
-      Body: logFiles.join('\n'),
-      Bucket: BUCKET_NAME,
-      ContentType: 'text/plain',
-      Key: `${contentBusId}/${INDEX_FILE}`,
-    }));
-    return { key: `${contentBusId}/${logFiles[logFiles.length - 1]}`, contents: [] };
+    const id = generateID();
+    files.push(createEntry(id, [], { size: 0, uncompressedSize: 0 }));
+    await this.#storeIndex(files, etag);
+    return { id, key: `${contentBusId}/${id}`, contents: [] };
+  }
+
+  /**
+   * Updates the entry of a log file in the index, after it has been stored. The entry
+   * is left alone if it has been removed from the index, or if it already reflects more
+   * events, i.e. another invocation appended to the log file since.
+   *
+   * @param {import('./LogIndex.js').IndexEntry} entry new index entry
+   */
+  async #updateIndexEntry(entry) {
+    await this.#updateIndex((files) => {
+      const index = files.findIndex(({ id }) => id === entry.id);
+      if (index === -1 || files[index].count > entry.count) {
+        return null;
+      }
+      return files.with(index, entry);
+    });
   }
 
   /**
-   * Store a modified log file back to S3
+   * Store a modified log file back to S3, provided it has not been modified since
+   * we fetched it.
    *
    * @param {string} key key for object to store, with project prefix
    * @param {Array} contents array of log entries to store
    * @param {object} metadata metadata to store to log file
+   * @param {string} [etag] ETag of the log file when fetched
+   * @returns {Promise<object>} object containing compressed and uncompressed size
    */
-  async #storeLogFile(key, contents, metadata) {
-    const { s3 } = this;
-    await s3.send(new PutObjectCommand({
-      Body: await gzip(JSON.stringify(contents)),
-      Bucket: BUCKET_NAME,
-      ContentEncoding: 'gzip',
-      ContentType: 'application/json',
-      Key: `${key}.gz`,
-      Metadata: metadata,
-    }));
+  async #storeLogFile(key, contents, metadata, etag) {
+    const json = JSON.stringify(contents);
+    const body = await gzip(json);
+    await this.storage.conditionalPut(`${key}.gz`, body, etag, {
+      contentEncoding: 'gzip',
+      contentType: 'application/json',
+      metadata,
+    });
+    return { size: body.length, uncompressedSize: Buffer.byteLength(json) };
   }
 
   /**
-   * Creates the media log backed by an S3 folder
+   * Creates the media log of a project, kept in the storage configured in the context,
+   * unless a storage is passed in the options.
    *
    * @param {import('@adobe/helix-universal').UniversalContext} context context
-   * @param {any} opts options
+   * @param {object} opts options
+   * @param {string} opts.contentBusId content bus ID
+   * @param {import('../storage/Storage.js').Storage} [opts.storage] storage
    * @returns {Promise<MediaLog>} media log
    */
   static async create(context, opts) {
     const { log } = context;
     const { contentBusId } = opts;
 
-    const s3 = await MediaLog.createClient();
+    const storage = opts.storage ?? await MediaLog.createStorage(context);
     return new MediaLog({
-      s3, contentBusId, log,
+      storage, contentBusId, log,
     });
   }
 
   /**
-   * Appends rows to the media log
+   * Appends rows to the media log. Rows that are already contained in the current log
+   * file, e.g. because a batch was redelivered after it had been appended, are skipped,
+   * as are duplicates within the rows themselves. If either the index or the log file
+   * is modified concurrently, re-reads both and retries, up to a maximum number of attempts.
+   *
+   * The entries of the current log file are kept sorted by timestamp, and its metadata
+   * contains the times of its first and last event. Log files that are no longer current
+   * are never reopened: a late event, older than the events in those log files, is still
+   * appended to the current log file, which then starts before the previous one ends.
+   * Finally, the entry of the log file in the index is updated; failing to do so is
+   * logged only, as the next append updates it again.
    *
    * @param {Array} updates added rows
-   * @returns {Promise<string>} key of the log file
+   * @returns {Promise<{key: string|null, added: object[]}>} key of the log file, or null
+   * if there were no rows, and the rows actually added, in the order given
    */
   async append(updates) {
-    if (updates.length) {
-      const { key, contents } = await this.getOrCreateLogObject();
-      const lastEventTime = updates[updates.length - 1].timestamp;
-      contents.push(...updates);
-      await this.#storeLogFile(key, contents, {
-        [META_LAST_EVENT]: DateFormat.format(new Date(lastEventTime)),
+    if (!updates.length) {
+      return { key: null, added: [] };
+    }
+    const { log } = this;
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const logObject = await this.getOrCreateLogObject();
+        const {
+          id, key, contents, etag,
+        } = logObject;
+        const seen = new Set(contents.map(getEventId));
+        const added = updates.filter((update) => {
+          const eventId = getEventId(update);
+          if (seen.has(eventId)) {
+            return false;
+          }
+          seen.add(eventId);
+          return true;
+        });
+        if (added.length < updates.length) {
+          log.info(`Skipped ${updates.length - added.length} media events already in ${key}`);
+        }
+        if (!added.length) {
+          return { key: `${key}.gz`, added };
+        }
+
+        const sorted = sortEntries([...contents, ...added]);
+        // eslint-disable-next-line no-await-in-loop
+        const sizes = await this.#storeLogFile(key, sorted, eventTimes(sorted), etag);
+        log.info(`Appended ${added.length} media events to ${key}`);
+
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await this.#updateIndexEntry(createEntry(id, sorted, sizes));
+        } catch (e) {
+          log.warn(`Unable to update index entry of ${key}: ${e.message}`);
+        }
+        return { key: `${key}.gz`, added };
+      } catch (e) {
+        if (!isConflict(e) || attempt === MAX_ATTEMPTS) {
+          throw e;
+        }
+        log.info(`Media log of ${this.contentBusId} modified concurrently (attempt ${attempt}), retrying`);
+      }
+    }
+  }
+
+  /**
+   * Merges consecutive small log files into log files close to a target size. The last
+   * log file is never merged, as it is still being appended to. The index is rewritten
+   * with a conditional request, and the log files that were merged are deleted only after
+   * the new index has been stored. If a log file merged has been modified in between, e.g.
+   * by `rewrite()`, the merged log files are discarded and the index is left alone.
+   *
+   * @param {object} [opts] options
+   * @param {number} [opts.targetSize] target size of a compressed log file
+   * @returns {Promise<object[]>} merged log files, each containing its ID, the IDs
+   * of the log files it replaces and the number of entries
+   */
+  async compact({ targetSize = MAX_OBJECT_SIZE } = {}) {
+    const { contentBusId, log } = this;
+
+    const { files } = await this.#fetchIndex();
+    const candidates = files.slice(0, -1);
+
+    // group consecutive log files, as long as their total size stays below the target
+    const groups = [];
+    let group = [];
+    let groupSize = 0;
+    const flush = () => {
+      if (group.length > 1) {
+        groups.push(group);
+      }
+      group = [];
+      groupSize = 0;
+    };
+    for (const { id, size: indexedSize } of candidates) {
+      // eslint-disable-next-line no-await-in-loop
+      const size = indexedSize ?? (await this.#headLogFile(id))?.size ?? Infinity;
+      if (groupSize + size > targetSize) {
+        flush();
+      }
+      if (size < targetSize) {
+        group.push(id);
+        groupSize += size;
+      }
+    }
+    flush();
+    if (!groups.length) {
+      return [];
+    }
+
+    // store merged log files, sorted by timestamp
+    const merged = [];
+    const entries = [];
+    const etags = new Map();
+    for (const ids of groups) {
+      const contents = [];
+      for (const id of ids) {
+        // eslint-disable-next-line no-await-in-loop
+        const logFile = await this.#readLogFile(id);
+        contents.push(...logFile.contents);
+        etags.set(id, logFile.etag);
+      }
+      sortEntries(contents);
+      const id = generateID(ids[0].substring(0, 19));
+      // eslint-disable-next-line no-await-in-loop
+      const sizes = await this.#storeLogFile(`${contentBusId}/${id}`, contents, eventTimes(contents));
+      merged.push({ id, files: ids, entries: contents.length });
+      entries.push(createEntry(id, contents, sizes));
+    }
+
+    // replace the groups in the index, provided the log files merged are unchanged
+    try {
+      await this.#updateIndex(async (current) => {
+        const updated = replaceGroups(current, groups, entries);
+        if (!updated) {
+          throw new Error(`Index of ${contentBusId} no longer contains the log files to merge`);
+        }
+        for (const [id, etag] of etags) {
+          // eslint-disable-next-line no-await-in-loop
+          const info = await this.storage.head(`${contentBusId}/${id}.gz`);
+          if (info?.etag !== etag) {
+            throw new Error(`Log file ${id} of ${contentBusId} has been modified while compacting`);
+          }
+        }
+        return updated;
       });
+    } catch (e) {
+      await this.#deleteLogFiles(merged.map(({ id }) => id));
+      throw e;
+    }
+
+    await this.#deleteLogFiles(groups.flat());
+    log.info(`Compacted ${groups.flat().length} log files of ${contentBusId} into ${merged.length}`);
+    return merged;
+  }
 
-      this.log.info(`Appended ${updates.length} media events to ${key}`);
-      return `${key}.gz`;
+  /**
+   * Removes the log files whose events all lie before a cutoff time. Log files are
+   * considered in index order, stopping at the first one that was created, or contains
+   * an event, at or after the cutoff. The log files are removed from the index first, and
+   * deleted after. This includes the last log file, so the next append starts a new one;
+   * if it has been appended to while it was removed from the index, it is put back.
+   *
+   * @param {number} before cutoff time in milliseconds
+   * @returns {Promise<object[]>} removed log files, each containing its ID and the time
+   * of its last event in ISO format
+   */
+  async expire(before) {
+    const { contentBusId, log, storage } = this;
+
+    const { files } = await this.#fetchIndex();
+
+    const expired = [];
+    for (const entry of files) {
+      const { id } = entry;
+      if (DateFormat.parse(id).getTime() >= before) {
+        break;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      const { lastEventTime } = await this.#fetchEventTimes(entry);
+      if (lastEventTime + META_TIME_PRECISION > before) {
+        break;
+      }
+      expired.push({ id, lastEventTime: new Date(lastEventTime).toISOString() });
     }
-    return null;
+    if (!expired.length) {
+      return [];
+    }
+
+    // the last log file might be appended to concurrently, so remember its ETag
+    const last = files[files.length - 1].id;
+    const lastKey = `${contentBusId}/${last}.gz`;
+    const lastInfo = expired.length === files.length ? await storage.head(lastKey) : null;
+
+    // log files might have been compacted concurrently, so only remove what's still there
+    let removed;
+    await this.#updateIndex((current) => {
+      removed = expired.filter(({ id }) => current.some((entry) => entry.id === id));
+      return current.filter(({ id }) => !removed.some((file) => file.id === id));
+    });
+
+    if (lastInfo && removed.some(({ id }) => id === last)) {
+      const info = await storage.head(lastKey);
+      if (info && info.etag !== lastInfo.etag) {
+        log.info(`Log file ${last} of ${contentBusId} appended to while expiring, keeping it`);
+        await this.#updateIndex((current) => [{ id: last }, ...current]
+          .sort((f1, f2) => (f1.id < f2.id ? -1 : 1)));
+        removed = removed.filter(({ id }) => id !== last);
+      }
+    }
+
+    await this.#deleteLogFiles(removed.map(({ id }) => id));
+    log.info(`Expired ${removed.length} log files of ${contentBusId}`);
+    return removed;
+  }
+
+  /**
+   * Rewrites the entries of a log file, provided it has not been modified concurrently,
+   * otherwise re-reads it and retries, up to a maximum number of attempts.
+   *
+   * @param {string} id log file ID
+   * @param {function(object): object|null} fn function returning the entry to keep, or
+   * null to remove it
+   * @returns {Promise<object|null>} object containing the ID, the number of entries
+   * changed and removed and the new index entry, or null if the log file was not touched
+   */
+  async #rewriteLogFile(id, fn) {
+    const { contentBusId, log } = this;
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const { contents, etag } = await this.#readLogFile(id);
+        let changed = 0;
+        const rewritten = [];
+        for (const entry of contents) {
+          const result = fn(entry);
+          if (result) {
+            rewritten.push(result);
+          }
+          if (result !== entry) {
+            changed += 1;
+          }
+        }
+        if (!changed) {
+          return null;
+        }
+
+        sortEntries(rewritten);
+        // eslint-disable-next-line no-await-in-loop
+        const sizes = await this.#storeLogFile(
+          `${contentBusId}/${id}`,
+          rewritten,
+          eventTimes(rewritten),
+          etag,
+        );
+        const removed = contents.length - rewritten.length;
+        return {
+          id,
+          changed: changed - removed,
+          removed,
+          empty: !rewritten.length,
+          entry: createEntry(id, rewritten, sizes),
+        };
+      } catch (e) {
+        if (!isConflict(e) || attempt === MAX_ATTEMPTS) {
+          throw e;
+        }
+        log.info(`Log file ${id} of ${contentBusId} modified concurrently (attempt ${attempt}), retrying`);
+      }
+    }
+  }
+
+  /**
+   * Rewrites every log file with a function invoked for each entry, which returns either
+   * the entry, a modified copy of it, or null to remove it. Only log files containing
+   * entries that are changed or removed are stored, along with the times of their first
+   * and last remaining events, and their index entries updated. Log files that end up empty
+   * are removed from the index and deleted, except for the last one, which is still being
+   * appended to.
+   *
+   * @param {function(object): object|null} fn function returning the entry to keep, or
+   * null to remove it
+   * @returns {Promise<object[]>} log files touched, each containing its ID, the number of
+   * entries changed and removed, and whether it was deleted
+   */
+  async rewrite(fn) {
+    const { contentBusId, log } = this;
+
+    const { files } = await this.#fetchIndex();
+    const touched = [];
+    const entries = new Map();
+    for (const [index, { id }] of files.entries()) {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await this.#rewriteLogFile(id, fn);
+      if (result) {
+        const { empty, entry, ...file } = result;
+        const deleted = empty && index !== files.length - 1;
+        touched.push({ ...file, deleted });
+        entries.set(id, deleted ? null : entry);
+      }
+    }
+
+    const deleted = touched.filter((file) => file.deleted).map((file) => file.id);
+    if (touched.length) {
+      await this.#updateIndex((current) => current
+        .filter(({ id }) => entries.get(id) !== null)
+        .map((entry) => entries.get(entry.id) ?? entry));
+    }
+    if (deleted.length) {
+      await this.#deleteLogFiles(deleted);
+    }
+    log.info(`Rewrote ${touched.length} log files of ${contentBusId}, deleted ${deleted.length}`);
+    return touched;
+  }
+
+  /**
+   * Moves an organization's aggregate log from its legacy folder `<org>/*`, which jobs
+   * enumerating projects don't see, to the folder returned by `getOrgLogId()`, merging it
+   * with the log files written there since. Invoked on the folder `<org>`, as listed by
+   * `listProjects()`.
+   *
+   * @returns {Promise<number>} number of log files moved
+   */
+  async moveLegacyOrgLog() {
+    const { contentBusId, storage, log } = this;
+
+    const legacy = new MediaLog({ storage, contentBusId: `${contentBusId}/*`, log });
+    const { files } = await legacy.#fetchIndex();
+    if (!files.length) {
+      return 0;
+    }
+    const target = new MediaLog({ storage, contentBusId: getOrgLogId(contentBusId), log });
+    for (const { id } of files) {
+      // eslint-disable-next-line no-await-in-loop
+      const logFile = await storage.get(`${legacy.contentBusId}/${id}.gz`);
+      if (logFile) {
+        // eslint-disable-next-line no-await-in-loop
+        await storage.put(`${target.contentBusId}/${id}.gz`, logFile.body, {
+          contentEncoding: 'gzip',
+          contentType: 'application/json',
+          metadata: logFile.metadata,
+        });
+      }
+    }
+    await target.#updateIndex((current) => {
+      const ids = new Set(current.map(({ id }) => id));
+      return [...files.filter(({ id }) => !ids.has(id)), ...current]
+        .sort((f1, f2) => (f1.id < f2.id ? -1 : 1));
+    });
+    await storage.delete(`${legacy.contentBusId}/${INDEX_FILE}`);
+    await legacy.#deleteLogFiles(files.map(({ id }) => id));
+    log.info(`Moved ${files.length} log files of ${contentBusId}/* to ${target.contentBusId}`);
+    return files.length;
+  }
+
+  /**
+   * Upgrades the index to the JSON format, filling in the statistics of entries that
+   * lack them, i.e. entries taken over from a legacy index, by reading their log files.
+   * Entries of log files that are missing are left alone.
+   *
+   * @returns {Promise<object>} object containing whether the index was in the legacy
+   * format, the number of log files and the number of entries upgraded
+   */
+  async upgradeIndex() {
+    const { contentBusId, log } = this;
+
+    const { files, legacy } = await this.#fetchIndex();
+    const upgraded = new Map();
+    for (const { id, count } of files) {
+      if (count === undefined) {
+        // eslint-disable-next-line no-await-in-loop
+        const logFile = await this.#readLogFile(id);
+        if (logFile.etag) {
+          upgraded.set(id, createEntry(id, logFile.contents, logFile));
+        }
+      }
+    }
+
+    if (legacy || upgraded.size) {
+      await this.#updateIndex((current) => current.map((entry) => (
+        entry.count === undefined ? upgraded.get(entry.id) ?? entry : entry
+      )));
+    }
+    log.info(`Upgraded ${upgraded.size} of ${files.length} index entries of ${contentBusId}`);
+    return { legacy, files: files.length, upgraded: upgraded.size };
+  }
+
+  /**
+   * Returns the entries of the index. Entries taken over from a legacy index are completed
+   * with the size and event times in the metadata of their log files, if they exist.
+   *
+   * @returns {Promise<import('./LogIndex.js').IndexEntry[]>} index entries
+   */
+  async listLogFiles() {
+    const { files } = await this.#fetchIndex();
+    const result = [];
+    for (const entry of files) {
+      if (entry.count === undefined) {
+        // eslint-disable-next-line no-await-in-loop
+        const info = await this.#headLogFile(entry.id);
+        result.push({ ...entry, ...info });
+      } else {
+        result.push(entry);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Lists the log files in the project folder and reads every one of them, comparing
+   * them to the index.
+   *
+   * @returns {Promise<object>} object containing the index entries, whether the index
+   * is in the legacy format, the result of the verification and the index entries of
+   * the log files that could be read, created from their contents
+   */
+  async #inspect() {
+    const { contentBusId, storage } = this;
+
+    const { files, legacy } = await this.#fetchIndex();
+    const prefix = `${contentBusId}/`;
+    const { keys } = await storage.list(prefix);
+    const ids = keys
+      .map((key) => key.substring(prefix.length))
+      .filter((name) => !name.startsWith('.') && name.endsWith('.gz'))
+      .map((name) => name.substring(0, name.length - 3));
+
+    const entries = new Map(files.map((entry) => [entry.id, entry]));
+    const stored = new Set(ids);
+    const result = {
+      files: files.length,
+      objects: ids.length,
+      missing: files.filter(({ id }) => !stored.has(id)).map(({ id }) => id),
+      unindexed: ids.filter((id) => !entries.has(id)),
+      unreadable: [],
+      stale: [],
+    };
+    const readable = [];
+    for (const id of ids) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const logFile = await this.#readLogFile(id);
+        if (!Array.isArray(logFile.contents)) {
+          throw new Error('log file does not contain an array');
+        }
+        const count = entries.get(id)?.count;
+        if (count !== undefined && count !== logFile.contents.length) {
+          result.stale.push(id);
+        }
+        readable.push(createEntry(id, sortEntries([...logFile.contents]), logFile));
+      } catch (e) {
+        result.unreadable.push({ id, error: e.message });
+      }
+    }
+    return {
+      files, legacy, result, readable,
+    };
+  }
+
+  /**
+   * Checks the index against the log files in the storage. Reports index entries whose
+   * log file is missing, log files that are not in the index, log files that cannot be
+   * read and index entries whose number of events differs from their log file.
+   *
+   * @returns {Promise<object>} object containing the number of index entries and log
+   * files, and the IDs of the log files in every category; unreadable log files come
+   * with the error encountered
+   */
+  async verify() {
+    const { contentBusId, log } = this;
+
+    const { result } = await this.#inspect();
+    log.info(`Verified ${result.files} index entries and ${result.objects} log files of ${contentBusId}`);
+    return result;
+  }
+
+  /**
+   * Verifies the index against the log files in the storage and repairs it, if it differs.
+   * The index is rebuilt from the log files that can be read, in the order of their IDs,
+   * which start with their creation time. Log files created or appended to concurrently
+   * keep their entries. Log files that cannot be read are moved to `.quarantine/` after
+   * the index no longer lists them.
+   *
+   * @returns {Promise<object>} object containing the result of the verification, whether
+   * the index was rebuilt and the IDs of the log files quarantined
+   */
+  async repair() {
+    const { contentBusId, log, storage } = this;
+
+    const {
+      files, legacy, result, readable,
+    } = await this.#inspect();
+    const {
+      missing, unindexed, unreadable, stale,
+    } = result;
+
+    const ids = files.map(({ id }) => id);
+    const ordered = ids.every((id, i) => i === 0 || ids[i - 1] < id);
+    const repaired = legacy || !ordered || missing.length > 0 || unindexed.length > 0
+      || unreadable.length > 0 || stale.length > 0;
+    if (repaired) {
+      const listed = new Set([...missing, ...[...readable, ...unreadable].map(({ id }) => id)]);
+      await this.#updateIndex((current) => {
+        const entries = new Map(current.map((entry) => [entry.id, entry]));
+        return [
+          ...readable.map((entry) => (entries.get(entry.id)?.count > entry.count
+            ? entries.get(entry.id) : entry)),
+          ...current.filter(({ id }) => !listed.has(id)),
+        ].sort((e1, e2) => (e1.id < e2.id ? -1 : 1));
+      });
+      log.info(`Rebuilt index of ${contentBusId} from ${readable.length} log files`);
+    }
+
+    const quarantined = [];
+    for (const { id } of unreadable) {
+      const key = `${contentBusId}/${id}.gz`;
+      // eslint-disable-next-line no-await-in-loop
+      const logFile = await storage.get(key);
+      if (logFile) {
+        // eslint-disable-next-line no-await-in-loop
+        await storage.put(`${contentBusId}/${QUARANTINE_FOLDER}/${id}.gz`, logFile.body, {
+          metadata: logFile.metadata,
+        });
+        // eslint-disable-next-line no-await-in-loop
+        await storage.delete(key);
+        quarantined.push(id);
+      }
+    }
+    if (quarantined.length) {
+      log.warn(`Quarantined unreadable log files of ${contentBusId}: ${quarantined.join(', ')}`);
+    }
+    return { ...result, repaired, quarantined };
   }
 
   /**
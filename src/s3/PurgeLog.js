@@ -0,0 +1,49 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import DailyLog from './DailyLog.js';
+import MediaLog from './MediaLog.js';
+
+/**
+ * Folder in the storage that contains the purge logs, one per day.
+ */
+const PREFIX = '.purged';
+
+/**
+ * @typedef Purge
+ * @property {number} timestamp time of purge in milliseconds
+ * @property {string} contentBusId content bus ID of the project
+ * @property {number} retentionDays retention in days that applied to the project
+ * @property {object[]} files purged log files, each containing its ID and the
+ * time of its last event
+ */
+
+/**
+ * Audit log of media log files that were purged after their retention.
+ */
+export default class PurgeLog extends DailyLog {
+  constructor(opts) {
+    super({ ...opts, prefix: PREFIX, name: 'purge records' });
+  }
+
+  /**
+   * Creates the purge log
+   *
+   * @param {import('@adobe/helix-universal').UniversalContext} context context
+   * @returns {Promise<PurgeLog>} purge log
+   */
+  static async create(context) {
+    const { log } = context;
+    const storage = await MediaLog.createStorage(context);
+    return new PurgeLog({ storage, log });
+  }
+}
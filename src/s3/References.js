@@ -0,0 +1,176 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import MediaLog from './MediaLog.js';
+import {
+  isOutdated, lastEventTime, readJSON, recordEventTime, updateJSON,
+} from './utils.js';
+
+/**
+ * References file in project folder, a gzipped JSON object.
+ */
+const REFERENCES_FILE = '.references.gz';
+
+/**
+ * @typedef ReferenceMaps
+ * @property {Object<string, string[]>} hashes paths referencing a media, by media hash
+ * @property {Object<string, string[]>} paths media referenced by a path, by path
+ */
+
+/**
+ * Adds a value to the sorted list of values of a key.
+ *
+ * @param {Object<string, string[]>} map map
+ * @param {string} key key
+ * @param {string} value value
+ */
+function add(map, key, value) {
+  const values = map[key] ?? [];
+  if (!values.includes(value)) {
+    values.push(value);
+    values.sort();
+  }
+  // eslint-disable-next-line no-param-reassign
+  map[key] = values;
+}
+
+/**
+ * Removes a value from the list of values of a key, removing the key if no value remains.
+ *
+ * @param {Object<string, string[]>} map map
+ * @param {string} key key
+ * @param {string} value value
+ */
+function remove(map, key, value) {
+  const values = (map[key] ?? []).filter((v) => v !== value);
+  if (values.length) {
+    // eslint-disable-next-line no-param-reassign
+    map[key] = values;
+  } else {
+    // eslint-disable-next-line no-param-reassign
+    delete map[key];
+  }
+}
+
+/**
+ * Applies a media event to the references: `ingest` and `reuse` add a reference between
+ * media and path, `delete` removes it, or all references to the media if it has no path.
+ * Events older than the last one applied to the same media and path are ignored.
+ *
+ * @param {ReferenceMaps} refs references
+ * @param {import('./utils.js').EventTimes} times event times
+ * @param {object} update media event
+ */
+function apply(refs, times, update) {
+  const {
+    timestamp, operation, mediaHash, path,
+  } = update;
+  if (!mediaHash) {
+    return;
+  }
+  if (operation === 'delete' && !path) {
+    (refs.hashes[mediaHash] ?? [])
+      .filter((p) => lastEventTime(times, mediaHash, p) <= timestamp)
+      .forEach((p) => {
+        remove(refs.hashes, mediaHash, p);
+        remove(refs.paths, p, mediaHash);
+      });
+  } else if (!path || isOutdated(times, update)) {
+    return;
+  } else if (operation === 'delete') {
+    remove(refs.hashes, mediaHash, path);
+    remove(refs.paths, path, mediaHash);
+  } else {
+    add(refs.hashes, mediaHash, path);
+    add(refs.paths, path, mediaHash);
+  }
+  recordEventTime(times, update);
+}
+
+/**
+ * Index of the references between media and the paths using them in a project, in both
+ * directions, derived from the media log and kept in its storage.
+ */
+export default class References {
+  constructor(opts) {
+    this.storage = opts.storage;
+    this.contentBusId = opts.contentBusId;
+    this.log = opts.log;
+  }
+
+  /**
+   * Creates the references of a project
+   *
+   * @param {import('@adobe/helix-universal').UniversalContext} context context
+   * @param {object} opts options
+   * @param {string} opts.contentBusId content bus ID
+   * @returns {Promise<References>} references
+   */
+  static async create(context, opts) {
+    const { log } = context;
+    const { contentBusId } = opts;
+    const storage = await MediaLog.createStorage(context);
+    return new References({ storage, contentBusId, log });
+  }
+
+  /**
+   * Returns the references in both directions.
+   *
+   * @returns {Promise<ReferenceMaps>} references
+   */
+  async get() {
+    const { contentBusId, storage } = this;
+    const references = await readJSON(storage, `${contentBusId}/${REFERENCES_FILE}`);
+    const { hashes, paths } = references?.contents ?? { hashes: {}, paths: {} };
+    return { hashes, paths };
+  }
+
+  /**
+   * Returns the paths referencing a media.
+   *
+   * @param {string} mediaHash media hash
+   * @returns {Promise<string[]>} paths
+   */
+  async getPaths(mediaHash) {
+    const { hashes } = await this.get();
+    return Object.hasOwn(hashes, mediaHash) ? hashes[mediaHash] : [];
+  }
+
+  /**
+   * Returns the media referenced by a path.
+   *
+   * @param {string} path path
+   * @returns {Promise<string[]>} media hashes
+   */
+  async getMediaHashes(path) {
+    const { paths } = await this.get();
+    return Object.hasOwn(paths, path) ? paths[path] : [];
+  }
+
+  /**
+   * Updates the references with media events, in timestamp order. The time of the last
+   * event per media and path is kept with the references, so events delivered again or
+   * out of order never undo a newer one.
+   *
+   * @param {object[]} updates media events
+   */
+  async update(updates) {
+    const { contentBusId, log, storage } = this;
+    const sorted = [...updates].sort((u1, u2) => u1.timestamp - u2.timestamp);
+
+    await updateJSON(storage, `${contentBusId}/${REFERENCES_FILE}`, (contents) => {
+      const times = contents.times ?? { paths: {}, cleared: {} };
+      sorted.forEach((update) => apply(contents, times, update));
+      return { ...contents, times };
+    }, { log, initial: { hashes: {}, paths: {}, times: { paths: {}, cleared: {} } } });
+  }
+}
@@ -0,0 +1,50 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import DailyLog from './DailyLog.js';
+import MediaLog from './MediaLog.js';
+
+/**
+ * Folder in the storage that contains the rejection logs, one per day.
+ */
+const PREFIX = '.rejected';
+
+/**
+ * @typedef Rejection
+ * @property {number} timestamp time of rejection in milliseconds
+ * @property {string} messageId ID of the SQS message containing the event
+ * @property {string} [schema] ID of the schema the event was validated against
+ * @property {string} error validation error, or the error parsing the message
+ * @property {any} [event] rejected event
+ * @property {string} [body] body of the message, if it could not be parsed
+ */
+
+/**
+ * Log of media events that were rejected.
+ */
+export default class RejectionLog extends DailyLog {
+  constructor(opts) {
+    super({ ...opts, prefix: PREFIX, name: 'rejected media events' });
+  }
+
+  /**
+   * Creates the rejection log
+   *
+   * @param {import('@adobe/helix-universal').UniversalContext} context context
+   * @returns {Promise<RejectionLog>} rejection log
+   */
+  static async create(context) {
+    const { log } = context;
+    const storage = await MediaLog.createStorage(context);
+    return new RejectionLog({ storage, log });
+  }
+}
@@ -0,0 +1,251 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import DateFormat from './DateFormat.js';
+import MediaLog, { getEventId } from './MediaLog.js';
+import { readJSON, updateJSON } from './utils.js';
+
+/**
+ * Folder in the project folder that contains the rollups, one gzipped JSON object per day.
+ */
+const ROLLUPS_FOLDER = '.rollups';
+
+/**
+ * Dimensions that events are counted by, along with the fields to consult. Older
+ * producers sent `contentType` and `contentSourceType`.
+ */
+const DIMENSIONS = {
+  operation: ['operation'],
+  mimeType: ['mimeType', 'contentType'],
+  source: ['source', 'contentSourceType'],
+  user: ['user'],
+};
+
+/**
+ * @typedef Counts
+ * @property {number} total total number of events
+ * @property {Object<string, number>} operation number of events per operation
+ * @property {Object<string, number>} mimeType number of events per MIME type
+ * @property {Object<string, number>} source number of events per source
+ * @property {Object<string, number>} user number of events per user
+ *
+ * @typedef DailyRollup
+ * @property {string[]} events IDs of the events counted
+ * @property {Object<string, Counts>} hours counts per hour of the day, from `00` to `23`
+ */
+
+/**
+ * Returns empty counts.
+ *
+ * @returns {Counts} counts
+ */
+export function emptyCounts() {
+  return {
+    total: 0, ...Object.fromEntries(Object.keys(DIMENSIONS).map((name) => [name, {}])),
+  };
+}
+
+/**
+ * Adds counts to other counts.
+ *
+ * @param {Counts} counts counts to add to
+ * @param {Counts} other counts to add
+ */
+export function addCounts(counts, other) {
+  /* eslint-disable no-param-reassign */
+  counts.total += other.total;
+  Object.keys(DIMENSIONS).forEach((name) => {
+    Object.entries(other[name]).forEach(([value, n]) => {
+      counts[name][value] = (counts[name][value] ?? 0) + n;
+    });
+  });
+  /* eslint-enable no-param-reassign */
+}
+
+/**
+ * Counts an event.
+ *
+ * @param {Counts} counts counts
+ * @param {object} update media event
+ */
+function count(counts, update) {
+  /* eslint-disable no-param-reassign */
+  counts.total += 1;
+  Object.entries(DIMENSIONS).forEach(([name, fields]) => {
+    const value = fields.map((field) => update[field]).find((v) => v !== undefined && v !== null);
+    if (value !== undefined) {
+      counts[name][value] = (counts[name][value] ?? 0) + 1;
+    }
+  });
+  /* eslint-enable no-param-reassign */
+}
+
+/**
+ * Length of a day in milliseconds.
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Rollups of the media events of a project per hour, kept in the storage of the media log.
+ */
+export default class Rollups {
+  constructor(opts) {
+    this.storage = opts.storage;
+    this.contentBusId = opts.contentBusId;
+    this.log = opts.log;
+  }
+
+  /**
+   * Creates the rollups of a project
+   *
+   * @param {import('@adobe/helix-universal').UniversalContext} context context
+   * @param {object} opts options
+   * @param {string} opts.contentBusId content bus ID
+   * @returns {Promise<Rollups>} rollups
+   */
+  static async create(context, opts) {
+    const { log } = context;
+    const { contentBusId } = opts;
+    const storage = await MediaLog.createStorage(context);
+    return new Rollups({ storage, contentBusId, log });
+  }
+
+  /**
+   * Returns the rollup of a day.
+   *
+   * @param {string} day day in `YYYY-MM-DD` format
+   * @returns {Promise<DailyRollup|null>} rollup or null if there were no events that day
+   */
+  async get(day) {
+    const { contentBusId, storage } = this;
+    const rollup = await readJSON(storage, `${contentBusId}/${ROLLUPS_FOLDER}/${day}.gz`);
+    return rollup?.contents ?? null;
+  }
+
+  /**
+   * Returns the days that have a rollup.
+   *
+   * @returns {Promise<string[]>} days in `YYYY-MM-DD` format, in ascending order
+   */
+  async #listDays() {
+    const { contentBusId, storage } = this;
+    const prefix = `${contentBusId}/${ROLLUPS_FOLDER}/`;
+
+    const { keys } = await storage.list(prefix);
+    return keys
+      .map((key) => key.substring(prefix.length).match(/^(\d{4}-\d{2}-\d{2})\.gz$/)?.[1])
+      .filter((day) => !!day)
+      .sort();
+  }
+
+  /**
+   * Rewrites the users counted in every rollup with a function that returns either the
+   * user, another user to count the events for instead, or null to drop the user. Totals
+   * and the other dimensions are left unchanged.
+   *
+   * @param {function(string): string|null} fn function returning the user to count for,
+   * or null
+   * @returns {Promise<string[]>} days whose rollup was changed
+   */
+  async rewriteUsers(fn) {
+    const { contentBusId, log, storage } = this;
+
+    const touched = [];
+    for (const day of await this.#listDays()) {
+      // eslint-disable-next-line no-await-in-loop
+      const updated = await updateJSON(storage, `${contentBusId}/${ROLLUPS_FOLDER}/${day}.gz`, (rollup) => {
+        let changed = false;
+        Object.values(rollup.hours).forEach((counts) => {
+          const users = {};
+          Object.entries(counts.user).forEach(([user, n]) => {
+            const replacement = fn(user);
+            if (replacement !== user) {
+              changed = true;
+            }
+            if (replacement !== null) {
+              users[replacement] = (users[replacement] ?? 0) + n;
+            }
+          });
+          // eslint-disable-next-line no-param-reassign
+          counts.user = users;
+        });
+        return changed ? rollup : null;
+      }, { log, initial: { events: [], hours: {} } });
+      if (updated) {
+        touched.push(day);
+      }
+    }
+    return touched;
+  }
+
+  /**
+   * Removes the rollups of the days that ended before a cutoff time.
+   *
+   * @param {number} before cutoff time in milliseconds
+   * @returns {Promise<string[]>} days removed, in `YYYY-MM-DD` format
+   */
+  async expire(before) {
+    const { contentBusId, log, storage } = this;
+
+    const days = (await this.#listDays())
+      .filter((day) => DateFormat.parse(`${day}-00-00-00`).getTime() + DAY <= before);
+    for (const day of days) {
+      // eslint-disable-next-line no-await-in-loop
+      await storage.delete(`${contentBusId}/${ROLLUPS_FOLDER}/${day}.gz`);
+    }
+    if (days.length) {
+      log.info(`Expired ${days.length} rollups of ${contentBusId}`);
+    }
+    return days;
+  }
+
+  /**
+   * Counts a batch of media events in the rollups of the days they occurred. Every
+   * rollup records the IDs of the events counted, so an event that is redelivered, on
+   * its own or in another batch, is not counted again.
+   *
+   * @param {object[]} updates media events
+   */
+  async update(updates) {
+    const { contentBusId, log, storage } = this;
+
+    const days = new Map();
+    updates.forEach((update) => {
+      const date = DateFormat.format(new Date(update.timestamp));
+      const day = date.substring(0, 10);
+      if (!days.has(day)) {
+        days.set(day, new Map());
+      }
+      days.get(day).set(getEventId(update), { hour: date.substring(11, 13), update });
+    });
+
+    for (const [day, events] of days) {
+      // eslint-disable-next-line no-await-in-loop
+      await updateJSON(storage, `${contentBusId}/${ROLLUPS_FOLDER}/${day}.gz`, (rollup) => {
+        // rollups written before events were identified have none recorded
+        const counted = new Set(rollup.events ?? []);
+        const added = [...events].filter(([id]) => !counted.has(id));
+        if (!added.length) {
+          log.info(`Events already counted in rollup ${day} of ${contentBusId}`);
+          return null;
+        }
+        added.forEach(([id, { hour, update }]) => {
+          counted.add(id);
+          // eslint-disable-next-line no-param-reassign
+          rollup.hours[hour] = rollup.hours[hour] ?? emptyCounts();
+          count(rollup.hours[hour], update);
+        });
+        return { events: [...counted], hours: rollup.hours };
+      }, { log, initial: { events: [], hours: {} } });
+    }
+  }
+}
@@ -0,0 +1,81 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import MediaLog from './MediaLog.js';
+
+/**
+ * Webhook configuration in project folder, a plain JSON object so it can be
+ * edited by hand.
+ */
+const WEBHOOKS_FILE = '.webhooks.json';
+
+/**
+ * @typedef Webhook
+ * @property {string} id ID of the webhook, defaults to its URL
+ * @property {string} url URL to deliver media events to
+ * @property {string} secret secret used to sign the payloads
+ * @property {string[]} [operations] operations to deliver, all if missing
+ * @property {string[]} [mimeTypes] MIME types to deliver, either exact or as `type/*`,
+ * all if missing
+ */
+
+/**
+ * Webhook subscriptions of a project, kept in the storage of the media log.
+ */
+export default class Webhooks {
+  constructor(opts) {
+    this.storage = opts.storage;
+    this.contentBusId = opts.contentBusId;
+    this.log = opts.log;
+  }
+
+  /**
+   * Creates the webhook subscriptions of a project
+   *
+   * @param {import('@adobe/helix-universal').UniversalContext} context context
+   * @param {object} opts options
+   * @param {string} opts.contentBusId content bus ID
+   * @returns {Promise<Webhooks>} webhook subscriptions
+   */
+  static async create(context, opts) {
+    const { log } = context;
+    const { contentBusId } = opts;
+    const storage = await MediaLog.createStorage(context);
+    return new Webhooks({ storage, contentBusId, log });
+  }
+
+  /**
+   * Returns the webhooks configured, skipping the ones without URL or secret.
+   *
+   * @returns {Promise<Webhook[]>} webhooks
+   */
+  async get() {
+    const { contentBusId, log, storage } = this;
+    const key = `${contentBusId}/${WEBHOOKS_FILE}`;
+
+    const object = await storage.get(key);
+    if (!object) {
+      return [];
+    }
+    const config = JSON.parse(object.body.toString());
+
+    const webhooks = Array.isArray(config?.webhooks) ? config.webhooks : [];
+    return webhooks
+      .filter((webhook) => {
+        if (!webhook?.url || !webhook.secret) {
+          log.warn(`Ignoring webhook without url or secret in ${key}`);
+          return false;
+        }
+        return true;
+      })
+      .map((webhook) => ({ id: webhook.url, ...webhook }));
+  }
+}
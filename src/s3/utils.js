@@ -0,0 +1,167 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { promisify } from 'util';
+import zlib from 'zlib';
+import { ConflictError } from '../storage/Storage.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Maximum number of attempts to update an object, when it has been modified concurrently.
+ */
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Bucket to use for media logging, unless configured otherwise.
+ */
+export const BUCKET_NAME = 'helix-media-logs';
+
+/**
+ * Returns a flag indicating whether an error was caused by a conditional write that
+ * failed because the object was modified concurrently.
+ *
+ * @param {Error} e error
+ * @returns {boolean} true if the error is a conflict
+ */
+export function isConflict(e) {
+  if (e instanceof ConflictError) {
+    return true;
+  }
+  const status = e.$metadata?.httpStatusCode;
+  return status === 412 || status === 409;
+}
+
+/**
+ * Returns a flag indicating whether an error was caused by a missing object.
+ *
+ * @param {Error} e error
+ * @returns {boolean} true if the object was not found
+ */
+export function isNotFound(e) {
+  return e.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * Read a gzipped JSON object from a storage.
+ *
+ * @param {import('../storage/Storage.js').Storage} storage storage
+ * @param {string} key key of the object
+ * @returns {Promise<object|null>} object containing contents and ETag, or null if the
+ * object does not exist
+ */
+export async function readJSON(storage, key) {
+  const object = await storage.get(key);
+  if (!object) {
+    return null;
+  }
+  return { contents: JSON.parse(await gunzip(object.body)), etag: object.etag };
+}
+
+/**
+ * Update a gzipped JSON object in a storage with a function that returns the new
+ * contents, given the current ones. If the object is modified concurrently, it is
+ * re-read and the function invoked again, up to a maximum number of attempts.
+ * If the function returns null, the object is left unchanged.
+ *
+ * @param {import('../storage/Storage.js').Storage} storage storage
+ * @param {string} key key of the object
+ * @param {function(any): any} fn function returning the new contents, or null
+ * @param {object} opts options
+ * @param {object} opts.log logger
+ * @param {any} opts.initial contents to pass if the object does not exist
+ * @returns {Promise<any>} contents stored, or null if unchanged
+ */
+export async function updateJSON(storage, key, fn, { log, initial }) {
+  for (let attempt = 1; ; attempt += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const { contents, etag } = await readJSON(storage, key)
+      ?? { contents: structuredClone(initial) };
+    const updated = fn(contents);
+    if (updated === null) {
+      return null;
+    }
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await storage.conditionalPut(key, await gzip(JSON.stringify(updated)), etag, {
+        contentEncoding: 'gzip',
+        contentType: 'application/json',
+      });
+      return updated;
+    } catch (e) {
+      if (!isConflict(e) || attempt === MAX_ATTEMPTS) {
+        throw e;
+      }
+      log.info(`${key} modified concurrently (attempt ${attempt}), retrying`);
+    }
+  }
+}
+
+/**
+ * Times of the last events applied to the references between media and paths, kept
+ * along with state derived from the media log, so that events arriving late are not
+ * applied over newer ones.
+ *
+ * @typedef EventTimes
+ * @property {Object<string, Object<string, number>>} paths time of the last event per
+ * media hash and path
+ * @property {Object<string, number>} cleared time of the last `delete` without a path,
+ * per media hash
+ */
+
+/**
+ * Returns the time of the last event applied to the reference between a media and a path.
+ *
+ * @param {EventTimes} times event times
+ * @param {string} mediaHash media hash
+ * @param {string} path path
+ * @returns {number} time in milliseconds, or `-Infinity` if there was none
+ */
+export function lastEventTime(times, mediaHash, path) {
+  return Math.max(
+    times.paths[mediaHash]?.[path] ?? -Infinity,
+    times.cleared[mediaHash] ?? -Infinity,
+  );
+}
+
+/**
+ * Returns a flag indicating whether a media event must not be applied to the reference
+ * between its media and path, because a newer event was applied already. A `delete` wins
+ * over an `ingest` or `reuse` with the same time, whatever order they arrive in.
+ *
+ * @param {EventTimes} times event times
+ * @param {object} update media event with a path
+ * @returns {boolean} true if the event is outdated
+ */
+export function isOutdated(times, {
+  timestamp, operation, mediaHash, path,
+}) {
+  const last = lastEventTime(times, mediaHash, path);
+  return timestamp < last || (timestamp === last && operation !== 'delete');
+}
+
+/**
+ * Records the time of a media event applied.
+ *
+ * @param {EventTimes} times event times
+ * @param {object} update media event
+ */
+export function recordEventTime(times, { timestamp, mediaHash, path }) {
+  if (path) {
+    // eslint-disable-next-line no-param-reassign
+    times.paths[mediaHash] = { ...times.paths[mediaHash], [path]: timestamp };
+  } else {
+    // eslint-disable-next-line no-param-reassign
+    times.cleared[mediaHash] = Math.max(times.cleared[mediaHash] ?? -Infinity, timestamp);
+  }
+}
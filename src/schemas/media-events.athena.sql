@@ -0,0 +1,22 @@
+-- Athena table over the media events mirrored by the media log, when
+-- HLX_MEDIA_LOG_MIRROR_BUCKET is set. Replace <bucket> with that bucket, then run
+-- `MSCK REPAIR TABLE media_events` to load new partitions.
+CREATE EXTERNAL TABLE IF NOT EXISTS media_events (
+  `eventid` string,
+  `timestamp` bigint,
+  `operation` string,
+  `mediahash` string,
+  `mimetype` string,
+  `user` string,
+  `path` string,
+  `originalfilename` string,
+  `source` string
+)
+PARTITIONED BY (
+  `dt` string,
+  `hour` string,
+  `cbid` string
+)
+ROW FORMAT SERDE 'org.openx.data.jsonserde.JsonSerDe'
+LOCATION 's3://<bucket>/events/'
+TBLPROPERTIES ('has_encrypted_data'='false');
@@ -0,0 +1,131 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Columns available in a sheet, in their default order.
+ */
+export const COLUMNS = [
+  'timestamp',
+  'operation',
+  'mediaHash',
+  'mimeType',
+  'user',
+  'path',
+  'originalFilename',
+  'source',
+];
+
+/**
+ * Fields to consult for a column if the entry doesn't contain a field with the column's name.
+ * Older producers sent `contentType` and `contentSourceType` instead.
+ */
+const FALLBACKS = {
+  mimeType: ['contentType'],
+  source: ['contentSourceType'],
+};
+
+/**
+ * Returns the value of a column in a log entry.
+ *
+ * @param {object} entry log entry
+ * @param {string} column column name
+ * @returns {string|number} value or empty string if the entry has no such field
+ */
+function getValue(entry, column) {
+  const field = [column, ...(FALLBACKS[column] ?? [])].find((name) => entry[name] !== undefined
+    && entry[name] !== null);
+  return field ? entry[field] : '';
+}
+
+/**
+ * Parses a comma separated list of columns.
+ *
+ * @param {string} [value] comma separated list of columns
+ * @returns {string[]|null} columns, or null if some column is unknown
+ */
+export function parseColumns(value) {
+  if (!value) {
+    return COLUMNS;
+  }
+  const columns = value.split(',').map((column) => column.trim()).filter((column) => !!column);
+  if (!columns.length || columns.some((column) => !COLUMNS.includes(column))) {
+    return null;
+  }
+  return columns;
+}
+
+/**
+ * Converts a log entry into a row in a sheet.
+ *
+ * @param {object} entry log entry
+ * @param {string[]} columns columns to include
+ * @returns {object} row
+ */
+export function toRow(entry, columns) {
+  return Object.fromEntries(columns.map((column) => [column, getValue(entry, column)]));
+}
+
+/**
+ * Returns a page of log entries in the Helix sheet format.
+ *
+ * @param {object[]} entries all log entries
+ * @param {object} opts options
+ * @param {number} opts.offset index of first entry to return
+ * @param {number} opts.limit maximum number of entries to return
+ * @param {string[]} opts.columns columns to include
+ * @returns {object} sheet
+ */
+export function toSheet(entries, { offset, limit, columns }) {
+  const data = entries.slice(offset, offset + limit).map((entry) => toRow(entry, columns));
+  return {
+    offset,
+    limit: data.length,
+    total: entries.length,
+    columns,
+    data,
+    ':type': 'sheet',
+  };
+}
+
+/**
+ * Escapes a value for CSV, quoting it if it contains a separator, quote or line break.
+ *
+ * @param {any} value value
+ * @returns {string} escaped value
+ */
+function escapeCSV(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Returns a line of CSV, terminated with a line break.
+ *
+ * @param {any[]} values values
+ * @returns {string} CSV line
+ */
+export function toCSVLine(values) {
+  return `${values.map(escapeCSV).join(',')}\r\n`;
+}
+
+/**
+ * Returns rows as CSV, with a header line containing the columns.
+ *
+ * @param {object[]} rows rows
+ * @param {string[]} columns columns to include
+ * @returns {string} CSV
+ */
+export function toCSV(rows, columns) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map(toCSVLine)
+    .join('');
+}
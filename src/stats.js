@@ -0,0 +1,109 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import processQueue from '@adobe/helix-shared-process-queue';
+import { Response } from '@adobe/fetch';
+import { parseRange } from './query.js';
+import DateFormat from './s3/DateFormat.js';
+import Rollups, { addCounts, emptyCounts } from './s3/Rollups.js';
+import { error } from './utils.js';
+
+/**
+ * Supported granularities, with the length of a bucket in milliseconds.
+ */
+const GRANULARITIES = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Maximum number of days in a window.
+ */
+const MAX_DAYS = 366;
+
+/**
+ * Number of daily rollups to read concurrently.
+ */
+const MAX_CONCURRENT_READS = 8;
+
+/**
+ * Returns the usage statistics of a project as a time series, where every bucket contains
+ * the total number of events and the number of events per operation, MIME type, source
+ * and user. Buckets overlapping the window are returned in full, including empty ones.
+ *
+ * Supported parameters:
+ * - `from`: start of window, in milliseconds or ISO format, defaults to 24 hours before `to`
+ * - `to`: end of window, in milliseconds or ISO format, defaults to now
+ * - `granularity`: `hour` (default) or `day`
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} contentBusId content bus ID
+ * @returns {Promise<Response>} response
+ */
+export default async function stats(context, contentBusId) {
+  const { data = {}, log } = context;
+
+  const range = parseRange(data);
+  if (range.error) {
+    return range.error;
+  }
+  const granularity = data.granularity || 'hour';
+  if (!Object.hasOwn(GRANULARITIES, granularity)) {
+    return error(400, `unsupported granularity: ${granularity}`);
+  }
+  const size = GRANULARITIES[granularity];
+  const { day } = GRANULARITIES;
+  const first = Math.floor(range.from / size) * size;
+  const last = Math.floor(range.to / size) * size;
+  if (Math.floor(range.to / day) - Math.floor(range.from / day) >= MAX_DAYS) {
+    return error(400, `window must not exceed ${MAX_DAYS} days`);
+  }
+
+  const days = [];
+  for (let t = Math.floor(range.from / day) * day; t <= range.to; t += day) {
+    days.push(DateFormat.format(new Date(t)).substring(0, 10));
+  }
+
+  try {
+    const rollups = await Rollups.create(context, { contentBusId });
+    const buckets = new Map();
+    await processQueue(days, async (d) => {
+      const rollup = await rollups.get(d);
+      Object.entries(rollup?.hours ?? {}).forEach(([hour, counts]) => {
+        const time = Math.floor(Date.parse(`${d}T${hour}:00:00Z`) / size) * size;
+        if (time >= first && time <= last) {
+          if (!buckets.has(time)) {
+            buckets.set(time, emptyCounts());
+          }
+          addCounts(buckets.get(time), counts);
+        }
+      });
+    }, MAX_CONCURRENT_READS);
+
+    const series = [];
+    for (let time = first; time <= last; time += size) {
+      series.push({ time: new Date(time).toISOString(), ...(buckets.get(time) ?? emptyCounts()) });
+    }
+    return new Response(JSON.stringify({
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+      granularity,
+      series,
+    }), {
+      headers: {
+        'content-type': 'application/json',
+      },
+    });
+  } catch (e) {
+    log.error(`Unable to read statistics of ${contentBusId}: ${e.message}`);
+    return error(500, 'error reading statistics.');
+  }
+}
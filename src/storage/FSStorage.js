@@ -0,0 +1,236 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { ConflictError } from './Storage.js';
+
+/**
+ * Suffix of the file next to every object that contains its ETag and metadata.
+ */
+const META_SUFFIX = '.meta.json';
+
+/**
+ * Suffix of the temporary file an object is written to before it is renamed.
+ */
+const TMP_SUFFIX = '.tmp';
+
+/**
+ * Reads and writes in progress per file, so that they happen one after the other in this
+ * process, including the comparison of a conditional put.
+ */
+const locks = new Map();
+
+/**
+ * Runs a function while holding the lock of a file.
+ *
+ * @param {string} file file path
+ * @param {function(): Promise<any>} fn function to run
+ * @returns {Promise<any>} result of the function
+ */
+async function exclusive(file, fn) {
+  const previous = locks.get(file) ?? Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  locks.set(file, current);
+  try {
+    return await current;
+  } finally {
+    if (locks.get(file) === current) {
+      locks.delete(file);
+    }
+  }
+}
+
+/**
+ * Returns the ETag of some contents, computed like S3 does for objects uploaded in
+ * one part.
+ *
+ * @param {Buffer} body contents
+ * @returns {string} ETag
+ */
+function computeETag(body) {
+  return `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+}
+
+/**
+ * Returns a flag indicating whether an error was caused by a missing file.
+ *
+ * @param {Error} e error
+ * @returns {boolean} true if the file was not found
+ */
+function isMissing(e) {
+  return e.code === 'ENOENT' || e.code === 'ENOTDIR';
+}
+
+/**
+ * Reads the ETag and metadata of an object, computing the ETag from the contents if
+ * the object was not written by this storage. If the contents are given, the ETag is
+ * always computed from them, so that it matches them even if the object was replaced
+ * by another process in between.
+ *
+ * @param {string} file file path
+ * @param {Buffer} [body] contents, if already read
+ * @returns {Promise<object>} object containing ETag and metadata
+ */
+async function readMeta(file, body) {
+  let meta = { metadata: {} };
+  try {
+    meta = JSON.parse(await fs.readFile(`${file}${META_SUFFIX}`, 'utf-8'));
+  } catch (e) {
+    if (!isMissing(e)) {
+      throw e;
+    }
+  }
+  if (body) {
+    return { etag: computeETag(body), metadata: meta.metadata };
+  }
+  return { etag: meta.etag ?? computeETag(await fs.readFile(file)), metadata: meta.metadata };
+}
+
+/**
+ * Returns the ETag, size and metadata of an object.
+ *
+ * @param {string} file file path
+ * @returns {Promise<object|null>} object containing ETag, size and metadata, or null
+ */
+async function stat(file) {
+  try {
+    const { size } = await fs.stat(file);
+    const { etag, metadata } = await readMeta(file);
+    return { etag, size, metadata };
+  } catch (e) {
+    if (!isMissing(e)) {
+      throw e;
+    }
+  }
+  return null;
+}
+
+/**
+ * Writes an object and its ETag and metadata to temporary files first, which are then
+ * renamed, so readers never see a partially written object. Readers in this process hold
+ * the lock of the file, so they see the contents along with their ETag.
+ *
+ * @param {string} file file path
+ * @param {Buffer|string} body contents
+ * @param {object} metadata user defined metadata
+ */
+async function writeObject(file, body, metadata = {}) {
+  const buf = Buffer.from(body);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(`${file}${TMP_SUFFIX}`, buf);
+  await fs.writeFile(`${file}${META_SUFFIX}${TMP_SUFFIX}`, JSON.stringify({
+    etag: computeETag(buf), metadata,
+  }));
+  await fs.rename(`${file}${TMP_SUFFIX}`, file);
+  await fs.rename(`${file}${META_SUFFIX}${TMP_SUFFIX}`, `${file}${META_SUFFIX}`);
+}
+
+/**
+ * Storage implemented in a directory of the local filesystem, e.g. to run the
+ * pipeline locally. Every object is a file, with its ETag and metadata kept in a
+ * file next to it; content type and encoding are not kept. Conditional puts are
+ * exclusive within this process only.
+ *
+ * @implements {import('./Storage.js').Storage}
+ */
+export default class FSStorage {
+  /**
+   * @param {object} opts options
+   * @param {string} opts.root root directory
+   */
+  constructor(opts) {
+    this.root = path.resolve(opts.root);
+  }
+
+  /**
+   * Returns the path of the file containing an object.
+   *
+   * @param {string} key key
+   * @returns {string} file path
+   */
+  #resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(`${this.root}${path.sep}`)) {
+      throw new Error(`Key outside of storage root: ${key}`);
+    }
+    return file;
+  }
+
+  async get(key) {
+    const file = this.#resolve(key);
+    return exclusive(file, async () => {
+      try {
+        const body = await fs.readFile(file);
+        const { etag, metadata } = await readMeta(file, body);
+        return {
+          body, etag, size: body.length, metadata,
+        };
+      } catch (e) {
+        if (!isMissing(e)) {
+          throw e;
+        }
+      }
+      return null;
+    });
+  }
+
+  async head(key) {
+    const file = this.#resolve(key);
+    return exclusive(file, () => stat(file));
+  }
+
+  async put(key, body, opts = {}) {
+    const file = this.#resolve(key);
+    await exclusive(file, () => writeObject(file, body, opts.metadata));
+  }
+
+  async conditionalPut(key, body, etag, opts = {}) {
+    const file = this.#resolve(key);
+    await exclusive(file, async () => {
+      const info = await stat(file);
+      if (etag ? info?.etag !== etag : info) {
+        throw new ConflictError(`${key} has been modified concurrently`);
+      }
+      await writeObject(file, body, opts.metadata);
+    });
+  }
+
+  async delete(key) {
+    const file = this.#resolve(key);
+    await exclusive(file, async () => {
+      await fs.rm(file, { force: true });
+      await fs.rm(`${file}${META_SUFFIX}`, { force: true });
+    });
+  }
+
+  async list(prefix = '') {
+    const dir = prefix ? this.#resolve(prefix) : this.root;
+    let dirents = [];
+    try {
+      dirents = await fs.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      if (!isMissing(e)) {
+        throw e;
+      }
+    }
+    const names = (filter) => dirents
+      .filter(filter)
+      .map(({ name }) => name)
+      .sort();
+    return {
+      keys: names((d) => d.isFile() && !d.name.endsWith(META_SUFFIX)
+        && !d.name.endsWith(TMP_SUFFIX)).map((name) => `${prefix}${name}`),
+      folders: names((d) => d.isDirectory()).map((name) => `${prefix}${name}/`),
+    };
+  }
+}
@@ -0,0 +1,119 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import {
+  DeleteObjectCommand, GetObjectCommand, HeadObjectCommand, ListObjectsV2Command,
+  PutObjectCommand, S3Client,
+} from '@aws-sdk/client-s3';
+import { Response } from '@adobe/fetch';
+import { BUCKET_NAME, isConflict, isNotFound } from '../s3/utils.js';
+import { ConflictError } from './Storage.js';
+
+/**
+ * Storage implemented in an S3 bucket.
+ *
+ * @implements {import('./Storage.js').Storage}
+ */
+export default class S3Storage {
+  /**
+   * @param {object} [opts] options
+   * @param {S3Client} [opts.s3] S3 client
+   * @param {string} [opts.bucket] bucket name
+   */
+  constructor(opts = {}) {
+    this.s3 = opts.s3 ?? new S3Client({});
+    this.bucket = opts.bucket ?? BUCKET_NAME;
+  }
+
+  async get(key) {
+    const { bucket, s3 } = this;
+    try {
+      const res = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return {
+        body: await new Response(res.Body, {}).buffer(),
+        etag: res.ETag,
+        size: res.ContentLength,
+        metadata: res.Metadata ?? {},
+      };
+    } catch (e) {
+      if (!isNotFound(e)) {
+        throw e;
+      }
+    }
+    return null;
+  }
+
+  async head(key) {
+    const { bucket, s3 } = this;
+    try {
+      const res = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return { etag: res.ETag, size: res.ContentLength, metadata: res.Metadata ?? {} };
+    } catch (e) {
+      if (!isNotFound(e)) {
+        throw e;
+      }
+    }
+    return null;
+  }
+
+  async put(key, body, opts = {}) {
+    await this.#send(key, body, opts);
+  }
+
+  async conditionalPut(key, body, etag, opts = {}) {
+    try {
+      await this.#send(key, body, opts, etag ? { IfMatch: etag } : { IfNoneMatch: '*' });
+    } catch (e) {
+      if (isConflict(e)) {
+        throw new ConflictError(e.message, { cause: e });
+      }
+      throw e;
+    }
+  }
+
+  async #send(key, body, { contentType, contentEncoding, metadata }, conditions = {}) {
+    const { bucket, s3 } = this;
+    await s3.send(new PutObjectCommand({
+      Body: body,
+      Bucket: bucket,
+      ContentEncoding: contentEncoding,
+      ContentType: contentType,
+      Key: key,
+      Metadata: metadata,
+      ...conditions,
+    }));
+  }
+
+  async delete(key) {
+    const { bucket, s3 } = this;
+    await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  }
+
+  async list(prefix = '') {
+    const { bucket, s3 } = this;
+    const keys = [];
+    const folders = [];
+    let token;
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await s3.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix || undefined,
+        Delimiter: '/',
+        ContinuationToken: token,
+      }));
+      keys.push(...(res.Contents ?? []).map(({ Key }) => Key));
+      folders.push(...(res.CommonPrefixes ?? []).map(({ Prefix }) => Prefix));
+      token = res.NextContinuationToken;
+    } while (token);
+    return { keys, folders };
+  }
+}
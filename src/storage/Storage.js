@@ -0,0 +1,68 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Object read from a storage, along with its properties.
+ *
+ * @typedef StoredObject
+ * @property {Buffer} body contents
+ * @property {string} etag entity tag, changes whenever the object is written
+ * @property {number} size size in bytes
+ * @property {object} metadata user defined metadata
+ */
+
+/**
+ * Properties of an object, without its contents.
+ *
+ * @typedef ObjectInfo
+ * @property {string} etag entity tag
+ * @property {number} size size in bytes
+ * @property {object} metadata user defined metadata
+ */
+
+/**
+ * @typedef PutOptions
+ * @property {string} [contentType] content type
+ * @property {string} [contentEncoding] content encoding
+ * @property {object} [metadata] user defined metadata, string values only
+ */
+
+/**
+ * Objects and folders directly below a prefix.
+ *
+ * @typedef Listing
+ * @property {string[]} keys keys of the objects
+ * @property {string[]} folders prefixes of the folders, ending with a slash
+ */
+
+/**
+ * Object storage the media log is kept in. Keys are slash separated paths.
+ *
+ * @typedef Storage
+ * @property {function(string): Promise<StoredObject|null>} get returns an object, or
+ * null if it does not exist
+ * @property {function(string): Promise<ObjectInfo|null>} head returns the properties
+ * of an object, or null if it does not exist
+ * @property {function(string, Buffer|string, PutOptions=): Promise<void>} put stores an
+ * object, overwriting it if it exists
+ * @property {function(string, Buffer|string, string=, PutOptions=): Promise<void>}
+ * conditionalPut stores an object provided it still has the ETag given, or does not
+ * exist if no ETag is given, and throws a {@link ConflictError} otherwise
+ * @property {function(string): Promise<void>} delete deletes an object, if it exists
+ * @property {function(string): Promise<Listing>} list lists the objects and folders
+ * directly below a prefix, which is either empty or ends with a slash
+ */
+
+/**
+ * Thrown by a conditional put when the object was modified or created concurrently.
+ */
+export class ConflictError extends Error {}
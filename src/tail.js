@@ -0,0 +1,136 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { Response } from '@adobe/fetch';
+import MediaLog from './s3/MediaLog.js';
+import { error } from './utils.js';
+
+/**
+ * Time clients wait before reconnecting to get the next entries, in milliseconds.
+ */
+export const POLL = {
+  interval: 2000,
+};
+
+/**
+ * Operations that can be filtered by.
+ */
+const OPERATIONS = ['ingest', 'reuse', 'delete'];
+
+/**
+ * Formats a cursor as opaque event ID.
+ *
+ * @param {import('./s3/MediaLog.js').TailCursor} cursor cursor
+ * @returns {string} event ID
+ */
+function formatCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Parses an event ID into a cursor, checking the types of its properties.
+ *
+ * @param {string} value event ID
+ * @returns {import('./s3/MediaLog.js').TailCursor|null} cursor or null if invalid
+ */
+function parseCursor(value) {
+  try {
+    const {
+      id, timestamp, seen = [], indexEtag, etag,
+    } = JSON.parse(Buffer.from(value, 'base64url').toString()) ?? {};
+    if (typeof id !== 'string' || !/^[0-9A-Za-z-]*$/.test(id)
+      || (timestamp !== undefined && !Number.isInteger(timestamp))
+      || !Array.isArray(seen) || seen.some((shortId) => typeof shortId !== 'string')
+      || [indexEtag, etag].some((tag) => tag !== undefined && typeof tag !== 'string')) {
+      return null;
+    }
+    return {
+      id, timestamp, seen, indexEtag, etag,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the SSE messages for new entries: one message per entry, where the last
+ * message carries the cursor as ID.
+ *
+ * @param {object[]} entries entries to send
+ * @param {string} id event ID to send
+ * @returns {string} messages
+ */
+function toMessages(entries, id) {
+  const messages = entries.map((entry) => `data: ${JSON.stringify(entry)}\n`);
+  if (messages.length) {
+    messages[messages.length - 1] = `id: ${id}\n${messages.at(-1)}`;
+  } else {
+    messages.push(`id: ${id}\n`);
+  }
+  return messages.map((message) => `${message}\n`).join('');
+}
+
+/**
+ * Returns the entries appended to the media log of a project as Server-Sent Events, one
+ * message per entry containing it as JSON. The stream starts at the end of the log, or
+ * after the position sent by a reconnecting client in `Last-Event-ID`. Every response
+ * polls the media log once and ends right away, so `EventSource` clients reconnect after
+ * the `retry` interval and continue where they left off.
+ *
+ * Supported parameters:
+ * - `operation`: comma separated list of operations to return
+ * - `user`: user to return events of, compared case insensitively
+ * - `lastEventId`: position to continue from, if the `Last-Event-ID` header is missing
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} contentBusId content bus ID
+ * @param {import('@adobe/fetch').Request} request request
+ * @returns {Promise<Response>} response
+ */
+export default async function tail(context, contentBusId, request) {
+  const { data = {}, log } = context;
+
+  let cursor;
+  const lastEventId = request?.headers.get('last-event-id') ?? data.lastEventId;
+  if (lastEventId) {
+    cursor = parseCursor(String(lastEventId));
+    if (!cursor) {
+      return error(400, 'invalid \'Last-Event-ID\'');
+    }
+  }
+  let operations;
+  if (data.operation) {
+    operations = String(data.operation).split(',').map((op) => op.trim());
+    if (operations.some((op) => !OPERATIONS.includes(op))) {
+      return error(400, 'invalid \'operation\' parameter');
+    }
+  }
+  const user = data.user ? String(data.user).toLowerCase() : undefined;
+  const matches = (entry) => (!operations || operations.includes(entry.operation))
+    && (!user || entry.user?.toLowerCase() === user);
+
+  const mediaLog = await MediaLog.create(context, { contentBusId });
+  try {
+    const result = await mediaLog.tail(cursor);
+    const messages = toMessages(result.entries.filter(matches), formatCursor(result.cursor));
+    return new Response(`retry: ${POLL.interval}\n\n${messages}`, {
+      headers: {
+        'content-type': 'text/event-stream',
+        'cache-control': 'no-cache',
+      },
+    });
+  } catch (e) {
+    log.error(`Unable to tail media log of ${contentBusId}: ${e.message}`);
+    return error(500, 'error reading media log.');
+  } finally {
+    mediaLog.close();
+  }
+}
@@ -11,10 +11,21 @@
  */
 import { DeleteObjectCommand, GetObjectCommand, S3Client } from '@aws-sdk/client-s3';
 import { Response } from '@adobe/fetch';
-import MediaLog from './s3/MediaLog.js';
+import EventMirror from './s3/EventMirror.js';
+import Inventory from './s3/Inventory.js';
+import MediaLog, { isOrgLog } from './s3/MediaLog.js';
+import References from './s3/References.js';
+import Rollups from './s3/Rollups.js';
+import { deliver } from './webhooks.js';
 
 /**
- * Processes the record updates per contentBusId
+ * Processes the record updates per contentBusId. The inventory, references and rollups
+ * are updated first: this is idempotent, so if appending to the media log fails and the
+ * message is redelivered, they do not change again. The mirror, if enabled, and webhooks
+ * only receive the events after they were appended successfully, and only those that were
+ * not in the media log already, so a redelivered event is neither mirrored nor delivered
+ * twice. Organization aggregate logs only get the events appended, as their events are
+ * processed with their projects already.
  *
  * @param {import('@adobe/helix-universal').UniversalContext} context request context
  * @param {string} contentBusId content bus ID
@@ -28,8 +39,28 @@ async function processUpdates(context, contentBusId, updates) {
   });
 
   try {
-    const objectName = await mediaLog.append(updates);
-    log.info(`[${ID}] appended ${updates.length} media events to: ${objectName}`);
+    const orgLog = isOrgLog(contentBusId);
+    if (!orgLog) {
+      const inventory = await Inventory.create(context, { contentBusId });
+      await inventory.update(updates);
+      const references = await References.create(context, { contentBusId });
+      await references.update(updates);
+      const rollups = await Rollups.create(context, { contentBusId });
+      await rollups.update(updates);
+    }
+
+    const { key: objectName, added } = await mediaLog.append(updates);
+    log.info(`[${ID}] appended ${added.length} media events to: ${objectName}`);
+
+    if (!orgLog && added.length) {
+      try {
+        const mirror = await EventMirror.create(context, { contentBusId });
+        await mirror?.write(added);
+      } catch (e) {
+        log.warn(`[${ID}] unable to mirror ${added.length} media events of ${contentBusId}: ${e.message}`);
+      }
+      await deliver(context, contentBusId, added);
+    }
   } finally {
     mediaLog.close();
   }
@@ -110,13 +141,14 @@ async function processMessage(context, message) {
 }
 
 /**
- * Get triggered from SQS when new messages are available and processes them.
+ * Processes SQS records, either received by the trigger or replayed from the
+ * dead-letter queue.
  *
  * @param {import("@adobe/helix-universal").UniversalContext} context context
  * @param {array} messages array of messages
  * @returns {Promise<any>} an object containing failures
  */
-async function doRun(context, messages) {
+export async function processRecords(context, messages) {
   const { log } = context;
 
   /* c8 ignore next 3 */
@@ -150,8 +182,15 @@ async function doRun(context, messages) {
   return ret;
 }
 
+/**
+ * Get triggered from SQS when new messages are available and processes them.
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @param {array} messages array of messages
+ * @returns {Promise<Response>} a response containing failures
+ */
 export default async function run(context, messages) {
-  const ret = await doRun(context, messages);
+  const ret = await processRecords(context, messages);
   return new Response(JSON.stringify(ret), {
     headers: {
       'content-type': 'application/json',
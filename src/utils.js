@@ -0,0 +1,127 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import processQueue from '@adobe/helix-shared-process-queue';
+import { Response } from '@adobe/fetch';
+import MediaLog from './s3/MediaLog.js';
+import S3Storage from './storage/S3Storage.js';
+
+/**
+ * Number of projects a job processes concurrently.
+ */
+const MAX_CONCURRENT_PROJECTS = 4;
+
+/**
+ * Returns an error response.
+ *
+ * @param {number} status status code
+ * @param {string} message error message
+ * @returns {Response} response
+ */
+export function error(status, message) {
+  return new Response('', {
+    status,
+    headers: {
+      'x-error': message,
+    },
+  });
+}
+
+/**
+ * Returns a configuration object from an environment variable, which contains either
+ * the object as JSON, or the S3 URL of an object containing it. Returns an empty
+ * object if the variable is not set or does not contain a valid object.
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} name name of the environment variable
+ * @returns {Promise<object>} configuration object
+ */
+export async function getConfig(context, name) {
+  const { env: { [name]: value } = {}, log } = context;
+  if (value) {
+    try {
+      let json = value;
+      if (value.startsWith('s3://')) {
+        const { host, pathname } = new URL(value);
+        const object = await new S3Storage({ bucket: host }).get(pathname.substring(1));
+        if (!object) {
+          throw new Error('object not found');
+        }
+        json = object.body.toString();
+      }
+      const config = JSON.parse(json);
+      if (config && typeof config === 'object' && !Array.isArray(config)) {
+        return config;
+      }
+      log.warn(`${name} does not contain a JSON object: ${value}`);
+    } catch (e) {
+      log.warn(`error evaluating ${value} for ${name}: ${e.message}`);
+    }
+  }
+  return {};
+}
+
+/**
+ * Returns the content bus IDs a job should process: either the ones passed in
+ * `contentBusIds`, as array or comma separated list, or all projects in the storage.
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @returns {Promise<string[]>} content bus IDs
+ */
+export async function getContentBusIds(context) {
+  const { data: { contentBusIds } = {} } = context;
+  if (Array.isArray(contentBusIds)) {
+    return contentBusIds;
+  }
+  if (contentBusIds) {
+    return String(contentBusIds).split(',').map((id) => id.trim()).filter((id) => !!id);
+  }
+  return MediaLog.listProjects(context);
+}
+
+/**
+ * Runs a job for every project to process. Errors in a single project are logged
+ * and reported in its result, without stopping the job.
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} name job name
+ * @param {function(MediaLog, string): Promise<object>} fn function to invoke with the
+ * media log of every project, returning the result for that project
+ * @returns {Promise<Response>} response containing the results, sorted by content bus ID
+ */
+export async function runJob(context, name, fn) {
+  const { log } = context;
+
+  try {
+    const contentBusIds = await getContentBusIds(context);
+    const results = await processQueue(contentBusIds, async (contentBusId) => {
+      const mediaLog = await MediaLog.create(context, { contentBusId });
+      try {
+        return { contentBusId, ...await fn(mediaLog, contentBusId) };
+      } catch (e) {
+        log.warn(`Unable to run ${name} job for ${contentBusId}: ${e.message}`);
+        return { contentBusId, error: e.message };
+      } finally {
+        mediaLog.close();
+      }
+    }, MAX_CONCURRENT_PROJECTS);
+
+    results.sort((r1, r2) => r1.contentBusId.localeCompare(r2.contentBusId));
+    return new Response(JSON.stringify({ job: name, projects: results }), {
+      headers: {
+        'content-type': 'application/json',
+      },
+    });
+  } catch (e) {
+    log.error(`An error occurred while running ${name} job: ${e}`);
+    return error(500, `error running ${name} job.`);
+  }
+}
@@ -0,0 +1,35 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import Ajv from 'ajv';
+import mediaEventSchema from './schemas/media-event-v1.schema.cjs';
+
+const ajv = new Ajv({ allErrors: true });
+
+const validateMediaEvent = ajv.compile(mediaEventSchema);
+
+/**
+ * ID of the schema media events are validated against.
+ */
+export const SCHEMA_ID = mediaEventSchema.$id;
+
+/**
+ * Validates a media event.
+ *
+ * @param {any} event media event
+ * @returns {string|null} validation error or null if the event is valid
+ */
+export function validate(event) {
+  if (validateMediaEvent(event)) {
+    return null;
+  }
+  return ajv.errorsText(validateMediaEvent.errors, { dataVar: 'event' });
+}
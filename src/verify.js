@@ -0,0 +1,28 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { runJob } from './utils.js';
+
+/**
+ * Verifies the index of every project against the log files in its folder, reporting
+ * index entries without log file, log files missing from the index, log files that
+ * cannot be read and index entries with a different number of events. With `repair`,
+ * the index is also rebuilt from the log files and unreadable log files are quarantined.
+ *
+ * @param {import("@adobe/helix-universal").UniversalContext} context context
+ * @returns {Promise<Response>} a response containing the verification result per project
+ */
+export default async function verify(context) {
+  const { data: { repair } = {} } = context;
+  return runJob(context, 'verify', async (mediaLog) => (
+    repair === true || repair === 'true' ? mediaLog.repair() : mediaLog.verify()
+  ));
+}
@@ -0,0 +1,234 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import crypto from 'crypto';
+import { setTimeout } from 'timers/promises';
+import { fetch, Response, timeoutSignal } from '@adobe/fetch';
+import DateFormat from './s3/DateFormat.js';
+import DeliveryLog from './s3/DeliveryLog.js';
+import { getEventId } from './s3/MediaLog.js';
+import Webhooks from './s3/Webhooks.js';
+import { error } from './utils.js';
+
+/**
+ * Retry policy of deliveries: the number of attempts, and the delay before the
+ * first retry in milliseconds, which doubles with every further retry.
+ */
+export const RETRY = {
+  attempts: 3,
+  delay: 1000,
+};
+
+/**
+ * Timeout of a delivery attempt, in milliseconds.
+ */
+const DELIVERY_TIMEOUT = 10000;
+
+/**
+ * Delivery statuses that can be queried.
+ */
+const STATUSES = ['delivered', 'failed'];
+
+/**
+ * Returns a flag indicating whether a MIME type matches a pattern, which is either
+ * a MIME type or a wildcard like `image/*`.
+ *
+ * @param {string} mimeType MIME type
+ * @param {string} pattern pattern
+ * @returns {boolean} true if the MIME type matches
+ */
+function matchesMimeType(mimeType, pattern) {
+  return pattern.endsWith('/*')
+    ? mimeType.startsWith(pattern.substring(0, pattern.length - 1))
+    : mimeType === pattern;
+}
+
+/**
+ * Returns a flag indicating whether a media event should be delivered to a webhook.
+ *
+ * @param {import('./s3/Webhooks.js').Webhook} webhook webhook
+ * @param {object} update media event
+ * @returns {boolean} true if the webhook subscribed to the event
+ */
+export function matches({ operations, mimeTypes }, update) {
+  if (Array.isArray(operations) && !operations.includes(update.operation)) {
+    return false;
+  }
+  if (Array.isArray(mimeTypes)) {
+    const mimeType = update.mimeType ?? update.contentType ?? '';
+    return mimeTypes.some((pattern) => matchesMimeType(mimeType, pattern));
+  }
+  return true;
+}
+
+/**
+ * Signs a payload with the secret of a webhook. Receivers verify a delivery by
+ * computing the same signature over the raw request body.
+ *
+ * @param {string} secret secret
+ * @param {string} body payload
+ * @returns {string} signature
+ */
+export function sign(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Returns the ID of a delivery, derived from the webhook and the identities of the events
+ * delivered, so that receivers recognize the same events delivered again.
+ *
+ * @param {import('./s3/Webhooks.js').Webhook} webhook webhook
+ * @param {object[]} events media events
+ * @returns {string} delivery ID
+ */
+export function getDeliveryId(webhook, events) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([webhook.id, events.map(getEventId)]))
+    .digest('hex')
+    .substring(0, 32);
+}
+
+/**
+ * Delivers media events to a webhook, retrying with exponential backoff on network
+ * errors, `429` and server errors.
+ *
+ * @param {string} contentBusId content bus ID
+ * @param {import('./s3/Webhooks.js').Webhook} webhook webhook
+ * @param {object[]} events media events
+ * @returns {Promise<import('./s3/DeliveryLog.js').DeliveryAttempt[]>} attempts made
+ */
+async function deliverTo(contentBusId, webhook, events) {
+  const deliveryId = getDeliveryId(webhook, events);
+  const timestamp = Date.now();
+  const body = JSON.stringify({
+    deliveryId, webhook: webhook.id, contentBusId, timestamp, events,
+  });
+  const headers = {
+    'content-type': 'application/json',
+    'x-media-log-delivery': deliveryId,
+    'x-media-log-signature': sign(webhook.secret, body),
+  };
+
+  const attempts = [];
+  for (let attempt = 1; attempt <= RETRY.attempts; attempt += 1) {
+    if (attempt > 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await setTimeout(RETRY.delay * 2 ** (attempt - 2));
+    }
+    const start = Date.now();
+    const result = {
+      timestamp: start,
+      deliveryId,
+      webhook: webhook.id,
+      url: webhook.url,
+      attempt,
+      events: events.length,
+    };
+    let retry = true;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await fetch(webhook.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: timeoutSignal(DELIVERY_TIMEOUT),
+      });
+      result.status = res.status;
+      if (!res.ok) {
+        result.error = `webhook returned ${res.status}`;
+        retry = res.status === 429 || res.status >= 500;
+      }
+    } catch (e) {
+      result.error = e.message;
+    }
+    result.duration = Date.now() - start;
+    attempts.push(result);
+    if (!result.error || !retry) {
+      break;
+    }
+  }
+  return attempts;
+}
+
+/**
+ * Delivers media events that were appended to the media log of a project to the
+ * webhooks subscribed to them, and records every attempt in the delivery log.
+ * Failures are logged and never fail the processing of the media events.
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} contentBusId content bus ID
+ * @param {object[]} updates media events
+ * @returns {Promise<import('./s3/DeliveryLog.js').DeliveryAttempt[]>} attempts made
+ */
+export async function deliver(context, contentBusId, updates) {
+  const { log } = context;
+
+  try {
+    const webhooks = await (await Webhooks.create(context, { contentBusId })).get();
+    const results = await Promise.all(webhooks.map(async (webhook) => {
+      const events = updates.filter((update) => matches(webhook, update));
+      return events.length ? deliverTo(contentBusId, webhook, events) : [];
+    }));
+    const attempts = results.flat();
+    if (attempts.length) {
+      attempts
+        .filter(({ error: e }) => e)
+        .forEach(({ webhook, attempt, error: e }) => {
+          log.warn(`Delivery attempt ${attempt} to webhook ${webhook} of ${contentBusId} failed: ${e}`);
+        });
+      const deliveryLog = await DeliveryLog.create(context, { contentBusId });
+      await deliveryLog.append(attempts);
+    }
+    return attempts;
+  } catch (e) {
+    log.error(`Unable to deliver media events of ${contentBusId} to webhooks: ${e.message}`);
+    return [];
+  }
+}
+
+/**
+ * Returns the attempts to deliver media events of a project to its webhooks on one day.
+ *
+ * Supported parameters:
+ * - `day`: day in `YYYY-MM-DD` format, defaults to today
+ * - `webhook`: ID of a webhook, to only return attempts to deliver to it
+ * - `status`: `delivered` or `failed`, to only return successful or failed attempts
+ *
+ * @param {import('@adobe/helix-universal').UniversalContext} context context
+ * @param {string} contentBusId content bus ID
+ * @returns {Promise<Response>} response
+ */
+export default async function deliveries(context, contentBusId) {
+  const { data = {}, log } = context;
+
+  const day = data.day || DateFormat.format(new Date()).substring(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    return error(400, '\'day\' must be in YYYY-MM-DD format');
+  }
+  if (data.status && !STATUSES.includes(data.status)) {
+    return error(400, `'status' must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  try {
+    const deliveryLog = await DeliveryLog.create(context, { contentBusId });
+    const attempts = (await deliveryLog.get(day))
+      .filter(({ webhook }) => !data.webhook || webhook === data.webhook)
+      .filter((attempt) => !data.status || (data.status === 'failed') === !!attempt.error);
+    return new Response(JSON.stringify({ day, deliveries: attempts }), {
+      headers: {
+        'content-type': 'application/json',
+      },
+    });
+  } catch (e) {
+    log.error(`Unable to read delivery log of ${contentBusId}: ${e.message}`);
+    return error(500, 'error reading delivery log.');
+  }
+}
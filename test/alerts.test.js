@@ -0,0 +1,358 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import sinon from 'sinon';
+
+import checkAlerts from '../src/alerts.js';
+import MediaLog, { getEventId } from '../src/s3/MediaLog.js';
+import { readJSON } from '../src/s3/utils.js';
+import { createReceiver, Nock } from './utils.js';
+
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (config, env = {}) => ({
+  log: console,
+  env: config ? { HLX_MEDIA_LOG_ALERTS: JSON.stringify(config), ...env } : env,
+});
+
+describe('Alerts tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const start = Date.parse('2024-08-01T01:30:00Z');
+
+  const events = (count, operation, user, interval) => [...Array(count).keys()].map((i) => ({
+    timestamp: start + i * interval,
+    operation,
+    mediaHash: `${i}3872adbc8f226c65c00a81078b84ab4152476fc7`,
+    mimeType: 'image/png',
+    user,
+    path: '/docs/faq',
+  }));
+
+  const userKey = (user) => crypto.createHash('sha256').update(user).digest('hex');
+
+  let nock;
+  let receiver;
+  let clock;
+
+  beforeEach(async () => {
+    nock = new Nock().env();
+    receiver = await createReceiver();
+    clock = sinon.useFakeTimers({ now: start + 5 * 60 * 1000, toFake: ['Date'] });
+  });
+
+  afterEach(async () => {
+    clock.restore();
+    await receiver.close();
+    nock.done();
+  });
+
+  it('does nothing without rules', async () => {
+    const updates = events(10, 'delete', 'uncled@adobe.com', 1000);
+    assert.deepStrictEqual(await checkAlerts(DEFAULT_CONTEXT(), [{ contentBusId, updates }]), []);
+    assert.deepStrictEqual(receiver.requests, []);
+  });
+
+  it('alerts on mass deletions by one user', async () => {
+    const config = {
+      url: receiver.url,
+      rules: [{ type: 'deletes', max: 3, minutes: 1 }],
+    };
+    const projects = [{
+      contentBusId,
+      updates: [
+        // 4 deletes within a minute
+        ...events(4, 'delete', 'uncled@adobe.com', 10000),
+        // 4 deletes spread over 3 minutes
+        ...events(4, 'delete', 'tripod@adobe.com', 60000),
+        ...events(10, 'ingest', 'tripod@adobe.com', 1000),
+      ],
+    }, {
+      contentBusId: '@adobe',
+      updates: events(4, 'delete', 'uncled@adobe.com', 10000),
+    }];
+    let stored;
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.alerts.gz?x-id=GetObject`)
+      .reply(404)
+      .put(`/${contentBusId}/.alerts.gz?x-id=PutObject`)
+      .twice()
+      .reply((_, body) => {
+        stored = body;
+        return [200];
+      })
+      .get(`/${contentBusId}/.alerts.gz?x-id=GetObject`)
+      .reply(async () => [200, await gzip(JSON.stringify(stored)), { etag: '"alerts-1"' }]);
+
+    const alerts = await checkAlerts(DEFAULT_CONTEXT(config), projects);
+    const expected = {
+      rule: 'deletes',
+      contentBusId,
+      user: 'uncled@adobe.com',
+      count: 4,
+      message: `uncled@adobe.com deleted 4 media within 1 minutes in ${contentBusId}`,
+    };
+    assert.deepStrictEqual(alerts, [expected]);
+    assert.strictEqual(receiver.requests.length, 1);
+
+    const [{ method, headers, body }] = receiver.requests;
+    assert.strictEqual(method, 'POST');
+    assert.strictEqual(headers['content-type'], 'application/json');
+    assert.deepStrictEqual(body, expected);
+
+    // only the last delete of tripod@adobe.com is still in the window
+    const [last] = events(4, 'delete', 'tripod@adobe.com', 60000).slice(-1);
+    assert.deepStrictEqual(stored.deletes[userKey('tripod@adobe.com')], {
+      [getEventId(last)]: last.timestamp,
+    });
+    assert.strictEqual(Object.keys(stored.deletes[userKey('uncled@adobe.com')]).length, 4);
+    assert.deepStrictEqual(stored.alerted, {
+      [`deletes/${userKey('uncled@adobe.com')}`]: Date.now(),
+    });
+  });
+
+  it('alerts on mass deletions by one user across batches', async () => {
+    const config = {
+      url: receiver.url,
+      rules: [{ type: 'deletes', max: 3, minutes: 1 }],
+    };
+    const [first, second, third] = events(3, 'delete', 'uncled@adobe.com', 10000);
+    const deletes = {
+      [userKey('uncled@adobe.com')]: {
+        [getEventId(first)]: first.timestamp,
+        [getEventId(second)]: second.timestamp,
+      },
+      // deletes of another user long ago are forgotten
+      [userKey('tripod@adobe.com')]: { abc: start - 60 * 60 * 1000 },
+    };
+    let stored;
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.alerts.gz?x-id=GetObject`)
+      .twice()
+      .reply(200, await gzip(JSON.stringify({ deletes })), { etag: '"alerts-1"' })
+      .put(`/${contentBusId}/.alerts.gz?x-id=PutObject`)
+      .times(3)
+      .reply((_, body) => {
+        stored = body;
+        return [200];
+      })
+      .get(`/${contentBusId}/.alerts.gz?x-id=GetObject`)
+      .reply(async () => [200, await gzip(JSON.stringify(stored)), { etag: '"alerts-2"' }]);
+
+    // a redelivered delete is not counted again
+    let alerts = await checkAlerts(DEFAULT_CONTEXT(config), [{
+      contentBusId, updates: [second, third],
+    }]);
+    assert.deepStrictEqual(alerts, []);
+    assert.deepStrictEqual(Object.keys(stored.deletes), [userKey('uncled@adobe.com')]);
+
+    const fourth = { ...third, timestamp: third.timestamp + 1000, mediaHash: 'other' };
+    alerts = await checkAlerts(DEFAULT_CONTEXT(config), [{
+      contentBusId, updates: [third, fourth],
+    }]);
+    assert.deepStrictEqual(alerts.map(({ count }) => count), [4]);
+  });
+
+  it('alerts on ingest spikes via SNS', async () => {
+    const topicArn = 'arn:aws:sns:us-east-1:123456789012:media-log-alerts';
+    const config = {
+      topicArn,
+      rules: [{
+        type: 'ingestRate', factor: 10, hours: 2, min: 20,
+      }, {
+        type: 'deletes', max: 3, minutes: 1,
+      }],
+    };
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.rollups/2024-07-31.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify({
+        events: [],
+        hours: {
+          23: {
+            total: 120, operation: { ingest: 120 }, mimeType: {}, source: {}, user: {},
+          },
+        },
+      })))
+      .get(`/${contentBusId}/.rollups/2024-08-01.gz?x-id=GetObject`)
+      .reply(404)
+      .get(`/${contentBusId}/.alerts.gz?x-id=GetObject`)
+      .reply(404)
+      .put(`/${contentBusId}/.alerts.gz?x-id=PutObject`)
+      .reply(200);
+
+    let published;
+    nock('https://sns.us-east-1.amazonaws.com')
+      .post('/')
+      .reply((_, body) => {
+        published = new URLSearchParams(body);
+        return [200, '<PublishResponse><PublishResult><MessageId>1</MessageId></PublishResult></PublishResponse>'];
+      });
+
+    // 30 ingests within a minute, while the average was 1 per minute
+    const updates = events(30, 'ingest', 'uncled@adobe.com', 1000);
+    const [alert] = await checkAlerts(DEFAULT_CONTEXT(config), [{ contentBusId, updates }]);
+    assert.deepStrictEqual(alert, {
+      rule: 'ingestRate',
+      contentBusId,
+      rate: 30,
+      average: 1,
+      message: `ingest rate of 30.0/min in ${contentBusId} exceeds 10 times the average of 1.0/min over 2 hours`,
+    });
+    assert.strictEqual(published.get('Action'), 'Publish');
+    assert.strictEqual(published.get('TopicArn'), topicArn);
+    assert.deepStrictEqual(JSON.parse(published.get('Message')), alert);
+  });
+
+  it('does not alert on normal ingest rates', async () => {
+    const config = {
+      url: receiver.url,
+      rules: [{
+        type: 'ingestRate', factor: 10, hours: 1, min: 20,
+      }],
+    };
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.rollups/2024-08-01.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify({
+        events: [],
+        hours: {
+          '00': {
+            total: 600, operation: { ingest: 600 }, mimeType: {}, source: {}, user: {},
+          },
+        },
+      })));
+
+    const projects = [{
+      contentBusId,
+      updates: events(30, 'ingest', 'uncled@adobe.com', 1000),
+    }, {
+      // too few ingests to be considered
+      contentBusId: contentBusId.replace(/^3/, '4'),
+      updates: events(10, 'ingest', 'uncled@adobe.com', 1000),
+    }];
+    assert.deepStrictEqual(await checkAlerts(DEFAULT_CONTEXT(config), projects), []);
+    assert.deepStrictEqual(receiver.requests, []);
+  });
+
+  it('does not alert on ingests without a baseline', async () => {
+    const config = {
+      url: receiver.url,
+      rules: [{
+        type: 'ingestRate', factor: 10, hours: 1, min: 20,
+      }],
+    };
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.rollups/2024-08-01.gz?x-id=GetObject`)
+      .reply(404);
+
+    const updates = events(30, 'ingest', 'uncled@adobe.com', 1000);
+    const alerts = await checkAlerts(DEFAULT_CONTEXT(config), [{ contentBusId, updates }]);
+    assert.deepStrictEqual(alerts, []);
+    assert.deepStrictEqual(receiver.requests, []);
+  });
+
+  it('reports failures to evaluate the rules', async () => {
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.alerts.gz?x-id=GetObject`)
+      .reply(403);
+    const config = {
+      url: receiver.url,
+      rules: [{ type: 'deletes', max: 0, minutes: 1 }],
+    };
+    const updates = events(1, 'delete', 'uncled@adobe.com', 1000);
+    const alerts = await checkAlerts(DEFAULT_CONTEXT(config), [{ contentBusId, updates }]);
+    assert.deepStrictEqual(alerts, []);
+    assert.deepStrictEqual(receiver.requests, []);
+  });
+
+  describe('with alert state in the file system', () => {
+    let root;
+
+    beforeEach(async () => {
+      root = await fs.mkdtemp(`${os.tmpdir()}/media-log-`);
+    });
+
+    afterEach(async () => {
+      await fs.rm(root, { recursive: true, force: true });
+    });
+
+    async function readState() {
+      const context = DEFAULT_CONTEXT(null, { HLX_MEDIA_LOG_ROOT: root });
+      const storage = await MediaLog.createStorage(context);
+      return (await readJSON(storage, `${contentBusId}/.alerts.gz`)).contents;
+    }
+
+    it('does not repeat an alert within the cooldown', async () => {
+      const config = {
+        url: receiver.url,
+        cooldown: 10,
+        rules: [{ type: 'deletes', max: 1, minutes: 1 }],
+      };
+      const context = DEFAULT_CONTEXT(config, { HLX_MEDIA_LOG_ROOT: root });
+      const updates = events(6, 'delete', 'uncled@adobe.com', 1000);
+
+      let alerts = await checkAlerts(context, [{ contentBusId, updates: updates.slice(0, 2) }]);
+      assert.deepStrictEqual(alerts.map(({ count }) => count), [2]);
+
+      // further deletes, or a redelivered batch, within the cooldown are not alerted again
+      clock.tick(9 * 60 * 1000);
+      alerts = await checkAlerts(context, [{ contentBusId, updates: updates.slice(2, 4) }]);
+      assert.deepStrictEqual(alerts, []);
+      alerts = await checkAlerts(context, [{ contentBusId, updates: updates.slice(0, 2) }]);
+      assert.deepStrictEqual(alerts, []);
+
+      clock.tick(60 * 1000);
+      alerts = await checkAlerts(context, [{ contentBusId, updates: updates.slice(4) }]);
+      assert.deepStrictEqual(alerts.map(({ count }) => count), [6]);
+      assert.strictEqual(receiver.requests.length, 2);
+      assert.deepStrictEqual((await readState()).alerted, {
+        [`deletes/${userKey('uncled@adobe.com')}`]: Date.now(),
+      });
+    });
+
+    it('ignores unknown rules and reports delivery failures', async () => {
+      receiver.status = ({ body }) => (body.user === 'uncled@adobe.com' ? 500 : 200);
+      const config = {
+        url: receiver.url,
+        rules: [{ type: 'bogus' }, { type: 'deletes', max: 0, minutes: 1 }],
+      };
+      const context = DEFAULT_CONTEXT(config, { HLX_MEDIA_LOG_ROOT: root });
+      const updates = [
+        ...events(1, 'delete', 'uncled@adobe.com', 1000),
+        ...events(1, 'delete', 'tripod@adobe.com', 1000),
+      ];
+
+      // the failure to send one alert does not prevent sending the others
+      let alerts = await checkAlerts(context, [{ contentBusId, updates }]);
+      assert.deepStrictEqual(alerts.map(({ user }) => user), ['tripod@adobe.com']);
+      assert.strictEqual(receiver.requests.length, 2);
+      assert.deepStrictEqual(Object.keys((await readState()).alerted), [
+        `deletes/${userKey('tripod@adobe.com')}`,
+      ]);
+
+      // the alert that failed is sent again with the next batch
+      receiver.status = 200;
+      const [next] = events(2, 'delete', 'uncled@adobe.com', 1000).slice(1);
+      alerts = await checkAlerts(context, [{ contentBusId, updates: [next] }]);
+      assert.deepStrictEqual(alerts.map(({ user }) => user), ['uncled@adobe.com']);
+    });
+  });
+});
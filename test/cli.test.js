@@ -0,0 +1,198 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import { run } from '../src/cli.js';
+import MediaLog from '../src/s3/MediaLog.js';
+
+/**
+ * Returns a stream collecting the text written.
+ */
+const output = () => {
+  const chunks = [];
+  return {
+    write: (chunk) => chunks.push(chunk),
+    text: () => chunks.join(''),
+  };
+};
+
+describe('CLI tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const entries = [{
+    timestamp: Date.parse('2024-07-31T12:00:00Z'),
+    operation: 'ingest',
+    mediaHash: 'hash1',
+    mimeType: 'image/png',
+    user: 'Uncled@adobe.com',
+    path: '/docs/faq',
+  }, {
+    timestamp: Date.parse('2024-07-31T13:00:00Z'),
+    operation: 'reuse',
+    mediaHash: 'hash1',
+    mimeType: 'image/png',
+    user: 'tripod@adobe.com',
+    path: '/blog',
+  }, {
+    timestamp: Date.parse('2024-07-31T14:00:00Z'),
+    operation: 'delete',
+    mediaHash: 'hash2',
+    mimeType: 'image/jpeg',
+    user: 'uncled@adobe.com',
+    path: '/news',
+  }];
+
+  let root;
+  let id;
+
+  /**
+   * Runs the CLI against the local directory.
+   */
+  async function cli(...args) {
+    const [stdout, stderr] = [output(), output()];
+    const code = await run(args, { env: { HLX_MEDIA_LOG_ROOT: root }, stdout, stderr });
+    return { code, stdout: stdout.text(), stderr: stderr.text() };
+  }
+
+  /**
+   * Parses newline-delimited JSON.
+   */
+  const parse = (text) => text.split('\n').filter((line) => !!line)
+    .map((line) => JSON.parse(line));
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'media-log-'));
+    const mediaLog = await MediaLog.create({
+      log: console, env: { HLX_MEDIA_LOG_ROOT: root },
+    }, { contentBusId });
+    const { key } = await mediaLog.append(entries);
+    id = path.basename(key, '.gz');
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('lists log files', async () => {
+    let result = await cli('ls', contentBusId);
+    assert.strictEqual(result.code, 0);
+    const lines = result.stdout.split('\n');
+    assert.strictEqual(lines[0], 'ID\tFIRST EVENT\tLAST EVENT\tEVENTS\tSIZE');
+    assert.match(lines[1], new RegExp(`^${id}\t2024-07-31T12:00:00.000Z\t2024-07-31T14:00:00.000Z\t3\t\\d+$`));
+
+    result = await cli('ls', contentBusId, '--json');
+    const [file] = parse(result.stdout);
+    assert.deepStrictEqual([file.id, file.count], [id, 3]);
+  });
+
+  it('prints and filters events', async () => {
+    assert.deepStrictEqual(parse((await cli('cat', contentBusId)).stdout), entries);
+    assert.deepStrictEqual(
+      parse((await cli('cat', contentBusId, '--since', '2024-07-31T13:00:00Z')).stdout),
+      entries.slice(1),
+    );
+    assert.deepStrictEqual(
+      parse((await cli('grep', contentBusId, '--user', 'UNCLED@adobe.com')).stdout),
+      [entries[0], entries[2]],
+    );
+    assert.deepStrictEqual(
+      parse((await cli('grep', contentBusId, '--hash', 'hash1', '--op', 'ingest, delete')).stdout),
+      [entries[0]],
+    );
+    const { stdout } = await cli('grep', contentBusId, '--op', 'reuse', '--until', '2024-07-31T12:30:00Z');
+    assert.strictEqual(stdout, '');
+  });
+
+  it('prints statistics', async () => {
+    const { code, stdout } = await cli('stats', contentBusId);
+    assert.strictEqual(code, 0);
+    const { size, uncompressedSize, ...stats } = JSON.parse(stdout);
+    assert.deepStrictEqual(stats, {
+      files: 1,
+      events: 3,
+      firstEventTime: '2024-07-31T12:00:00.000Z',
+      lastEventTime: '2024-07-31T14:00:00.000Z',
+      withoutStatistics: 0,
+    });
+    assert.ok(size > 0 && uncompressedSize > size);
+
+    const empty = JSON.parse((await cli('stats', 'empty')).stdout);
+    assert.deepStrictEqual([empty.files, empty.firstEventTime], [0, '-']);
+  });
+
+  it('verifies and repairs the media log', async () => {
+    let result = await cli('verify', contentBusId);
+    assert.strictEqual(result.code, 0);
+    assert.deepStrictEqual(JSON.parse(result.stdout).missing, []);
+
+    await fs.rm(path.join(root, contentBusId, `${id}.gz`));
+    result = await cli('verify', contentBusId);
+    assert.strictEqual(result.code, 1);
+    assert.deepStrictEqual(JSON.parse(result.stdout).missing, [id]);
+
+    result = await cli('verify', contentBusId, '--repair');
+    assert.strictEqual(result.code, 0);
+    assert.strictEqual(JSON.parse(result.stdout).repaired, true);
+    assert.strictEqual((await cli('verify', contentBusId)).code, 0);
+  });
+
+  it('uses the bucket given', async () => {
+    const stub = sinon.stub(MediaLog, 'create').returns({
+      listLogFiles: async () => [],
+      close: () => {},
+    });
+    try {
+      const result = await cli('--bucket', 'media-logs', 'ls', contentBusId);
+      assert.strictEqual(result.code, 0);
+      assert.deepStrictEqual(stub.firstCall.args[0].env, {
+        HLX_MEDIA_LOG_ROOT: undefined,
+        HLX_MEDIA_LOG_BUCKET: 'media-logs',
+      });
+    } finally {
+      stub.restore();
+    }
+  });
+
+  it('prints help and reports usage errors', async () => {
+    const help = await cli('--help');
+    assert.strictEqual(help.code, 0);
+    assert.match(help.stdout, /^Usage: media-log/);
+
+    const tests = [
+      [[], 'missing command'],
+      [['rm', contentBusId], 'unknown command: rm'],
+      [['ls'], 'ls needs exactly one content bus ID'],
+      [['ls', contentBusId, 'other'], 'ls needs exactly one content bus ID'],
+      [['grep', contentBusId], 'grep needs at least one of --user, --hash or --op'],
+      [['cat', contentBusId, '--since', 'yesterday'], 'invalid --since or --until'],
+      [['--root', root, '--bucket', 'media-logs', 'ls', contentBusId], '--root and --bucket are mutually exclusive'],
+      [['ls', contentBusId, '--all'], 'Unknown option \'--all\''],
+    ];
+    for (const [args, message] of tests) {
+      // eslint-disable-next-line no-await-in-loop
+      const { code, stderr } = await cli(...args);
+      assert.strictEqual(code, 2);
+      assert.ok(stderr.startsWith(`media-log: ${message}`), stderr);
+    }
+  });
+
+  it('reports errors reading the media log', async () => {
+    await fs.writeFile(path.join(root, contentBusId, '.index'), '{bogus');
+    const { code, stderr } = await cli('cat', contentBusId);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /^media-log: .*JSON/);
+  });
+});
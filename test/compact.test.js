@@ -0,0 +1,101 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import sinon from 'sinon';
+import compact from '../src/compact.js';
+import MediaLog from '../src/s3/MediaLog.js';
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (data = {}) => ({
+  log: console,
+  data,
+});
+
+describe('Compaction job tests', () => {
+  const contentBusId1 = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const contentBusId2 = '455d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+
+  let createStub;
+  let listStub;
+
+  beforeEach(() => {
+    createStub = sinon.stub(MediaLog, 'create');
+    listStub = sinon.stub(MediaLog, 'listProjects');
+  });
+
+  afterEach(() => {
+    createStub.restore();
+    listStub.restore();
+  });
+
+  it('compacts all projects', async () => {
+    listStub.resolves([contentBusId2, contentBusId1]);
+    createStub.callsFake((context, { contentBusId }) => ({
+      compact: async (opts) => {
+        assert.deepStrictEqual(opts, {});
+        if (contentBusId === contentBusId2) {
+          throw new Error('Whoopsie');
+        }
+        return [{ id: 'merged', files: ['a', 'b'], entries: 3 }];
+      },
+      close: () => {},
+    }));
+
+    const response = await compact(DEFAULT_CONTEXT());
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), {
+      job: 'compact',
+      projects: [{
+        contentBusId: contentBusId1,
+        compacted: [{ id: 'merged', files: ['a', 'b'], entries: 3 }],
+      }, {
+        contentBusId: contentBusId2,
+        error: 'Whoopsie',
+      }],
+    });
+  });
+
+  it('compacts selected projects with a target size', async () => {
+    createStub.returns({
+      compact: async (opts) => {
+        assert.deepStrictEqual(opts, { targetSize: 1024 });
+        return [];
+      },
+      close: () => {},
+    });
+
+    const response = await compact(DEFAULT_CONTEXT({
+      contentBusIds: `${contentBusId1}, ${contentBusId2}`,
+      targetSize: '1024',
+    }));
+    assert.deepStrictEqual(await response.json(), {
+      job: 'compact',
+      projects: [
+        { contentBusId: contentBusId1, compacted: [] },
+        { contentBusId: contentBusId2, compacted: [] },
+      ],
+    });
+    assert.strictEqual(listStub.callCount, 0);
+  });
+
+  it('reports an error listing projects', async () => {
+    listStub.rejects(new Error('Access denied'));
+
+    const response = await compact(DEFAULT_CONTEXT());
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.headers.get('x-error'), 'error running compact job.');
+  });
+});
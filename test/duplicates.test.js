@@ -0,0 +1,138 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import sinon from 'sinon';
+import duplicates, { findDuplicates, normalizeFilename } from '../src/duplicates.js';
+import MediaLog from '../src/s3/MediaLog.js';
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (data = {}) => ({
+  log: console,
+  data,
+});
+
+describe('Duplicates tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const entries = [{
+    timestamp: 1,
+    operation: 'ingest',
+    mediaHash: 'hash1',
+    contentType: 'image/png',
+    user: 'uncled@adobe.com',
+    originalFilename: 'hero.png',
+    contentSourceType: 'gdoc-preview',
+  }, {
+    timestamp: 2,
+    operation: 'ingest',
+    mediaHash: 'hash1',
+    mimeType: 'image/png',
+    user: 'tripod@adobe.com',
+    originalFilename: 'Hero (1).png',
+    source: 'onedrive',
+  }, {
+    timestamp: 3,
+    operation: 'ingest',
+    mediaHash: 'hash2',
+    mimeType: 'image/jpeg',
+    user: 'uncled@adobe.com',
+    originalFilename: 'hero-copy.jpg',
+    source: 'onedrive',
+  }, {
+    timestamp: 4,
+    operation: 'reuse',
+    mediaHash: 'hash3',
+    user: 'uncled@adobe.com',
+  }];
+
+  let stub;
+
+  beforeEach(() => {
+    stub = sinon.stub(MediaLog, 'create');
+  });
+
+  afterEach(() => {
+    stub.restore();
+  });
+
+  it('normalizes filenames', () => {
+    assert.strictEqual(normalizeFilename('Hero Image (1).PNG'), 'heroimage');
+    assert.strictEqual(normalizeFilename('hero_image-copy.png'), 'heroimage');
+    assert.strictEqual(normalizeFilename('hero-image_2.jpg'), 'heroimage');
+    assert.strictEqual(normalizeFilename('2024 report'), '2024report');
+  });
+
+  it('finds duplicate media and similar filenames', () => {
+    assert.deepStrictEqual(findDuplicates(entries), {
+      duplicates: [{
+        mediaHash: 'hash1',
+        mimeType: 'image/png',
+        filenames: ['Hero (1).png', 'hero.png'],
+        users: ['tripod@adobe.com', 'uncled@adobe.com'],
+        sources: ['gdoc-preview', 'onedrive'],
+        events: 2,
+      }],
+      similarFilenames: [{
+        name: 'hero',
+        filenames: ['Hero (1).png', 'hero-copy.jpg', 'hero.png'],
+        mediaHashes: ['hash1', 'hash2'],
+      }],
+    });
+  });
+
+  it('returns duplicates in the last 30 days by default', async () => {
+    stub.returns({
+      getEntries: (from, to) => {
+        assert.strictEqual(from, Date.parse('2024-07-02T00:00:00Z'));
+        assert.strictEqual(to, Date.parse('2024-08-01T00:00:00Z'));
+        return { entries };
+      },
+      close: () => {},
+    });
+
+    const response = await duplicates(DEFAULT_CONTEXT({ to: '2024-08-01T00:00:00Z' }), contentBusId);
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.strictEqual(body.from, '2024-07-02T00:00:00.000Z');
+    assert.deepStrictEqual(body.duplicates.map(({ mediaHash }) => mediaHash), ['hash1']);
+  });
+
+  it('rejects an invalid range', async () => {
+    const tests = [
+      [{ from: 'yesterday' }, 'invalid \'from\' or \'to\' parameter'],
+      [{ from: '2024-01-01T00:00:00Z', to: '2024-08-01T00:00:00Z' }, 'range must not exceed 90 days'],
+    ];
+    for (const [data, message] of tests) {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await duplicates(DEFAULT_CONTEXT(data), contentBusId);
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.headers.get('x-error'), message);
+    }
+    assert.strictEqual(stub.callCount, 0);
+  });
+
+  it('reports an error reading the media log', async () => {
+    stub.returns({
+      getEntries: () => {
+        throw new Error('Whoopsie');
+      },
+      close: () => {},
+    });
+
+    const response = await duplicates(DEFAULT_CONTEXT(), contentBusId);
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.headers.get('x-error'), 'error reading media log.');
+  });
+});
@@ -0,0 +1,320 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import erase, { pseudonymize } from '../src/erase.js';
+import exportLog from '../src/export.js';
+import EventMirror from '../src/s3/EventMirror.js';
+import Inventory from '../src/s3/Inventory.js';
+import MediaLog from '../src/s3/MediaLog.js';
+import RejectionLog from '../src/s3/RejectionLog.js';
+import Rollups, { emptyCounts } from '../src/s3/Rollups.js';
+
+const gzip = promisify(zlib.gzip);
+
+let root;
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (data = {}, env = {}) => ({
+  log: console,
+  env: { HLX_MEDIA_LOG_ROOT: root, ...env },
+  data,
+});
+
+describe('Erasure job tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const entries = [
+    { timestamp: 1, user: 'Tripod@adobe.com' },
+    { timestamp: 2, user: 'uncled@adobe.com' },
+    { timestamp: 3 },
+  ];
+  const files = [{
+    id: '2024-07-31-12-00-00-AAAAAAAAAAAAAAAA', changed: 1, removed: 0, deleted: false,
+  }];
+
+  const rejections = [
+    { timestamp: 1, error: 'invalid', event: { timestamp: 1, user: 'TRIPOD@adobe.com' } },
+    { timestamp: 2, error: 'invalid', event: { timestamp: 2, user: 'uncled@adobe.com' } },
+    { timestamp: 3, error: 'invalid', event: 'not an object' },
+    { timestamp: 4, error: 'invalid JSON', body: '{"user":"TRIPOD@adobe.com",' },
+    { timestamp: 5, error: 'invalid JSON', body: 'bogus' },
+  ];
+
+  let createStub;
+  let results;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'media-log-'));
+    results = [];
+    const storage = await MediaLog.createStorage(DEFAULT_CONTEXT());
+    createStub = sinon.stub(MediaLog, 'create').returns({
+      contentBusId,
+      storage,
+      rewrite: async (fn) => {
+        results = entries.map(fn);
+        return files;
+      },
+      close: () => {},
+    });
+  });
+
+  afterEach(async () => {
+    createStub.restore();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  async function store(key, contents) {
+    const storage = await MediaLog.createStorage(DEFAULT_CONTEXT());
+    await storage.put(key, await gzip(JSON.stringify(contents)), {
+      contentEncoding: 'gzip',
+      contentType: 'application/json',
+    });
+  }
+
+  async function storeRejections(day, records) {
+    await store(`.rejected/${day}.gz`, records);
+  }
+
+  async function storeRollup(day, users) {
+    await store(`${contentBusId}/.rollups/${day}.gz`, {
+      events: ['event-1'],
+      hours: { 12: { ...emptyCounts(), total: 5, user: users } },
+    });
+  }
+
+  it('derives stable pseudonyms', () => {
+    const pseudonym = pseudonymize('tripod@adobe.com', 'secret');
+    assert.match(pseudonym, /^anonymous-[0-9a-f]{16}$/);
+    assert.strictEqual(pseudonymize('TRIPOD@adobe.com', 'secret'), pseudonym);
+    assert.notStrictEqual(pseudonymize('tripod@adobe.com', 'other'), pseudonym);
+  });
+
+  it('removes the events of a user', async () => {
+    const response = await erase(DEFAULT_CONTEXT({
+      user: 'tripod@adobe.com', mode: 'remove', contentBusIds: [contentBusId],
+    }));
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), {
+      job: 'erase',
+      projects: [{
+        contentBusId, files, rollups: [], inventory: 0, exports: [],
+      }],
+    });
+    assert.deepStrictEqual(results, [null, entries[1], entries[2]]);
+  });
+
+  it('pseudonymizes a user', async () => {
+    await erase(DEFAULT_CONTEXT({
+      user: 'tripod@adobe.com', mode: 'pseudonymize', contentBusIds: [contentBusId],
+    }, { HLX_MEDIA_LOG_PSEUDONYM_KEY: 'secret' }));
+    assert.deepStrictEqual(results, [
+      { timestamp: 1, user: pseudonymize('tripod@adobe.com', 'secret') },
+      entries[1],
+      entries[2],
+    ]);
+  });
+
+  it('rejects invalid parameters', async () => {
+    const tests = [
+      [{ mode: 'remove' }, {}, 'missing \'user\' parameter'],
+      [{ user: 'tripod@adobe.com', mode: 'forget' }, {}, '\'mode\' must be one of: remove, pseudonymize'],
+      [{ user: 'tripod@adobe.com', mode: 'pseudonymize' }, {}, 'HLX_MEDIA_LOG_PSEUDONYM_KEY is required to pseudonymize users'],
+    ];
+    for (const [data, env, message] of tests) {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await erase(DEFAULT_CONTEXT(data, env));
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.headers.get('x-error'), message);
+    }
+    assert.strictEqual(createStub.callCount, 0);
+  });
+
+  it('removes the rejected events of a user', async () => {
+    await storeRejections('2024-07-31', rejections);
+    await storeRejections('2024-08-01', rejections.slice(1));
+
+    const response = await erase(DEFAULT_CONTEXT({
+      user: 'tripod@adobe.com', mode: 'remove', contentBusIds: [contentBusId],
+    }));
+    assert.strictEqual(response.status, 200);
+
+    const rejectionLog = await RejectionLog.create(DEFAULT_CONTEXT());
+    const remaining = [rejections[1], rejections[2], rejections[4]];
+    assert.deepStrictEqual(await rejectionLog.get('2024-07-31'), remaining);
+    assert.deepStrictEqual(await rejectionLog.get('2024-08-01'), remaining);
+  });
+
+  it('pseudonymizes a user in rejected events', async () => {
+    await storeRejections('2024-07-31', rejections);
+
+    await erase(DEFAULT_CONTEXT({
+      user: 'tripod@adobe.com', mode: 'pseudonymize', contentBusIds: [contentBusId],
+    }, { HLX_MEDIA_LOG_PSEUDONYM_KEY: 'secret' }));
+
+    const rejectionLog = await RejectionLog.create(DEFAULT_CONTEXT());
+    const pseudonym = pseudonymize('tripod@adobe.com', 'secret');
+    assert.deepStrictEqual(await rejectionLog.rewrite((rejection) => rejection), []);
+    assert.deepStrictEqual(await rejectionLog.get('2024-07-31'), [
+      { ...rejections[0], event: { timestamp: 1, user: pseudonym } },
+      rejections[1],
+      rejections[2],
+      { ...rejections[3], body: `{"user":"${pseudonym}",` },
+      rejections[4],
+    ]);
+  });
+
+  it('removes a user from the rollups', async () => {
+    await storeRollup('2024-07-31', { 'Tripod@adobe.com': 2, 'uncled@adobe.com': 3 });
+    await storeRollup('2024-08-01', { 'uncled@adobe.com': 5 });
+
+    const response = await erase(DEFAULT_CONTEXT({
+      user: 'tripod@adobe.com', mode: 'remove', contentBusIds: [contentBusId],
+    }));
+    assert.deepStrictEqual(await response.json(), {
+      job: 'erase',
+      projects: [{
+        contentBusId, files, rollups: ['2024-07-31'], inventory: 0, exports: [],
+      }],
+    });
+
+    const rollups = await Rollups.create(DEFAULT_CONTEXT(), { contentBusId });
+    const { hours } = await rollups.get('2024-07-31');
+    assert.strictEqual(hours[12].total, 5);
+    assert.deepStrictEqual(hours[12].user, { 'uncled@adobe.com': 3 });
+  });
+
+  it('pseudonymizes a user in the rollups', async () => {
+    const pseudonym = pseudonymize('tripod@adobe.com', 'secret');
+    await storeRollup('2024-07-31', {
+      'Tripod@adobe.com': 2, 'TRIPOD@adobe.com': 1, [pseudonym]: 1, 'uncled@adobe.com': 1,
+    });
+
+    await erase(DEFAULT_CONTEXT({
+      user: 'tripod@adobe.com', mode: 'pseudonymize', contentBusIds: [contentBusId],
+    }, { HLX_MEDIA_LOG_PSEUDONYM_KEY: 'secret' }));
+
+    const rollups = await Rollups.create(DEFAULT_CONTEXT(), { contentBusId });
+    const { hours } = await rollups.get('2024-07-31');
+    assert.deepStrictEqual(hours[12].user, { [pseudonym]: 4, 'uncled@adobe.com': 1 });
+  });
+
+  it('erases a user from the inventory and the report', async () => {
+    const inventory = await Inventory.create(DEFAULT_CONTEXT(), { contentBusId });
+    const ingest = (timestamp, mediaHash, user) => ({
+      timestamp, operation: 'ingest', mediaHash, user,
+    });
+    await inventory.update([
+      ingest(1, 'hash1', 'Tripod@adobe.com'),
+      ingest(2, 'hash2', 'uncled@adobe.com'),
+    ]);
+    const storage = await MediaLog.createStorage(DEFAULT_CONTEXT());
+    await storage.put(`${contentBusId}/.report.json`, JSON.stringify({ days: 30 }));
+
+    const response = await erase(DEFAULT_CONTEXT({
+      user: 'tripod@adobe.com', mode: 'remove', contentBusIds: [contentBusId],
+    }));
+    assert.strictEqual((await response.json()).projects[0].inventory, 1);
+
+    const media = await inventory.get();
+    assert.deepStrictEqual([media.hash1.user, media.hash2.user], ['', 'uncled@adobe.com']);
+    const { days, unused } = JSON.parse((await storage.get(`${contentBusId}/.report.json`)).body);
+    assert.strictEqual(days, 30);
+    assert.deepStrictEqual(unused.map(({ user }) => user), ['', 'uncled@adobe.com']);
+  });
+
+  it('creates the exports mentioning a user again', async () => {
+    createStub.callThrough();
+    const context = DEFAULT_CONTEXT();
+    const mediaLog = await MediaLog.create(context, { contentBusId });
+    const start = Date.parse('2024-07-31T12:00:00Z');
+    await mediaLog.append([
+      { timestamp: start, operation: 'ingest', user: 'Tripod@adobe.com' },
+      { timestamp: start + 1000, operation: 'ingest', user: 'uncled@adobe.com' },
+      { timestamp: start + 60000, operation: 'reuse', user: 'uncled@adobe.com' },
+    ]);
+    mediaLog.close();
+
+    const storeExport = async (from, to, format) => {
+      const response = await exportLog(DEFAULT_CONTEXT({
+        from, to, format, output: 'object',
+      }), contentBusId);
+      return (await response.json()).key.split('/').pop();
+    };
+    const exported = [
+      await storeExport(start, start + 1999, 'ndjson'),
+      await storeExport(start, start + 1999, 'csv'),
+      await storeExport(start, start + 1999, 'parquet'),
+    ];
+    await storeExport(start + 2000, start + 60000, 'csv');
+
+    const response = await erase(DEFAULT_CONTEXT({
+      user: 'tripod@adobe.com', mode: 'remove', contentBusIds: [contentBusId],
+    }));
+    const [{ exports }] = (await response.json()).projects;
+    assert.deepStrictEqual(exports, [...exported].sort());
+
+    const storage = await MediaLog.createStorage(context);
+    const { body } = await storage.get(`${contentBusId}/.exports/${exported[1]}`);
+    const [, ...lines] = body.toString().trim().split('\n');
+    assert.deepStrictEqual(lines, [`${start + 1000},ingest,,,uncled@adobe.com,,,`]);
+  });
+
+  it('erases a user from the event mirror', async () => {
+    let mirrored;
+    const mirrorStub = sinon.stub(EventMirror, 'create').returns({
+      rewrite: async (fn) => {
+        mirrored = entries.map(fn);
+        return ['events/dt=2024-07-31/hour=12/cbid=abc/batch.ndjson.gz'];
+      },
+    });
+    try {
+      const response = await erase(DEFAULT_CONTEXT({
+        user: 'tripod@adobe.com', mode: 'remove', contentBusIds: [contentBusId],
+      }));
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(mirrored, [null, entries[1], entries[2]]);
+
+      mirrorStub.returns({ rewrite: async () => Promise.reject(new Error('Whoopsie')) });
+      const failed = await erase(DEFAULT_CONTEXT({
+        user: 'tripod@adobe.com', mode: 'remove', contentBusIds: [contentBusId],
+      }));
+      assert.strictEqual(failed.status, 500);
+      assert.strictEqual(failed.headers.get('x-error'), 'error erasing user from event mirror.');
+      assert.strictEqual(createStub.callCount, 1);
+    } finally {
+      mirrorStub.restore();
+    }
+  });
+
+  it('reports an error erasing a user from the rejection logs', async () => {
+    const rewriteStub = sinon.stub(RejectionLog.prototype, 'rewrite').rejects(new Error('Whoopsie'));
+    try {
+      const response = await erase(DEFAULT_CONTEXT({
+        user: 'tripod@adobe.com', mode: 'remove', contentBusIds: [contentBusId],
+      }));
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual(response.headers.get('x-error'), 'error erasing user from rejection logs.');
+      assert.strictEqual(createStub.callCount, 0);
+    } finally {
+      rewriteStub.restore();
+    }
+  });
+});
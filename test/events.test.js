@@ -11,10 +11,16 @@
  */
 
 /* eslint-env mocha */
+/* eslint-disable func-names */
 import assert from 'assert';
+import { promisify } from 'util';
+import zlib from 'zlib';
 import sinon from 'sinon';
 import { BatchedQueueClient } from '@adobe/helix-admin-support';
 import events, { getInputQueue, getOutputQueue } from '../src/events.js';
+import { createReceiver, Nock } from './utils.js';
+
+const gzip = promisify(zlib.gzip);
 
 /**
  * Default context
@@ -176,24 +182,325 @@ describe('AWS EventBridge invocation', () => {
     ]);
   });
 
-  it('handle problems during deserialization', async () => {
-    sinon.stub(BatchedQueueClient.prototype, 'receive').returns([{
-      MessageId: 'msg-01',
-      Body: 'bogus',
-    }]);
-
+  it('derives the deduplication ID of a batch from its contents', async () => {
+    const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+    const msgs = [0, 1].map((i) => ({
+      Body: JSON.stringify({
+        contentBusId,
+        timestamp: 1722427281000 + i,
+        operation: 'ingest',
+        mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+        mimeType: 'image/png',
+        user: 'uncled@adobe.com',
+        path: '/docs/faq',
+      }),
+    }));
+    const receiveStub = sinon.stub(BatchedQueueClient.prototype, 'receive');
+    receiveStub.onCall(0).returns(msgs);
+    receiveStub.onCall(1).returns(msgs);
+    receiveStub.onCall(2).returns(msgs.slice(1));
+    sinon.stub(BatchedQueueClient.prototype, 'delete');
     const sendStub = sinon.stub(BatchedQueueClient.prototype, 'send');
-    const deleteStub = sinon.stub(BatchedQueueClient.prototype, 'delete');
 
-    const result = await events(DEFAULT_CONTEXT());
+    // receive the same batch twice, then a different one
+    for (let i = 0; i < 3; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await events(DEFAULT_CONTEXT());
+    }
+    const [first, second, third] = sendStub.getCalls()
+      .map(({ args: [[{ MessageDeduplicationId }]] }) => MessageDeduplicationId);
+    assert.match(first, /^[0-9a-f]{64}$/);
+    assert.strictEqual(second, first);
+    assert.notStrictEqual(third, first);
+  });
 
-    assert.strictEqual(await result.text(), 'Received 1 message from queue.');
-    assert.deepStrictEqual(sendStub.getCall(0).args, [[]]);
-    assert.deepStrictEqual(deleteStub.getCall(0).args, [
-      [
-        { Body: 'bogus', MessageId: 'msg-01' },
-      ],
-    ]);
+  describe('organization-wide logging', () => {
+    const contentBusId1 = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+    const contentBusId2 = '455d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+    const orgs = { [contentBusId1]: 'adobe' };
+
+    let nock;
+
+    beforeEach(() => {
+      nock = new Nock().env();
+    });
+
+    afterEach(() => {
+      nock.done();
+    });
+
+    const update = (timestamp) => ({
+      timestamp,
+      operation: 'ingest',
+      mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+      mimeType: 'image/png',
+      user: 'uncled@adobe.com',
+      path: '/docs/faq',
+    });
+
+    const createMsg = (contentBusId, timestamp) => ({
+      Body: JSON.stringify({ contentBusId, ...update(timestamp) }),
+    });
+
+    function stubQueue() {
+      sinon.stub(BatchedQueueClient.prototype, 'receive').returns([
+        createMsg(contentBusId1, 1722427281000),
+        createMsg(contentBusId2, 1722427282000),
+      ]);
+      sinon.stub(BatchedQueueClient.prototype, 'delete');
+      return sinon.stub(BatchedQueueClient.prototype, 'send');
+    }
+
+    const expected = [{
+      contentBusId: contentBusId1,
+      updates: [update(1722427281000)],
+    }, {
+      contentBusId: '@adobe',
+      updates: [{ contentBusId: contentBusId1, ...update(1722427281000) }],
+    }, {
+      contentBusId: contentBusId2,
+      updates: [update(1722427282000)],
+    }];
+
+    it('adds events to org aggregate log with mapping in env', async () => {
+      const sendStub = stubQueue();
+      await events(DEFAULT_CONTEXT({ HLX_MEDIA_LOGGING_ORGS: JSON.stringify(orgs) }));
+
+      const sent = sendStub.getCall(0).args[0];
+      assert.deepStrictEqual(sent.map(({ MessageBody }) => JSON.parse(MessageBody)), expected);
+      assert.deepStrictEqual(sent.map(({ MessageGroupId }) => MessageGroupId), [contentBusId1, '@adobe', contentBusId2]);
+    });
+
+    it('adds events to org aggregate log with mapping in S3', async () => {
+      nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+        .get('/.orgs.json?x-id=GetObject')
+        .reply(200, orgs);
+
+      const sendStub = stubQueue();
+      await events(DEFAULT_CONTEXT({ HLX_MEDIA_LOGGING_ORGS: 's3://helix-media-logs/.orgs.json' }));
+
+      const sent = sendStub.getCall(0).args[0];
+      assert.deepStrictEqual(sent.map(({ MessageBody }) => JSON.parse(MessageBody)), expected);
+    });
+
+    it('ignores invalid mappings', async () => {
+      for (const value of ['["adobe"]', 'bogus']) {
+        sinon.restore();
+        const sendStub = stubQueue();
+        // eslint-disable-next-line no-await-in-loop
+        await events(DEFAULT_CONTEXT({ HLX_MEDIA_LOGGING_ORGS: value }));
+
+        const sent = sendStub.getCall(0).args[0];
+        assert.deepStrictEqual(
+          sent.map(({ MessageGroupId }) => MessageGroupId),
+          [contentBusId1, contentBusId2],
+        );
+      }
+    });
+  });
+
+  describe('anomaly alerts', () => {
+    const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+
+    let receiver;
+    let nock;
+
+    beforeEach(async () => {
+      receiver = await createReceiver();
+      nock = new Nock().env();
+    });
+
+    afterEach(async () => {
+      await receiver.close();
+      nock.done();
+    });
+
+    it('sends alerts for the grouped events before forwarding them', async () => {
+      nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+        .get(`/${contentBusId}/.alerts.gz?x-id=GetObject`)
+        .twice()
+        .reply(404)
+        .put(`/${contentBusId}/.alerts.gz?x-id=PutObject`)
+        .twice()
+        .reply(200);
+      sinon.stub(BatchedQueueClient.prototype, 'receive').returns([0, 1, 2].map((i) => ({
+        Body: JSON.stringify({
+          contentBusId,
+          timestamp: 1722427281000 + i * 1000,
+          operation: 'delete',
+          mediaHash: `${i}3872adbc8f226c65c00a81078b84ab4152476fc7`,
+          mimeType: 'image/png',
+          user: 'uncled@adobe.com',
+          path: '/docs/faq',
+        }),
+      })));
+      sinon.stub(BatchedQueueClient.prototype, 'delete');
+      const sendStub = sinon.stub(BatchedQueueClient.prototype, 'send');
+
+      await events(DEFAULT_CONTEXT({
+        HLX_MEDIA_LOG_ALERTS: JSON.stringify({
+          url: receiver.url,
+          rules: [{ type: 'deletes', max: 2, minutes: 10 }],
+        }),
+      }));
+
+      assert.deepStrictEqual(receiver.requests.map(({ body }) => body.user), ['uncled@adobe.com']);
+      assert.strictEqual(sendStub.getCall(0).args[0].length, 1);
+    });
+  });
+
+  describe('schema validation', () => {
+    let nock;
+
+    beforeEach(() => {
+      nock = new Nock().env();
+    });
+
+    afterEach(() => {
+      nock.done();
+    });
+
+    const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+    const valid = {
+      contentBusId,
+      timestamp: 1722427281000,
+      operation: 'ingest',
+      mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+      mimeType: 'image/png',
+      user: 'uncled@adobe.com',
+      path: '/docs/faq',
+    };
+
+    it('routes invalid events to the rejection log', async () => {
+      const invalid = [
+        { ...valid, timestamp: 'yesterday' },
+        { ...valid, operation: 'copy' },
+        { ...valid, mediaHash: 42 },
+        { ...valid, mimeType: undefined },
+        { ...valid, contentBusId: undefined },
+        { ...valid, timestamp: 1e16 },
+      ];
+      sinon.stub(BatchedQueueClient.prototype, 'receive').returns([
+        { MessageId: 'msg-00', Body: JSON.stringify(valid) },
+        ...invalid.map((event, i) => ({ MessageId: `msg-0${i + 1}`, Body: JSON.stringify(event) })),
+      ]);
+      const sendStub = sinon.stub(BatchedQueueClient.prototype, 'send');
+      const deleteStub = sinon.stub(BatchedQueueClient.prototype, 'delete');
+
+      const day = new Date().toISOString().substring(0, 10);
+      let rejections;
+      nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+        .get(`/.rejected/${day}.gz?x-id=GetObject`)
+        .reply(404)
+        .put(`/.rejected/${day}.gz?x-id=PutObject`)
+        .reply(function (_, body) {
+          assert.strictEqual(this.req.headers['if-none-match'], '*');
+          rejections = body;
+          return [200];
+        });
+
+      const result = await events(DEFAULT_CONTEXT());
+      assert.strictEqual(await result.text(), 'Received 7 messages from queue.');
+
+      const sent = sendStub.getCall(0).args[0];
+      assert.strictEqual(sent.length, 1);
+      assert.strictEqual(JSON.parse(sent[0].MessageBody).updates.length, 1);
+      assert.strictEqual(deleteStub.getCall(0).args[0].length, 7);
+
+      assert.deepStrictEqual(rejections.map(({ messageId, schema, error }) => ({
+        messageId, schema, error,
+      })), [{
+        messageId: 'msg-01',
+        schema: 'https://ns.adobe.com/helix/media-log/media-event/v1',
+        error: 'event/timestamp must be integer',
+      }, {
+        messageId: 'msg-02',
+        schema: 'https://ns.adobe.com/helix/media-log/media-event/v1',
+        error: 'event/operation must be equal to one of the allowed values',
+      }, {
+        messageId: 'msg-03',
+        schema: 'https://ns.adobe.com/helix/media-log/media-event/v1',
+        error: 'event/mediaHash must be string',
+      }, {
+        messageId: 'msg-04',
+        schema: 'https://ns.adobe.com/helix/media-log/media-event/v1',
+        error: 'event must have required property \'mimeType\', event must have required property \'contentType\', event must match a schema in anyOf',
+      }, {
+        messageId: 'msg-05',
+        schema: 'https://ns.adobe.com/helix/media-log/media-event/v1',
+        error: 'event must have required property \'contentBusId\'',
+      }, {
+        messageId: 'msg-06',
+        schema: 'https://ns.adobe.com/helix/media-log/media-event/v1',
+        error: 'event/timestamp must be <= 253402300799999',
+      }]);
+      assert.deepStrictEqual(rejections[0].event, invalid[0]);
+    });
+
+    it('appends to an existing rejection log', async () => {
+      sinon.stub(BatchedQueueClient.prototype, 'receive').returns([
+        { MessageId: 'msg-01', Body: JSON.stringify({ ...valid, user: undefined }) },
+      ]);
+      sinon.stub(BatchedQueueClient.prototype, 'send');
+      sinon.stub(BatchedQueueClient.prototype, 'delete');
+
+      const day = new Date().toISOString().substring(0, 10);
+      const existing = await gzip(JSON.stringify([{ messageId: 'msg-00' }]));
+      nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+        .get(`/.rejected/${day}.gz?x-id=GetObject`)
+        .reply(200, existing, { etag: '"1"' })
+        .put(`/.rejected/${day}.gz?x-id=PutObject`)
+        .reply(412)
+        .get(`/.rejected/${day}.gz?x-id=GetObject`)
+        .reply(200, existing, { etag: '"2"' })
+        .put(`/.rejected/${day}.gz?x-id=PutObject`)
+        .reply(function (_, body) {
+          assert.strictEqual(this.req.headers['if-match'], '"2"');
+          assert.deepStrictEqual(body.map(({ messageId }) => messageId), ['msg-00', 'msg-01']);
+          return [200];
+        });
+
+      const result = await events(DEFAULT_CONTEXT());
+      assert.strictEqual(result.status, 200);
+    });
+
+    it('routes messages that cannot be parsed to the rejection log', async () => {
+      sinon.stub(BatchedQueueClient.prototype, 'receive').returns([{
+        MessageId: 'msg-01',
+        Body: 'bogus',
+      }]);
+
+      const sendStub = sinon.stub(BatchedQueueClient.prototype, 'send');
+      const deleteStub = sinon.stub(BatchedQueueClient.prototype, 'delete');
+
+      const day = new Date().toISOString().substring(0, 10);
+      let rejections;
+      nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+        .get(`/.rejected/${day}.gz?x-id=GetObject`)
+        .reply(404)
+        .put(`/.rejected/${day}.gz?x-id=PutObject`)
+        .reply((_, body) => {
+          rejections = body;
+          return [200];
+        });
+
+      const result = await events(DEFAULT_CONTEXT());
+
+      assert.strictEqual(await result.text(), 'Received 1 message from queue.');
+      assert.deepStrictEqual(sendStub.getCall(0).args, [[]]);
+      assert.deepStrictEqual(deleteStub.getCall(0).args, [
+        [
+          { Body: 'bogus', MessageId: 'msg-01' },
+        ],
+      ]);
+      assert.deepStrictEqual(rejections.map(({ messageId, error, body }) => ({
+        messageId, error, body,
+      })), [{
+        messageId: 'msg-01',
+        error: 'invalid JSON: Unexpected token \'b\', "bogus" is not valid JSON',
+        body: 'bogus',
+      }]);
+    });
   });
 
   it('handle problems during receiving', async () => {
@@ -0,0 +1,288 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint-disable func-names */
+import assert from 'assert';
+import sinon from 'sinon';
+import xml2js from 'xml2js';
+import expire, { getRetentionDays } from '../src/expire.js';
+import EventMirror from '../src/s3/EventMirror.js';
+import Inventory from '../src/s3/Inventory.js';
+import MediaLog from '../src/s3/MediaLog.js';
+import { Nock } from './utils.js';
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (env = {}, data = {}) => ({
+  log: console,
+  env,
+  data,
+});
+
+describe('Expiry job tests', () => {
+  const contentBusId1 = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const contentBusId2 = '455d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const contentBusId3 = '555d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const now = Date.parse('2024-08-01T00:00:00Z');
+  const day = 24 * 60 * 60 * 1000;
+  const file = { id: '2024-01-01-00-00-00-AAAAAAAAAAAAAAAA', lastEventTime: '2024-01-02T00:00:00.000Z' };
+
+  let nock;
+  let clock;
+  let createStub;
+  let listStub;
+
+  beforeEach(() => {
+    nock = new Nock().env();
+    clock = sinon.useFakeTimers({ now, toFake: ['Date'] });
+    createStub = sinon.stub(MediaLog, 'create');
+    listStub = sinon.stub(MediaLog, 'listProjects');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    clock.restore();
+    nock.done();
+  });
+
+  it('determines the retention of a project', () => {
+    const config = { default: 365, [contentBusId1]: '90', [contentBusId2]: 0 };
+    assert.strictEqual(getRetentionDays(config, contentBusId1), 90);
+    assert.strictEqual(getRetentionDays(config, contentBusId2), null);
+    assert.strictEqual(getRetentionDays(config, contentBusId3), 365);
+    assert.strictEqual(getRetentionDays({}, contentBusId3), null);
+  });
+
+  it('expires log files and records them in the purge log', async () => {
+    listStub.resolves([contentBusId1, contentBusId2, contentBusId3]);
+    sinon.stub(Inventory, 'create').callsFake((context, { contentBusId }) => ({
+      expireUsers: async (before) => {
+        assert.strictEqual(before, now - (contentBusId === contentBusId1 ? 90 : 365) * day);
+        return contentBusId === contentBusId1 ? 2 : 0;
+      },
+    }));
+    const storage = await MediaLog.createStorage(DEFAULT_CONTEXT());
+    createStub.callsFake((context, { contentBusId }) => ({
+      contentBusId,
+      storage,
+      expire: async (before) => {
+        if (contentBusId === contentBusId1) {
+          assert.strictEqual(before, now - 90 * day);
+          return [file];
+        }
+        assert.strictEqual(contentBusId, contentBusId2);
+        assert.strictEqual(before, now - 365 * day);
+        return [];
+      },
+      close: () => {},
+    }));
+
+    let purges;
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get('/')
+      .query({ 'list-type': 2, prefix: '.rejected/', delimiter: '/' })
+      .reply(200, new xml2js.Builder().buildObject({ ListBucketResult: {} }))
+      .get('/')
+      .query({ 'list-type': 2, prefix: `${contentBusId1}/.rollups/`, delimiter: '/' })
+      .reply(200, new xml2js.Builder().buildObject({
+        ListBucketResult: {
+          Contents: [
+            { Key: `${contentBusId1}/.rollups/2024-01-01.gz` },
+            { Key: `${contentBusId1}/.rollups/2024-07-31.gz` },
+          ],
+        },
+      }))
+      .delete(`/${contentBusId1}/.rollups/2024-01-01.gz?x-id=DeleteObject`)
+      .reply(204)
+      .get('/')
+      .query({ 'list-type': 2, prefix: `${contentBusId1}/.exports/`, delimiter: '/' })
+      .reply(200, new xml2js.Builder().buildObject({
+        ListBucketResult: {
+          Contents: [
+            { Key: `${contentBusId1}/.exports/2024-01-01-00-00-00_2024-01-01-23-59-59.csv` },
+            { Key: `${contentBusId1}/.exports/2024-04-01-00-00-00_2024-05-03-00-00-00.csv` },
+            { Key: `${contentBusId1}/.exports/2024-07-31-00-00-00_2024-07-31-23-59-59.ndjson.gz` },
+            { Key: `${contentBusId1}/.exports/notes.txt` },
+          ],
+        },
+      }))
+      .delete(`/${contentBusId1}/.exports/2024-01-01-00-00-00_2024-01-01-23-59-59.csv`)
+      .query({ 'x-id': 'DeleteObject' })
+      .reply(204)
+      .get(`/${contentBusId1}/.report.json?x-id=GetObject`)
+      .reply(404)
+      .get('/')
+      .query({ 'list-type': 2, prefix: `${contentBusId2}/.rollups/`, delimiter: '/' })
+      .reply(200, new xml2js.Builder().buildObject({ ListBucketResult: {} }))
+      .get('/')
+      .query({ 'list-type': 2, prefix: `${contentBusId2}/.exports/`, delimiter: '/' })
+      .reply(200, new xml2js.Builder().buildObject({ ListBucketResult: {} }))
+      .get(`/${contentBusId2}/.report.json?x-id=GetObject`)
+      .reply(404)
+      .get('/.purged/2024-08-01.gz?x-id=GetObject')
+      .reply(404)
+      .put('/.purged/2024-08-01.gz?x-id=PutObject')
+      .reply(function (_, body) {
+        assert.strictEqual(this.req.headers['if-none-match'], '*');
+        purges = body;
+        return [200];
+      });
+
+    const response = await expire(DEFAULT_CONTEXT({
+      HLX_MEDIA_LOG_RETENTION: JSON.stringify({
+        default: 365, [contentBusId1]: 90, [contentBusId3]: 'forever',
+      }),
+    }));
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), {
+      job: 'expire',
+      projects: [
+        {
+          contentBusId: contentBusId1,
+          retentionDays: 90,
+          purged: [file],
+          rollups: ['2024-01-01'],
+          exports: ['2024-01-01-00-00-00_2024-01-01-23-59-59.csv'],
+          inventory: 2,
+        },
+        {
+          contentBusId: contentBusId2,
+          retentionDays: 365,
+          purged: [],
+          rollups: [],
+          exports: [],
+          inventory: 0,
+        },
+        {
+          contentBusId: contentBusId3,
+          retentionDays: null,
+          purged: [],
+          rollups: [],
+          exports: [],
+          inventory: 0,
+        },
+      ],
+    });
+    assert.deepStrictEqual(purges, [{
+      timestamp: now,
+      contentBusId: contentBusId1,
+      retentionDays: 90,
+      files: [file],
+      rollups: ['2024-01-01'],
+      exports: ['2024-01-01-00-00-00_2024-01-01-23-59-59.csv'],
+    }]);
+  });
+
+  it('expires rejection logs and records them in the purge log', async () => {
+    listStub.resolves([contentBusId1]);
+    createStub.returns({ close: () => {} });
+
+    let purges;
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get('/')
+      .query({ 'list-type': 2, prefix: '.rejected/', delimiter: '/' })
+      .reply(200, new xml2js.Builder().buildObject({
+        ListBucketResult: {
+          Contents: [
+            { Key: '.rejected/2024-07-01.gz' },
+            { Key: '.rejected/2024-07-02.gz' },
+            { Key: '.rejected/2024-07-03.gz' },
+          ],
+        },
+      }))
+      .delete('/.rejected/2024-07-01.gz?x-id=DeleteObject')
+      .reply(204)
+      .get('/.purged/2024-08-01.gz?x-id=GetObject')
+      .reply(404)
+      .put('/.purged/2024-08-01.gz?x-id=PutObject')
+      .reply((_, body) => {
+        purges = body;
+        return [200];
+      });
+
+    const response = await expire(DEFAULT_CONTEXT({
+      HLX_MEDIA_LOG_RETENTION: JSON.stringify({ '.rejected': 30 }),
+    }));
+    assert.deepStrictEqual(await response.json(), {
+      job: 'expire',
+      projects: [{
+        contentBusId: contentBusId1,
+        retentionDays: null,
+        purged: [],
+        rollups: [],
+        exports: [],
+        inventory: 0,
+      }],
+    });
+    assert.deepStrictEqual(purges, [{
+      timestamp: now, prefix: '.rejected', retentionDays: 30, days: ['2024-07-01'],
+    }]);
+  });
+
+  it('expires the event mirror and records it in the purge log', async () => {
+    listStub.resolves([]);
+    sinon.stub(EventMirror, 'create').returns({
+      expire: async (before) => {
+        assert.strictEqual(before, now - 30 * day);
+        return ['2024-06-30'];
+      },
+    });
+
+    let purges;
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get('/.purged/2024-08-01.gz?x-id=GetObject')
+      .reply(404)
+      .put('/.purged/2024-08-01.gz?x-id=PutObject')
+      .reply((_, body) => {
+        purges = body;
+        return [200];
+      });
+
+    await expire(DEFAULT_CONTEXT({
+      HLX_MEDIA_LOG_RETENTION: JSON.stringify({ '.mirror': 30 }),
+    }));
+    assert.deepStrictEqual(purges, [{
+      timestamp: now, prefix: '.mirror', retentionDays: 30, days: ['2024-06-30'],
+    }]);
+  });
+
+  it('reports an error expiring the event mirror', async () => {
+    listStub.resolves([]);
+    sinon.stub(EventMirror, 'create').returns({
+      expire: async () => {
+        throw new Error('Whoopsie');
+      },
+    });
+    const log = { ...console, warn: sinon.spy() };
+
+    const response = await expire({
+      log, env: { HLX_MEDIA_LOG_RETENTION: JSON.stringify({ '.mirror': 30 }) }, data: {},
+    });
+    assert.deepStrictEqual(await response.json(), { job: 'expire', projects: [] });
+    assert.strictEqual(log.warn.firstCall.args[0], 'Unable to expire event mirror: Whoopsie');
+  });
+
+  it('reports an error expiring rejection logs', async () => {
+    listStub.resolves([]);
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get('/')
+      .query({ 'list-type': 2, prefix: '.rejected/', delimiter: '/' })
+      .reply(403);
+
+    const response = await expire(DEFAULT_CONTEXT({
+      HLX_MEDIA_LOG_RETENTION: JSON.stringify({ default: 30 }),
+    }));
+    assert.deepStrictEqual(await response.json(), { job: 'expire', projects: [] });
+  });
+});
@@ -0,0 +1,245 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import zlib from 'zlib';
+import { parquetReadObjects } from 'hyparquet';
+import sinon from 'sinon';
+import exportLog, { LIMITS, writeExports } from '../src/export.js';
+import MediaLog from '../src/s3/MediaLog.js';
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (data = {}) => ({
+  log: console,
+  data,
+});
+
+describe('Export tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const now = Date.parse('2024-08-01T12:00:00Z');
+  const entries = [{
+    timestamp: 1722427281000,
+    operation: 'ingest',
+    mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+    contentType: 'image/png',
+    user: 'uncled@adobe.com',
+    path: '/docs/faq',
+    originalFilename: 'faq, "latest".png',
+    contentSourceType: 'gdoc-preview',
+  }, {
+    timestamp: 1722427282000,
+    operation: 'delete',
+    mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+    user: 'tripod@adobe.com',
+  }];
+
+  let clock;
+  let createStub;
+  let put;
+
+  /**
+   * Returns a media log stub, that returns every entry on a separate page.
+   */
+  const mediaLog = (checkRange = () => {}) => ({
+    contentBusId,
+    getEntries: (from, to, { limit }, location = { fileIndex: 0 }) => {
+      checkRange(from, to);
+      assert.strictEqual(limit, 1000);
+      const { fileIndex } = location;
+      return {
+        entries: entries.slice(fileIndex, fileIndex + 1),
+        next: fileIndex + 1 < entries.length ? { fileIndex: fileIndex + 1 } : undefined,
+      };
+    },
+    storage: { put },
+    close: () => {},
+  });
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now, toFake: ['Date'] });
+    put = sinon.stub().resolves({ etag: '"1"' });
+    createStub = sinon.stub(MediaLog, 'create').callsFake(() => mediaLog());
+  });
+
+  afterEach(() => {
+    createStub.restore();
+    clock.restore();
+  });
+
+  it('streams entries as gzipped NDJSON', async () => {
+    createStub.callsFake(() => mediaLog((from, to) => {
+      assert.strictEqual(from, Date.parse('2024-07-31T00:00:00Z'));
+      assert.strictEqual(to, Date.parse('2024-08-01T00:00:00Z'));
+    }));
+
+    const response = await exportLog(DEFAULT_CONTEXT({
+      from: '2024-07-31T00:00:00Z', to: '2024-08-01T00:00:00Z',
+    }), contentBusId);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'application/x-ndjson');
+    assert.strictEqual(response.headers.get('content-encoding'), 'gzip');
+    assert.strictEqual(
+      response.headers.get('content-disposition'),
+      `attachment; filename="${contentBusId}.ndjson.gz"`,
+    );
+
+    const lines = zlib.gunzipSync(await response.buffer()).toString().split('\n');
+    assert.deepStrictEqual(lines.slice(0, -1).map((line) => JSON.parse(line)), entries);
+    assert.strictEqual(lines.at(-1), '');
+  });
+
+  it('streams entries as CSV with a fixed column order', async () => {
+    const response = await exportLog(DEFAULT_CONTEXT({ format: 'csv' }), contentBusId);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'text/csv');
+    assert.strictEqual(response.headers.get('content-encoding'), null);
+    assert.strictEqual(await response.text(), [
+      'timestamp,operation,mediaHash,mimeType,user,path,originalFilename,source',
+      '1722427281000,ingest,13872adbc8f226c65c00a81078b84ab4152476fc7,image/png,'
+        + 'uncled@adobe.com,/docs/faq,"faq, ""latest"".png",gdoc-preview',
+      '1722427282000,delete,13872adbc8f226c65c00a81078b84ab4152476fc7,,tripod@adobe.com,,,',
+      '',
+    ].join('\r\n'));
+  });
+
+  it('streams entries as Parquet', async () => {
+    const response = await exportLog(DEFAULT_CONTEXT({ format: 'parquet' }), contentBusId);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'application/vnd.apache.parquet');
+
+    const buffer = await response.buffer();
+    const file = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+    const rows = await parquetReadObjects({ file });
+    assert.deepStrictEqual(rows, [{
+      timestamp: new Date(1722427281000),
+      operation: 'ingest',
+      mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+      mimeType: 'image/png',
+      user: 'uncled@adobe.com',
+      path: '/docs/faq',
+      originalFilename: 'faq, "latest".png',
+      source: 'gdoc-preview',
+    }, {
+      timestamp: new Date(1722427282000),
+      operation: 'delete',
+      mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+      mimeType: null,
+      user: 'tripod@adobe.com',
+      path: null,
+      originalFilename: null,
+      source: null,
+    }]);
+  });
+
+  it('stores the export in the project folder', async () => {
+    const response = await exportLog(DEFAULT_CONTEXT({
+      from: '2024-07-31T00:00:00Z', to: '2024-07-31T23:59:59Z', format: 'csv', output: 'object',
+    }), contentBusId);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), {
+      key: `${contentBusId}/.exports/2024-07-31-00-00-00_2024-07-31-23-59-59.csv`,
+      format: 'csv',
+      count: 2,
+    });
+
+    const [key, body, opts] = put.firstCall.args;
+    assert.strictEqual(key, `${contentBusId}/.exports/2024-07-31-00-00-00_2024-07-31-23-59-59.csv`);
+    assert.strictEqual(body.toString().split('\r\n').length, 4);
+    assert.deepStrictEqual(opts, { contentType: 'text/csv', contentEncoding: undefined });
+  });
+
+  it('rejects invalid parameters', async () => {
+    const tests = [
+      [{ from: 'yesterday' }, 'invalid \'from\' or \'to\' parameter'],
+      [{ from: '2024-08-01', to: '2024-07-31' }, '\'from\' must not be after \'to\''],
+      [{ format: 'xml' }, 'unsupported format: xml'],
+      [{ output: 's3' }, '\'output\' must be one of: stream, object'],
+    ];
+    for (const [data, message] of tests) {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await exportLog(DEFAULT_CONTEXT(data), contentBusId);
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.headers.get('x-error'), message);
+    }
+    assert.strictEqual(createStub.callCount, 0);
+  });
+
+  it('reports an error storing the export', async () => {
+    put.rejects(new Error('Whoopsie'));
+
+    const response = await exportLog(DEFAULT_CONTEXT({ output: 'object' }), contentBusId);
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.headers.get('x-error'), 'error exporting media log.');
+  });
+
+  it('reports an error reading the media log', async () => {
+    createStub.returns({
+      getEntries: () => {
+        throw new Error('Whoopsie');
+      },
+      close: () => {},
+    });
+    const log = { error: sinon.spy() };
+
+    const response = await exportLog({ log, data: {} }, contentBusId);
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.headers.get('x-error'), 'error exporting media log.');
+    assert.match(log.error.firstCall.args[0], /Unable to export media log of .*: Whoopsie/);
+  });
+
+  it('rejects exports too large to be returned', async () => {
+    const { responseSize } = LIMITS;
+    LIMITS.responseSize = 100;
+    try {
+      const response = await exportLog(DEFAULT_CONTEXT({
+        from: '2024-07-31T00:00:00Z', to: '2024-07-31T23:59:59Z', format: 'csv',
+      }), contentBusId);
+      assert.strictEqual(response.status, 413);
+      assert.strictEqual(
+        response.headers.get('x-error'),
+        'export exceeds 100 bytes, use \'output=object\' instead',
+      );
+    } finally {
+      LIMITS.responseSize = responseSize;
+    }
+  });
+
+  it('exports the previous day of every project', async () => {
+    createStub.callsFake(() => mediaLog((from, to) => {
+      assert.strictEqual(from, Date.parse('2024-07-31T00:00:00Z'));
+      assert.strictEqual(to, Date.parse('2024-07-31T23:59:59.999Z'));
+    }));
+
+    const response = await writeExports(DEFAULT_CONTEXT({
+      contentBusIds: [contentBusId], format: 'parquet',
+    }));
+    assert.deepStrictEqual(await response.json(), {
+      job: 'export',
+      projects: [{
+        contentBusId,
+        key: `${contentBusId}/.exports/2024-07-31-00-00-00_2024-07-31-23-59-59.parquet`,
+        format: 'parquet',
+        count: 2,
+      }],
+    });
+    assert.strictEqual(put.firstCall.args[2].contentType, 'application/vnd.apache.parquet');
+  });
+
+  it('rejects an invalid format for the job', async () => {
+    const response = await writeExports(DEFAULT_CONTEXT({ format: 'xml' }));
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(createStub.callCount, 0);
+  });
+});
@@ -48,6 +48,34 @@ describe('Index Tests', () => {
     assert.strictEqual(await result.status, 204);
   });
 
+  it('Invoking a job from AWS EventBridge succeeds', async () => {
+    const { main: proxyMain } = await esmock('../src/index.js', {
+      '../src/replay.js': async () => new Response('', { status: 200 }),
+    });
+
+    const result = await proxyMain(
+      new Request('https://localhost/', {
+        headers: { 'content-type': 'application/json' },
+        method: 'POST',
+        body: JSON.stringify({ source: 'aws.events', job: 'replay' }),
+      }),
+      { log: console },
+    );
+    assert.strictEqual(await result.status, 200);
+  });
+
+  it('Invoking an unknown job from AWS EventBridge returns 400', async () => {
+    const result = await main(
+      new Request('https://localhost/', {
+        headers: { 'content-type': 'application/json' },
+        method: 'POST',
+        body: JSON.stringify({ source: 'aws.events', job: 'toString' }),
+      }),
+      { log: console },
+    );
+    assert.strictEqual(await result.status, 400);
+  });
+
   it('Invoking as SQS trigger succeeds', async () => {
     const { main: proxyMain } = await esmock('../src/index.js', {
       '../src/trigger.js': async () => new Response('', { status: 200 }),
@@ -69,4 +97,82 @@ describe('Index Tests', () => {
     }), { log: console });
     assert.strictEqual(await result.status, 200);
   });
+
+  it('Invoking GET on a log route succeeds', async () => {
+    const { main: proxyMain } = await esmock('../src/index.js', {
+      '../src/query.js': async (_, contentBusId) => new Response(contentBusId, { status: 200 }),
+    });
+
+    const result = await proxyMain(new Request('https://localhost/'), {
+      log: console,
+      pathInfo: { suffix: '/355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f/log' },
+    });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(await result.text(), '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f');
+  });
+
+  it('Invoking GET on the log route of an organization succeeds', async () => {
+    const { main: proxyMain } = await esmock('../src/index.js', {
+      '../src/query.js': async (_, contentBusId) => new Response(contentBusId, { status: 200 }),
+    });
+
+    const result = await proxyMain(new Request('https://localhost/'), {
+      log: console,
+      pathInfo: { suffix: '/@adobe-de/log' },
+    });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(await result.text(), '@adobe-de');
+  });
+
+  it('Invoking GET on a references route passes the path', async () => {
+    const { main: proxyMain } = await esmock('../src/index.js', {
+      '../src/references.js': {
+        referencesByPath: async (_, contentBusId, path) => new Response(path, { status: 200 }),
+      },
+    });
+
+    const result = await proxyMain(new Request('https://localhost/'), {
+      log: console,
+      pathInfo: { suffix: '/355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f/references/path/docs/faq' },
+    });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(await result.text(), '/docs/faq');
+  });
+
+  it('Invoking GET on a tail route passes the request', async () => {
+    const { main: proxyMain } = await esmock('../src/index.js', {
+      '../src/tail.js': async (_, contentBusId, request) => new Response(
+        request.headers.get('last-event-id'),
+        { status: 200 },
+      ),
+    });
+
+    const result = await proxyMain(new Request('https://localhost/', {
+      headers: { 'last-event-id': '2024-07-31-12-00-00-AAAAAAAAAAAAAAAA:' },
+    }), {
+      log: console,
+      pathInfo: { suffix: '/355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f/tail' },
+    });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(await result.text(), '2024-07-31-12-00-00-AAAAAAAAAAAAAAAA:');
+  });
+
+  it('Invoking GET on the inventory or stats route of an organization returns 400', async () => {
+    for (const route of ['inventory', 'stats']) {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await main(new Request('https://localhost/'), {
+        log: console,
+        pathInfo: { suffix: `/@adobe/${route}` },
+      });
+      assert.strictEqual(result.status, 400);
+    }
+  });
+
+  it('Invoking GET on an unknown route returns 400', async () => {
+    const result = await main(new Request('https://localhost/'), {
+      log: console,
+      pathInfo: { suffix: '/355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f/unknown' },
+    });
+    assert.strictEqual(result.status, 400);
+  });
 });
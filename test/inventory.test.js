@@ -0,0 +1,83 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import sinon from 'sinon';
+import inventory from '../src/inventory.js';
+import Inventory from '../src/s3/Inventory.js';
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (data = {}) => ({
+  log: console,
+  data,
+});
+
+describe('Inventory route tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const media = {
+    hash1: {
+      mimeType: 'image/png', firstSeen: 1, lastSeen: 3, paths: ['/docs/faq'], deleted: false,
+    },
+    hash2: {
+      mimeType: 'video/mp4', firstSeen: 2, lastSeen: 5, paths: ['/blog/post'], deleted: false,
+    },
+    hash3: {
+      mimeType: 'image/jpeg', firstSeen: 4, lastSeen: 4, paths: [], deleted: true,
+    },
+  };
+
+  let stub;
+
+  beforeEach(() => {
+    stub = sinon.stub(Inventory, 'create').returns({ get: async () => media });
+  });
+
+  afterEach(() => {
+    stub.restore();
+  });
+
+  async function hashes(data) {
+    const response = await inventory(DEFAULT_CONTEXT(data), contentBusId);
+    assert.strictEqual(response.status, 200);
+    const { media: items } = await response.json();
+    return items.map(({ mediaHash }) => mediaHash);
+  }
+
+  it('returns the inventory, most recently seen first', async () => {
+    const response = await inventory(DEFAULT_CONTEXT(), contentBusId);
+    const { media: items } = await response.json();
+    assert.deepStrictEqual(items[0], { mediaHash: 'hash2', ...media.hash2 });
+    assert.deepStrictEqual(await hashes(), ['hash2', 'hash3', 'hash1']);
+  });
+
+  it('filters by MIME type and path prefix', async () => {
+    assert.deepStrictEqual(await hashes({ mimeType: 'image/png' }), ['hash1']);
+    assert.deepStrictEqual(await hashes({ mimeType: 'image/*' }), ['hash3', 'hash1']);
+    assert.deepStrictEqual(await hashes({ path: '/docs/' }), ['hash1']);
+    assert.deepStrictEqual(await hashes({ mimeType: 'image/*', path: '/blog/' }), []);
+  });
+
+  it('reports an error reading the inventory', async () => {
+    stub.returns({
+      get: async () => {
+        throw new Error('Whoopsie');
+      },
+    });
+
+    const response = await inventory(DEFAULT_CONTEXT(), contentBusId);
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.headers.get('x-error'), 'error reading inventory.');
+  });
+});
@@ -0,0 +1,86 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import sinon from 'sinon';
+import migrate from '../src/migrate.js';
+import MediaLog from '../src/s3/MediaLog.js';
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (data = {}) => ({
+  log: console,
+  data,
+});
+
+describe('Migration job tests', () => {
+  const contentBusId1 = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const contentBusId2 = '455d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+
+  let createStub;
+  let listStub;
+
+  beforeEach(() => {
+    createStub = sinon.stub(MediaLog, 'create');
+    listStub = sinon.stub(MediaLog, 'listProjects');
+  });
+
+  afterEach(() => {
+    createStub.restore();
+    listStub.restore();
+  });
+
+  it('upgrades the index of all projects', async () => {
+    listStub.resolves([contentBusId1, contentBusId2]);
+    createStub.callsFake((context, { contentBusId }) => ({
+      moveLegacyOrgLog: async () => 0,
+      upgradeIndex: async () => {
+        if (contentBusId === contentBusId2) {
+          throw new Error('Whoopsie');
+        }
+        return { legacy: true, files: 3, upgraded: 2 };
+      },
+      close: () => {},
+    }));
+
+    const response = await migrate(DEFAULT_CONTEXT());
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), {
+      job: 'migrate',
+      projects: [{
+        contentBusId: contentBusId1, legacy: true, files: 3, upgraded: 2,
+      }, {
+        contentBusId: contentBusId2,
+        error: 'Whoopsie',
+      }],
+    });
+  });
+
+  it('moves legacy organization aggregate logs', async () => {
+    listStub.resolves(['adobe']);
+    createStub.returns({
+      moveLegacyOrgLog: async () => 2,
+      upgradeIndex: async () => ({ legacy: false, files: 0, upgraded: 0 }),
+      close: () => {},
+    });
+
+    const response = await migrate(DEFAULT_CONTEXT());
+    assert.deepStrictEqual(await response.json(), {
+      job: 'migrate',
+      projects: [{
+        contentBusId: 'adobe', legacy: false, files: 0, upgraded: 0, moved: 2,
+      }],
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import sinon from 'sinon';
+import query, { decodeToken, encodeToken } from '../src/query.js';
+import MediaLog from '../src/s3/MediaLog.js';
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (data = {}) => ({
+  log: console,
+  data,
+});
+
+const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+
+const entries = [{
+  timestamp: 1722427281000,
+  operation: 'ingest',
+  mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+  contentType: 'image/png',
+  user: 'uncled@adobe.com',
+  path: '/docs/faq',
+  originalFilename: 'original-filename.png',
+  contentSourceType: 'gdoc-preview',
+}];
+
+describe('Query tests', () => {
+  let stub;
+
+  beforeEach(() => {
+    stub = sinon.stub(MediaLog, 'create');
+  });
+
+  afterEach(() => {
+    stub.restore();
+  });
+
+  it('returns entries in range', async () => {
+    stub.returns({
+      getEntries: (from, to, { limit }, location) => {
+        assert.strictEqual(from, Date.parse('2024-07-31T00:00:00Z'));
+        assert.strictEqual(to, 1722470400000);
+        assert.strictEqual(limit, 10);
+        assert.strictEqual(location, undefined);
+        return { entries };
+      },
+      close: () => {},
+    });
+
+    const response = await query(DEFAULT_CONTEXT({
+      from: '2024-07-31T00:00:00Z', to: '1722470400000', limit: '10',
+    }), contentBusId);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), {
+      from: '2024-07-31T00:00:00.000Z',
+      to: '2024-08-01T00:00:00.000Z',
+      entries,
+    });
+  });
+
+  it('returns and accepts a continuation token', async () => {
+    stub.returns({
+      getEntries: (from, to, { limit }, location) => {
+        assert.strictEqual(to - from, 24 * 60 * 60 * 1000);
+        assert.strictEqual(limit, 100);
+        assert.deepStrictEqual(location, { timestamp: 1722427281000, eventIds: ['a'] });
+        return { entries, next: { timestamp: 1722427282000, eventIds: ['b'] } };
+      },
+      close: () => {},
+    });
+
+    const response = await query(DEFAULT_CONTEXT({
+      nextToken: encodeToken({ timestamp: 1722427281000, eventIds: ['a'] }),
+    }), contentBusId);
+    assert.strictEqual(response.status, 200);
+
+    const { nextToken } = await response.json();
+    assert.deepStrictEqual(decodeToken(nextToken), { timestamp: 1722427282000, eventIds: ['b'] });
+  });
+
+  it('returns entries in sheet format', async () => {
+    stub.returns({
+      getEntries: (from, to, { limit }, location) => {
+        assert.strictEqual(limit, 1000);
+        if (!location) {
+          return { entries, next: { timestamp: 1722427281000, eventIds: ['a'] } };
+        }
+        return { entries: [{ ...entries[0], user: 'tripod@adobe.com' }] };
+      },
+      close: () => {},
+    });
+
+    const response = await query(DEFAULT_CONTEXT({
+      format: 'sheet', offset: '1', limit: '1', columns: 'user,mimeType,source',
+    }), contentBusId);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), {
+      offset: 1,
+      limit: 1,
+      total: 2,
+      columns: ['user', 'mimeType', 'source'],
+      data: [{ user: 'tripod@adobe.com', mimeType: 'image/png', source: 'gdoc-preview' }],
+      ':type': 'sheet',
+    });
+  });
+
+  it('reads no more entries than a sheet can count', async () => {
+    let calls = 0;
+    stub.returns({
+      getEntries: (from, to, { limit }) => {
+        calls += 1;
+        return {
+          entries: Array(limit).fill(entries[0]),
+          next: { timestamp: 1722427281000, eventIds: ['a'] },
+        };
+      },
+      close: () => {},
+    });
+
+    const response = await query(DEFAULT_CONTEXT({
+      format: 'sheet', offset: '9900', limit: '100', columns: 'user',
+    }), contentBusId);
+    const { total, data } = await response.json();
+    assert.strictEqual(total, 10000);
+    assert.strictEqual(data.length, 100);
+    assert.strictEqual(calls, 10);
+  });
+
+  it('rejects invalid parameters', async () => {
+    const tests = [
+      [{ from: 'yesterday' }, 'invalid \'from\' or \'to\' parameter'],
+      [{ from: '2024-08-01', to: '2024-07-31' }, '\'from\' must not be after \'to\''],
+      [{ limit: '0' }, '\'limit\' must be a number between 1 and 1000'],
+      [{ limit: 'all' }, '\'limit\' must be a number between 1 and 1000'],
+      [{ nextToken: 'bogus' }, 'invalid \'nextToken\' parameter'],
+      [{ nextToken: encodeToken([1722427281000]) }, 'invalid \'nextToken\' parameter'],
+      [{ nextToken: encodeToken(null) }, 'invalid \'nextToken\' parameter'],
+      [{ nextToken: encodeToken({ timestamp: 'now', eventIds: [] }) }, 'invalid \'nextToken\' parameter'],
+      [{ nextToken: encodeToken({ timestamp: 1722427281000, eventIds: [1] }) }, 'invalid \'nextToken\' parameter'],
+      [{ format: 'xml' }, 'unsupported format: xml'],
+      [{ format: 'sheet', offset: '-1' }, '\'offset\' must be a non-negative number'],
+      [{ format: 'sheet', offset: '9901' }, '\'offset\' and \'limit\' must not exceed 10000 entries'],
+      [{ format: 'sheet', columns: 'size' }, 'invalid \'columns\' parameter'],
+    ];
+    for (const [data, message] of tests) {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await query(DEFAULT_CONTEXT(data), contentBusId);
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.headers.get('x-error'), message);
+    }
+    assert.strictEqual(stub.callCount, 0);
+  });
+
+  it('reports an error reading the media log', async () => {
+    stub.returns({
+      getEntries: () => {
+        throw new Error('Whoopsie');
+      },
+      close: () => {},
+    });
+
+    const response = await query(DEFAULT_CONTEXT(), contentBusId);
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.headers.get('x-error'), 'error reading media log.');
+  });
+});
@@ -0,0 +1,73 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import sinon from 'sinon';
+import { referencesByHash, referencesByPath } from '../src/references.js';
+import References from '../src/s3/References.js';
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = () => ({
+  log: console,
+});
+
+describe('References route tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const mediaHash = '13872adbc8f226c65c00a81078b84ab4152476fc7';
+
+  let stub;
+
+  beforeEach(() => {
+    stub = sinon.stub(References, 'create').returns({
+      getPaths: async (hash) => (hash === mediaHash ? ['/docs/faq'] : []),
+      getMediaHashes: async (path) => (path === '/docs/faq' ? [mediaHash] : []),
+    });
+  });
+
+  afterEach(() => {
+    stub.restore();
+  });
+
+  it('returns the paths referencing a media', async () => {
+    const response = await referencesByHash(DEFAULT_CONTEXT(), contentBusId, mediaHash);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { mediaHash, paths: ['/docs/faq'] });
+  });
+
+  it('returns the media referenced by a path', async () => {
+    const response = await referencesByPath(DEFAULT_CONTEXT(), contentBusId, '/docs/faq');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { path: '/docs/faq', mediaHashes: [mediaHash] });
+  });
+
+  it('reports an error reading the references', async () => {
+    stub.returns({
+      getPaths: async () => {
+        throw new Error('Whoopsie');
+      },
+      getMediaHashes: async () => {
+        throw new Error('Whoopsie');
+      },
+    });
+
+    for (const response of [
+      await referencesByHash(DEFAULT_CONTEXT(), contentBusId, mediaHash),
+      await referencesByPath(DEFAULT_CONTEXT(), contentBusId, '/docs/faq'),
+    ]) {
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual(response.headers.get('x-error'), 'error reading references.');
+    }
+  });
+});
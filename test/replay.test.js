@@ -0,0 +1,166 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import sinon from 'sinon';
+import { BatchedQueueClient } from '@adobe/helix-admin-support';
+import { SQSClient } from '@aws-sdk/client-sqs';
+import replay from '../src/replay.js';
+import Inventory from '../src/s3/Inventory.js';
+import MediaLog from '../src/s3/MediaLog.js';
+import References from '../src/s3/References.js';
+import Rollups from '../src/s3/Rollups.js';
+import Webhooks from '../src/s3/Webhooks.js';
+import { Nock } from './utils.js';
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (data = {}) => ({
+  runtime: { region: 'us-east-1', accountId: '123456789012' },
+  log: console,
+  data,
+});
+
+describe('Dead-letter queue replay tests', () => {
+  const contentBusId1 = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const contentBusId2 = '455d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const update = {
+    timestamp: 1722427281000,
+    operation: 'ingest',
+    mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+    mimeType: 'image/png',
+    user: 'uncled@adobe.com',
+    path: '/docs/faq',
+  };
+
+  const msgs = () => [{
+    MessageId: 'msg-01',
+    ReceiptHandle: 'receipt-msg-01',
+    Body: JSON.stringify({ contentBusId: contentBusId1, updates: [update, update] }),
+  }, {
+    MessageId: 'msg-02',
+    ReceiptHandle: 'receipt-msg-02',
+    Body: JSON.stringify({ contentBusId: contentBusId1, swapS3Url: 's3://helix-content-bus/some/swap/key' }),
+  }, {
+    MessageId: 'msg-03',
+    ReceiptHandle: 'receipt-msg-03',
+    Body: JSON.stringify({ contentBusId: contentBusId2, updates: [update] }),
+  }, {
+    MessageId: 'msg-04',
+    ReceiptHandle: 'receipt-msg-04',
+    Body: 'bogus',
+  }];
+
+  let nock;
+
+  beforeEach(() => {
+    nock = new Nock().env();
+    sinon.stub(Inventory, 'create').returns({ update: async () => {} });
+    sinon.stub(References, 'create').returns({ update: async () => {} });
+    sinon.stub(Rollups, 'create').returns({ update: async () => {} });
+    sinon.stub(Webhooks, 'create').returns({ get: async () => [] });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    nock.done();
+  });
+
+  it('returns summary in dry-run mode', async () => {
+    const receiveStub = sinon.stub(BatchedQueueClient.prototype, 'receive').returns(msgs());
+    const deleteStub = sinon.stub(BatchedQueueClient.prototype, 'delete');
+    const sendStub = sinon.stub(SQSClient.prototype, 'send').resolves({});
+    const createStub = sinon.stub(MediaLog, 'create');
+
+    const result = await replay(DEFAULT_CONTEXT({ dryRun: 'true' }));
+    assert.strictEqual(result.status, 200);
+    assert.deepStrictEqual(await result.json(), {
+      dryRun: true,
+      batches: 4,
+      more: false,
+      projects: {
+        [contentBusId1]: { batches: 2, updates: 2, swapped: 1 },
+        [contentBusId2]: { batches: 1, updates: 1, swapped: 0 },
+        '(unknown)': { batches: 1, updates: 0, swapped: 0 },
+      },
+    });
+    assert(receiveStub.thisValues[0].inQueue.endsWith('/123456789012/helix-media-log-dlq.fifo'));
+    assert.deepStrictEqual(receiveStub.args, [[10, 30, 50]]);
+    assert.strictEqual(deleteStub.callCount, 0);
+
+    // the batches are made visible in the queue again
+    const [{ input }] = sendStub.args.map(([command]) => command);
+    assert(input.QueueUrl.endsWith('/123456789012/helix-media-log-dlq.fifo'));
+    assert.deepStrictEqual(input.Entries, msgs().map(({ MessageId }, idx) => ({
+      Id: `msg${idx}`, ReceiptHandle: `receipt-${MessageId}`, VisibilityTimeout: 0,
+    })));
+    assert.strictEqual(createStub.callCount, 0);
+  });
+
+  it('replays batches and deletes the ones processed', async () => {
+    sinon.stub(BatchedQueueClient.prototype, 'receive').returns(msgs());
+    const deleteStub = sinon.stub(BatchedQueueClient.prototype, 'delete');
+
+    const appended = {};
+    sinon.stub(MediaLog, 'create').callsFake((_, { contentBusId }) => ({
+      append: (updates) => {
+        appended[contentBusId] = (appended[contentBusId] ?? 0) + updates.length;
+        return { key: `${contentBusId}/log`, added: updates };
+      },
+      close: () => {},
+    }));
+
+    nock('https://helix-content-bus.s3.us-east-1.amazonaws.com')
+      .get('/some/swap/key?x-id=GetObject')
+      .reply(200, { contentBusId: contentBusId1, updates: [update] })
+      .delete('/some/swap/key?x-id=DeleteObject')
+      .reply(204);
+
+    const result = await replay(DEFAULT_CONTEXT());
+    assert.strictEqual(result.status, 200);
+
+    const json = await result.json();
+    assert.strictEqual(json.dryRun, false);
+    assert.deepStrictEqual(json.failures, ['msg-04']);
+    assert.deepStrictEqual(appended, { [contentBusId1]: 3, [contentBusId2]: 1 });
+    assert.deepStrictEqual(
+      deleteStub.getCall(0).args[0].map(({ MessageId }) => MessageId),
+      ['msg-01', 'msg-02', 'msg-03'],
+    );
+  });
+
+  it('receives a limited number of batches', async () => {
+    const receiveStub = sinon.stub(BatchedQueueClient.prototype, 'receive').returns(msgs());
+    sinon.stub(SQSClient.prototype, 'send').resolves({});
+
+    const result = await replay(DEFAULT_CONTEXT({ dryRun: true, limit: '4' }));
+    assert.strictEqual((await result.json()).more, true);
+    assert.deepStrictEqual(receiveStub.args, [[10, 30, 4]]);
+
+    for (const limit of ['0', '201', 'all']) {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await replay(DEFAULT_CONTEXT({ limit }));
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.headers.get('x-error'), '\'limit\' must be a number between 1 and 200');
+    }
+    assert.strictEqual(receiveStub.callCount, 1);
+  });
+
+  it('handles problems during receiving', async () => {
+    sinon.stub(BatchedQueueClient.prototype, 'receive').throws(new Error('receiving failed'));
+
+    const result = await replay(DEFAULT_CONTEXT());
+    assert.strictEqual(result.status, 500);
+  });
+});
@@ -0,0 +1,174 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import sinon from 'sinon';
+import report, { buildReport, refreshReport, writeReports } from '../src/report.js';
+import Inventory from '../src/s3/Inventory.js';
+import MediaLog from '../src/s3/MediaLog.js';
+
+let root;
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (data = {}) => ({
+  log: console,
+  env: { HLX_MEDIA_LOG_ROOT: root },
+  data,
+});
+
+describe('Report tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const now = Date.parse('2024-08-01T00:00:00Z');
+  const day = 24 * 60 * 60 * 1000;
+  const event = (daysAgo, operation, mediaHash, path, extra = {}) => ({
+    timestamp: now - daysAgo * day,
+    operation,
+    mediaHash,
+    path,
+    mimeType: 'image/png',
+    user: 'uncled@adobe.com',
+    ...extra,
+  });
+  const entries = [
+    event(100, 'ingest', 'hash1', '/docs/faq', { originalFilename: 'faq.png' }),
+    event(100, 'ingest', 'hash2', '/blog', { originalFilename: 'blog.png' }),
+    event(50, 'reuse', 'hash1', '/docs/help', { user: 'tripod@adobe.com' }),
+    event(40, 'delete', 'hash1', '/docs/faq'),
+    event(10, 'ingest', 'hash3', '/news', { originalFilename: 'news, "latest".png' }),
+    event(5, 'delete', 'hash3'),
+    event(1, 'reuse', 'hash4', '/docs/faq', { mimeType: undefined, contentType: 'video/mp4' }),
+  ];
+
+  const item = (mediaHash, originalFilename, user, daysAgo, mimeType = 'image/png') => ({
+    mediaHash,
+    mimeType,
+    originalFilename,
+    user,
+    lastReferenced: new Date(now - daysAgo * day).toISOString(),
+  });
+
+  let clock;
+  let inventory;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(`${os.tmpdir()}/media-log-`);
+    clock = sinon.useFakeTimers({ now, toFake: ['Date'] });
+    inventory = await Inventory.create(DEFAULT_CONTEXT(), { contentBusId });
+    await inventory.update(entries);
+  });
+
+  afterEach(async () => {
+    clock.restore();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  async function readReport(name) {
+    const storage = await MediaLog.createStorage(DEFAULT_CONTEXT());
+    return (await storage.get(`${contentBusId}/${name}`))?.body.toString();
+  }
+
+  it('reports orphaned and unused media', async () => {
+    const result = await buildReport(inventory, 30, now);
+    assert.deepStrictEqual(result, {
+      generated: '2024-08-01T00:00:00.000Z',
+      days: 30,
+      orphaned: [item('hash3', 'news, "latest".png', 'uncled@adobe.com', 10)],
+      unused: [
+        item('hash1', 'faq.png', 'uncled@adobe.com', 50),
+        item('hash2', 'blog.png', 'uncled@adobe.com', 100),
+      ],
+    });
+  });
+
+  it('returns the report in JSON and CSV format', async () => {
+    let response = await report(DEFAULT_CONTEXT(), contentBusId);
+    assert.strictEqual(response.status, 200);
+    const { days, unused } = await response.json();
+    assert.strictEqual(days, 90);
+    assert.deepStrictEqual(unused.map(({ mediaHash }) => mediaHash), ['hash2']);
+
+    response = await report(DEFAULT_CONTEXT({ days: '30', format: 'csv' }), contentBusId);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'text/csv');
+    assert.strictEqual(await response.text(), [
+      'report,mediaHash,mimeType,originalFilename,user,lastReferenced',
+      'orphaned,hash3,image/png,"news, ""latest"".png",uncled@adobe.com,2024-07-22T00:00:00.000Z',
+      'unused,hash1,image/png,faq.png,uncled@adobe.com,2024-06-12T00:00:00.000Z',
+      'unused,hash2,image/png,blog.png,uncled@adobe.com,2024-04-23T00:00:00.000Z',
+      '',
+    ].join('\r\n'));
+  });
+
+  it('rejects invalid parameters', async () => {
+    const tests = [
+      [{ days: '0' }, '\'days\' must be a positive number'],
+      [{ days: 'many' }, '\'days\' must be a positive number'],
+      [{ format: 'xml' }, 'unsupported format: xml'],
+    ];
+    for (const [data, message] of tests) {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await report(DEFAULT_CONTEXT(data), contentBusId);
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.headers.get('x-error'), message);
+    }
+    const response = await writeReports(DEFAULT_CONTEXT({ days: '-1' }));
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('reports an error reading the inventory', async () => {
+    const createStub = sinon.stub(Inventory, 'create').returns({
+      get: () => {
+        throw new Error('Whoopsie');
+      },
+    });
+    try {
+      const response = await report(DEFAULT_CONTEXT(), contentBusId);
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual(response.headers.get('x-error'), 'error building report.');
+    } finally {
+      createStub.restore();
+    }
+  });
+
+  it('writes reports into the project folder', async () => {
+    const response = await writeReports(DEFAULT_CONTEXT({
+      contentBusIds: [contentBusId, '@adobe'], days: 30,
+    }));
+    assert.deepStrictEqual(await response.json(), {
+      job: 'report',
+      projects: [
+        { contentBusId: '@adobe', orphaned: 0, unused: 0 },
+        { contentBusId, orphaned: 1, unused: 2 },
+      ],
+    });
+    assert.strictEqual(JSON.parse(await readReport('.report.json')).days, 30);
+    assert.strictEqual((await readReport('.report.csv')).split('\r\n').length, 5);
+  });
+
+  it('builds a stored report again from the inventory', async () => {
+    assert.strictEqual(await refreshReport(DEFAULT_CONTEXT(), contentBusId), false);
+
+    await writeReports(DEFAULT_CONTEXT({ contentBusIds: [contentBusId], days: 30 }));
+    await inventory.rewriteUsers(() => null);
+    assert.strictEqual(await refreshReport(DEFAULT_CONTEXT(), contentBusId), true);
+
+    const { days, orphaned, unused } = JSON.parse(await readReport('.report.json'));
+    assert.strictEqual(days, 30);
+    assert.deepStrictEqual([...orphaned, ...unused].map(({ user }) => user), ['', '', '']);
+    assert(!(await readReport('.report.csv')).includes('@adobe.com'));
+  });
+});
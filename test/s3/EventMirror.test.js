@@ -0,0 +1,191 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint-disable func-names */
+
+import assert from 'assert';
+import zlib from 'zlib';
+
+import EventMirror from '../../src/s3/EventMirror.js';
+import { BACKENDS, Nock } from '../utils.js';
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (env = { HLX_MEDIA_LOG_MIRROR_BUCKET: 'media-events' }) => ({
+  log: console,
+  env,
+});
+
+describe('S3 EventMirror tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const updates = [{
+    timestamp: Date.parse('2024-07-31T23:10:00Z'),
+    operation: 'ingest',
+    mediaHash: 'hash1',
+    contentType: 'image/png',
+    user: 'uncled@adobe.com',
+    path: '/docs/faq',
+    contentSourceType: 'gdoc-preview',
+  }, {
+    timestamp: Date.parse('2024-07-31T23:20:00Z'),
+    operation: 'reuse',
+    mediaHash: 'hash1',
+    mimeType: 'image/png',
+    user: 'tripod@adobe.com',
+    path: '/blog',
+  }, {
+    timestamp: Date.parse('2024-08-01T00:05:00Z'),
+    eventId: 'event3',
+    operation: 'delete',
+    mediaHash: 'hash2',
+    mimeType: 'image/jpeg',
+    user: 'uncled@adobe.com',
+    path: '/news',
+    source: 'onedrive',
+  }];
+
+  let nock;
+
+  beforeEach(() => {
+    nock = new Nock().env();
+  });
+
+  afterEach(() => {
+    nock.done();
+  });
+
+  it('is disabled without a bucket', async () => {
+    assert.strictEqual(await EventMirror.create(DEFAULT_CONTEXT({}), { contentBusId }), null);
+  });
+
+  it('writes events to the partitions of their hours', async () => {
+    const bodies = {};
+    const partitions = [
+      `events/dt=2024-07-31/hour=23/cbid=${contentBusId}`,
+      `events/dt=2024-08-01/hour=00/cbid=${contentBusId}`,
+    ];
+    nock('https://media-events.s3.us-east-1.amazonaws.com')
+      .put((uri) => partitions.some((partition) => decodeURIComponent(uri)
+        .startsWith(`/${partition}/`)))
+      .times(2)
+      .reply(function (uri, body) {
+        assert.strictEqual(this.req.headers['content-type'], 'application/x-ndjson');
+        assert.strictEqual(this.req.headers['content-encoding'], 'gzip');
+        const key = decodeURIComponent(uri.split('?')[0].substring(1));
+        bodies[key] = zlib.gunzipSync(Buffer.from(body, 'hex')).toString();
+        return [200];
+      });
+
+    const mirror = await EventMirror.create(DEFAULT_CONTEXT(), { contentBusId });
+    const keys = await mirror.write(updates);
+    assert.deepStrictEqual(keys.map((key) => key.replace(/\/[^/]+$/, '')), partitions);
+    assert.strictEqual(new Set(keys.map((key) => key.split('/').pop())).size, 1);
+
+    const records = (key) => bodies[key].split('\n').filter((line) => !!line)
+      .map((line) => JSON.parse(line));
+    assert.deepStrictEqual(records(keys[0]), [{
+      timestamp: Date.parse('2024-07-31T23:10:00Z'),
+      operation: 'ingest',
+      mediaHash: 'hash1',
+      mimeType: 'image/png',
+      user: 'uncled@adobe.com',
+      path: '/docs/faq',
+      source: 'gdoc-preview',
+    }, {
+      timestamp: Date.parse('2024-07-31T23:20:00Z'),
+      operation: 'reuse',
+      mediaHash: 'hash1',
+      mimeType: 'image/png',
+      user: 'tripod@adobe.com',
+      path: '/blog',
+    }]);
+    assert.deepStrictEqual(records(keys[1]), [updates[2]]);
+  });
+
+  it('overwrites the objects of a redelivered batch', async () => {
+    const keys = [];
+    nock('https://media-events.s3.us-east-1.amazonaws.com')
+      .put(/\.ndjson\.gz\?x-id=PutObject$/)
+      .times(4)
+      .reply((uri) => {
+        keys.push(decodeURIComponent(uri));
+        return [200];
+      });
+
+    const mirror = await EventMirror.create(DEFAULT_CONTEXT(), { contentBusId });
+    await mirror.write(updates);
+    await mirror.write(updates);
+    assert.deepStrictEqual(keys.slice(2), keys.slice(0, 2));
+  });
+});
+
+Object.entries(BACKENDS).forEach(([name, setup]) => {
+  describe(`EventMirror maintenance tests (${name})`, () => {
+    const cbid1 = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+    const cbid2 = '455d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+    const keys = [
+      `events/dt=2024-07-30/hour=23/cbid=${cbid1}/a.ndjson.gz`,
+      `events/dt=2024-07-31/hour=00/cbid=${cbid1}/b.ndjson.gz`,
+      `events/dt=2024-07-31/hour=12/cbid=${cbid2}/c.ndjson.gz`,
+      `events/dt=2024-08-01/hour=00/cbid=${cbid2}/d.ndjson.gz`,
+    ];
+    const record = (timestamp, user) => ({ timestamp, operation: 'ingest', user });
+
+    let storage;
+    let teardown;
+    let mirror;
+
+    const store = (key, records) => storage.put(
+      key,
+      zlib.gzipSync(records.map((r) => `${JSON.stringify(r)}\n`).join('')),
+    );
+    const read = async (key) => {
+      const object = await storage.get(key);
+      return object && zlib.gunzipSync(object.body).toString().split('\n')
+        .filter((line) => !!line)
+        .map((line) => JSON.parse(line));
+    };
+
+    beforeEach(async () => {
+      ({ storage, teardown } = await setup());
+      mirror = new EventMirror({ storage, log: console });
+      await store(keys[0], [record(1, 'uncled@adobe.com')]);
+      await store(keys[1], [record(2, 'tripod@adobe.com'), record(3, 'uncled@adobe.com')]);
+      await store(keys[2], [record(4, 'tripod@adobe.com')]);
+      await store(keys[3], [record(5, 'tripod@adobe.com')]);
+    });
+
+    afterEach(async () => {
+      await teardown();
+    });
+
+    it('rewrites the records of all projects', async () => {
+      const touched = await mirror.rewrite((r) => (r.user === 'tripod@adobe.com' ? null : r));
+      assert.deepStrictEqual(touched, keys.slice(1));
+      assert.deepStrictEqual(await read(keys[0]), [record(1, 'uncled@adobe.com')]);
+      assert.deepStrictEqual(await read(keys[1]), [record(3, 'uncled@adobe.com')]);
+      assert.strictEqual(await read(keys[2]), null);
+      assert.strictEqual(await read(keys[3]), null);
+    });
+
+    it('removes the partitions of the days past a cutoff', async () => {
+      const days = await mirror.expire(Date.parse('2024-08-01T00:00:00Z'));
+      assert.deepStrictEqual(days, ['2024-07-30', '2024-07-31']);
+      assert.strictEqual(await read(keys[0]), null);
+      assert.strictEqual(await read(keys[1]), null);
+      assert.strictEqual(await read(keys[2]), null);
+      assert.deepStrictEqual(await read(keys[3]), [record(5, 'tripod@adobe.com')]);
+    });
+  });
+});
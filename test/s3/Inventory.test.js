@@ -0,0 +1,268 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint-disable func-names */
+
+import assert from 'assert';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+import Inventory from '../../src/s3/Inventory.js';
+import { Nock } from '../utils.js';
+
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = () => ({
+  log: console,
+  env: {},
+});
+
+describe('S3 Inventory tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const hash1 = '13872adbc8f226c65c00a81078b84ab4152476fc7';
+  const hash2 = '23872adbc8f226c65c00a81078b84ab4152476fc7';
+
+  let nock;
+
+  beforeEach(() => {
+    nock = new Nock().env();
+  });
+
+  afterEach(() => {
+    nock.done();
+  });
+
+  const event = (timestamp, operation, mediaHash, path) => ({
+    timestamp, operation, mediaHash, path, mimeType: 'image/png', user: 'uncled@adobe.com',
+  });
+
+  const item = (firstSeen, lastSeen) => ({
+    mimeType: 'image/png',
+    firstSeen,
+    lastSeen,
+    paths: ['/docs/faq'],
+    deleted: false,
+    ingested: true,
+    lastReferenced: lastSeen,
+    originalFilename: '',
+    user: 'uncled@adobe.com',
+  });
+
+  it('keeps the inventory in the configured bucket', async () => {
+    nock('https://other-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.inventory.gz?x-id=GetObject`)
+      .reply(404)
+      .put(`/${contentBusId}/.inventory.gz?x-id=PutObject`)
+      .reply(200);
+
+    const context = { ...DEFAULT_CONTEXT(), env: { HLX_MEDIA_LOG_BUCKET: 'other-logs' } };
+    const inventory = await Inventory.create(context, { contentBusId });
+    await inventory.update([event(1, 'ingest', hash1, '/docs/faq')]);
+  });
+
+  it('creates the inventory from media events', async () => {
+    let stored;
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.inventory.gz?x-id=GetObject`)
+      .reply(404)
+      .put(`/${contentBusId}/.inventory.gz?x-id=PutObject`)
+      .reply(function (_, body) {
+        assert.strictEqual(this.req.headers['if-none-match'], '*');
+        stored = body;
+        return [200];
+      });
+
+    const inventory = await Inventory.create(DEFAULT_CONTEXT(), { contentBusId });
+    await inventory.update([
+      event(3, 'reuse', hash1, '/docs/faq'),
+      event(1, 'ingest', hash1, '/drafts/faq'),
+      event(2, 'ingest', hash2, '/blog'),
+      event(4, 'delete', hash2, '/blog'),
+      { timestamp: 5, operation: 'ingest' },
+    ]);
+    assert.deepStrictEqual(stored, {
+      media: {
+        [hash1]: {
+          mimeType: 'image/png',
+          firstSeen: 1,
+          lastSeen: 3,
+          paths: ['/docs/faq', '/drafts/faq'],
+          deleted: false,
+          ingested: true,
+          lastReferenced: 3,
+          originalFilename: '',
+          user: 'uncled@adobe.com',
+        },
+        [hash2]: {
+          mimeType: 'image/png',
+          firstSeen: 2,
+          lastSeen: 4,
+          paths: [],
+          deleted: true,
+          ingested: true,
+          lastReferenced: 2,
+          originalFilename: '',
+          user: 'uncled@adobe.com',
+        },
+      },
+      times: {
+        paths: {
+          [hash1]: { '/docs/faq': 3, '/drafts/faq': 1 },
+          [hash2]: { '/blog': 4 },
+        },
+        cleared: {},
+      },
+    });
+  });
+
+  it('updates the inventory incrementally', async () => {
+    const media = {
+      [hash1]: {
+        ...item(1, 3),
+        paths: ['/docs/faq', '/drafts/faq'],
+        originalFilename: 'faq.png',
+        user: 'tripod@adobe.com',
+      },
+    };
+    const contents = await gzip(JSON.stringify({ media }));
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.inventory.gz?x-id=GetObject`)
+      .twice()
+      .reply(200, contents, { etag: '"inventory-1"' })
+      .put(`/${contentBusId}/.inventory.gz?x-id=PutObject`)
+      .reply(412)
+      .put(`/${contentBusId}/.inventory.gz?x-id=PutObject`)
+      .reply(function (_, body) {
+        assert.strictEqual(this.req.headers['if-match'], '"inventory-1"');
+        assert.deepStrictEqual(body.media[hash1], {
+          ...item(1, 6), mimeType: 'image/jpeg', originalFilename: 'faq.png',
+        });
+        return [200];
+      });
+
+    const inventory = await Inventory.create(DEFAULT_CONTEXT(), { contentBusId });
+    await inventory.update([
+      event(5, 'delete', hash1, '/drafts/faq'),
+      event(6, 'reuse', hash1, '/docs/faq'),
+      // a late event leaves the original filename and user of the last event
+      { ...event(2, 'reuse', hash1, '/docs/faq'), originalFilename: 'other.png' },
+    ].map((e) => ({ ...e, mimeType: undefined, contentType: 'image/jpeg' })));
+  });
+
+  it('marks media deleted without a path as deleted everywhere', async () => {
+    const media = { [hash1]: item(1, 3) };
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.inventory.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify({ media })), { etag: '"inventory-1"' })
+      .put(`/${contentBusId}/.inventory.gz?x-id=PutObject`)
+      .reply((_, body) => {
+        assert.deepStrictEqual(body.media[hash1].paths, []);
+        assert.strictEqual(body.media[hash1].deleted, true);
+        return [200];
+      });
+
+    const inventory = await Inventory.create(DEFAULT_CONTEXT(), { contentBusId });
+    await inventory.update([{ timestamp: 4, operation: 'delete', mediaHash: hash1 }]);
+  });
+
+  it('ignores events older than the last one for the same media and path', async () => {
+    const media = { [hash1]: { ...item(1, 7), paths: ['/blog'] } };
+    const times = {
+      paths: { [hash1]: { '/docs/faq': 5, '/drafts/faq': 4, '/blog': 7 } },
+      cleared: {},
+    };
+    let stored;
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.inventory.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify({ media, times })), { etag: '"inventory-1"' })
+      .put(`/${contentBusId}/.inventory.gz?x-id=PutObject`)
+      .reply((_, body) => {
+        stored = body;
+        return [200];
+      });
+
+    const inventory = await Inventory.create(DEFAULT_CONTEXT(), { contentBusId });
+    await inventory.update([
+      event(3, 'reuse', hash1, '/docs/faq'),
+      event(4, 'reuse', hash1, '/drafts/faq'),
+      event(8, 'reuse', hash1, '/docs/faq'),
+      event(8, 'delete', hash1, '/docs/faq'),
+      { timestamp: 6, operation: 'delete', mediaHash: hash1 },
+      event(5, 'reuse', hash1, '/drafts/faq'),
+    ]);
+    assert.deepStrictEqual(stored.media[hash1], { ...item(1, 8), paths: ['/blog'] });
+    assert.deepStrictEqual(stored.times, {
+      paths: { [hash1]: { '/docs/faq': 8, '/drafts/faq': 5, '/blog': 7 } },
+      cleared: { [hash1]: 6 },
+    });
+  });
+
+  it('returns the inventory', async () => {
+    const media = { [hash1]: item(1, 3) };
+    const otherContentBusId = '455d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.inventory.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify({ media })))
+      .get(`/${otherContentBusId}/.inventory.gz?x-id=GetObject`)
+      .reply(404);
+
+    let inventory = await Inventory.create(DEFAULT_CONTEXT(), { contentBusId });
+    assert.deepStrictEqual(await inventory.get(), media);
+    inventory = await Inventory.create(DEFAULT_CONTEXT(), { contentBusId: otherContentBusId });
+    assert.deepStrictEqual(await inventory.get(), {});
+  });
+
+  it('rewrites the users of the inventory items', async () => {
+    const media = {
+      [hash1]: item(1, 3),
+      [hash2]: { ...item(2, 4), user: 'tripod@adobe.com' },
+    };
+    let stored;
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.inventory.gz?x-id=GetObject`)
+      .twice()
+      .reply(200, await gzip(JSON.stringify({ media })), { etag: '"inventory-1"' })
+      .put(`/${contentBusId}/.inventory.gz?x-id=PutObject`)
+      .reply((_, body) => {
+        stored = body;
+        return [200];
+      });
+
+    const inventory = await Inventory.create(DEFAULT_CONTEXT(), { contentBusId });
+    assert.strictEqual(await inventory.rewriteUsers((user) => (user === 'tripod@adobe.com' ? null : user)), 1);
+    assert.deepStrictEqual(stored.media, { [hash1]: item(1, 3), [hash2]: { ...item(2, 4), user: '' } });
+
+    // nothing to change
+    assert.strictEqual(await inventory.rewriteUsers((user) => user), 0);
+  });
+
+  it('removes the users of items whose last event is expired', async () => {
+    const media = { [hash1]: item(1, 3), [hash2]: item(2, 4) };
+    let stored;
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.inventory.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify({ media })), { etag: '"inventory-1"' })
+      .put(`/${contentBusId}/.inventory.gz?x-id=PutObject`)
+      .reply((_, body) => {
+        stored = body;
+        return [200];
+      });
+
+    const inventory = await Inventory.create(DEFAULT_CONTEXT(), { contentBusId });
+    assert.strictEqual(await inventory.expireUsers(4), 1);
+    assert.deepStrictEqual(stored.media, { [hash1]: { ...item(1, 3), user: '' }, [hash2]: item(2, 4) });
+  });
+});
@@ -11,17 +11,18 @@
  */
 
 /* eslint-env mocha */
-/* eslint-disable func-names */
 
 import assert from 'assert';
 import { promisify } from 'util';
-import xml2js from 'xml2js';
 import zlib from 'zlib';
 
-import MediaLog from '../../src/s3/MediaLog.js';
-import { Nock } from '../utils.js';
+import DateFormat from '../../src/s3/DateFormat.js';
+import MediaLog, { getEventId, getOrgLogId, isOrgLog } from '../../src/s3/MediaLog.js';
+import { ConflictError } from '../../src/storage/Storage.js';
+import { BACKENDS, wrapStorage } from '../utils.js';
 
 const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
 
 /**
  * Default context
@@ -31,166 +32,1143 @@ const DEFAULT_CONTEXT = () => ({
   env: {},
 });
 
-describe('S3 MediaLog tests', () => {
-  let nock;
+const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
 
-  beforeEach(() => {
-    nock = new Nock().env();
-  });
+const INDEX_KEY = `${contentBusId}/.index`;
 
-  afterEach(() => {
-    nock.done();
-  });
+/**
+ * Returns the key of a log file.
+ */
+const key = (id) => `${contentBusId}/${id}.gz`;
 
-  const updates = [{
-    timestamp: 1722427281000, // 2025-07-31T12:01:21.000
-    operation: 'ingest',
-    mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
-    contentType: 'image/png',
-    user: 'uncled@adobe.com',
-    path: '/docs/faq',
-    originalFilename: 'original-filename.png',
-    contentSourceType: 'gdoc-preview',
-  }];
-
-  it('Create media logger and append data', async () => {
-    const contents = await gzip(JSON.stringify([]));
-    const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
-
-    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
-      .get(`/${contentBusId}/.index?x-id=GetObject`)
-      .reply(200, '2024-07-31-12-01-21-3ADD0B52867FF57D', {
-        'content-type': 'text/plain',
-      })
-      .get(`/${contentBusId}/2024-07-31-12-01-21-3ADD0B52867FF57D.gz?x-id=GetObject`)
-      .reply(200, contents, {
-        'content-type': 'application/json',
-        'content-length': contents.length,
-        'content-encoding': 'gzip',
-      })
-      .put(`/${contentBusId}/2024-07-31-12-01-21-3ADD0B52867FF57D.gz?x-id=PutObject`)
-      .reply(function (_, body) {
-        assert.strictEqual(this.req.headers['x-amz-meta-last-event-time'], '2024-07-31-12-01-21');
-        assert.deepStrictEqual(body, updates);
-        return [201];
-      });
-
-    const mediaLog = await MediaLog.create(DEFAULT_CONTEXT(), { contentBusId });
-    await mediaLog.append(updates);
-  });
+/**
+ * Returns the IDs of the log files in an index.
+ */
+const ids = (index) => index.files.map(({ id }) => id);
 
-  it('Simulate pristine environment', async () => {
-    let lastLog;
-    const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
-
-    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
-      .get(`/${contentBusId}/.index?x-id=GetObject`)
-      .reply(404, new xml2js.Builder().buildObject({
-        Error: {
-          Code: 'NoSuchKey',
-          Message: 'The specified key does not exist.',
-          Key: `/${contentBusId}/.index`,
-        },
-      }))
-      .put(`/${contentBusId}/.index?x-id=PutObject`)
-      .reply((_, body) => {
-        const logFiles = body.split('\n');
-        lastLog = logFiles[logFiles.length - 1];
-        return [201];
-      })
-      .put((uri) => uri.startsWith(`/${contentBusId}/${lastLog}`))
-      .reply(201);
-
-    const mediaLog = await MediaLog.create(DEFAULT_CONTEXT(), { contentBusId });
-    await mediaLog.append(updates);
-  });
+const updates = [{
+  timestamp: 1722427281000, // 2025-07-31T12:01:21.000
+  operation: 'ingest',
+  mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+  contentType: 'image/png',
+  user: 'uncled@adobe.com',
+  path: '/docs/faq',
+  originalFilename: 'original-filename.png',
+  contentSourceType: 'gdoc-preview',
+}];
 
-  it('Simulate environment where last log has no .gz extension', async () => {
-    let lastLog;
-    const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
-
-    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
-      .get(`/${contentBusId}/.index?x-id=GetObject`)
-      .reply(200, '2024-07-31-12-01-21-3ADD0B52867FF57D', {
-        'content-type': 'text/plain',
-      })
-      .get(`/${contentBusId}/2024-07-31-12-01-21-3ADD0B52867FF57D.gz?x-id=GetObject`)
-      .reply(404, new xml2js.Builder().buildObject({
-        Error: {
-          Code: 'NoSuchKey',
-          Message: 'The specified key does not exist.',
-          Key: `/${contentBusId}/2024-07-31-12-01-21-3ADD0B52867FF57D.gz`,
-        },
-      }))
-      .put(`/${contentBusId}/.index?x-id=PutObject`)
-      .reply((_, body) => {
-        const logFiles = body.split('\n');
-        lastLog = logFiles[logFiles.length - 1];
-        return [201];
-      })
-      .put((uri) => uri.startsWith(`/${contentBusId}/${lastLog}.gz`))
-      .reply(201);
-
-    const mediaLog = await MediaLog.create(DEFAULT_CONTEXT(), { contentBusId });
-    await mediaLog.append(updates);
-  });
+const logFile = '2024-07-31-12-01-21-3ADD0B52867FF57D';
 
-  it('Simulate environment where last log is too large', async () => {
-    const contents = await gzip(JSON.stringify([]));
-    let lastLog;
-    const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
-
-    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
-      .get(`/${contentBusId}/.index?x-id=GetObject`)
-      .reply(200, '2024-07-31-12-01-21-3ADD0B52867FF57D', {
-        'content-type': 'text/plain',
-      })
-      .get(`/${contentBusId}/2024-07-31-12-01-21-3ADD0B52867FF57D.gz?x-id=GetObject`)
-      .reply(200, contents, {
-        'content-type': 'application/json',
-        'content-length': 700000,
-        'content-encoding': 'gzip',
-      })
-      .put(`/${contentBusId}/.index?x-id=PutObject`)
-      .reply((_, body) => {
-        const logFiles = body.split('\n');
-        assert.strictEqual(logFiles.length, 2);
-        lastLog = logFiles[logFiles.length - 1];
-        return [201];
-      })
-      .put((uri) => uri.startsWith(`/${contentBusId}/${lastLog}.gz`))
-      .reply(201);
-
-    const mediaLog = await MediaLog.create(DEFAULT_CONTEXT(), { contentBusId });
-    await mediaLog.append(updates);
-  });
+const hour = (h, m = 0) => Date.UTC(2024, 6, 31, h, m);
 
-  it('Return null when no updates provided', async () => {
-    const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
-    const mediaLog = await MediaLog.create(DEFAULT_CONTEXT(), { contentBusId });
-    const result = await mediaLog.append([]);
-    assert.strictEqual(result, null);
-  });
+Object.entries(BACKENDS).forEach(([name, setup]) => {
+  describe(`MediaLog tests (${name})`, () => {
+    let storage;
+    let teardown;
+
+    beforeEach(async () => {
+      ({ storage, teardown } = await setup());
+    });
+
+    afterEach(async () => {
+      await teardown();
+    });
+
+    /**
+     * Stores a log file, along with the times of its earliest and latest events, unless
+     * the contents are not an array of entries.
+     */
+    async function storeLogFile(id, contents) {
+      if (Buffer.isBuffer(contents)) {
+        await storage.put(key(id), contents);
+        return;
+      }
+      const times = contents.map(({ timestamp }) => timestamp);
+      const format = (time) => DateFormat.format(new Date(time));
+      await storage.put(key(id), await gzip(JSON.stringify(contents)), {
+        metadata: contents.length ? {
+          'first-event-time': format(Math.min(...times)),
+          'last-event-time': format(Math.max(...times)),
+        } : {},
+      });
+    }
+
+    /**
+     * Stores log files along with a legacy index listing them.
+     */
+    async function seed(files) {
+      for (const [id, contents] of Object.entries(files)) {
+        // eslint-disable-next-line no-await-in-loop
+        await storeLogFile(id, contents);
+      }
+      await storage.put(INDEX_KEY, Object.keys(files).join('\n'));
+    }
+
+    async function storeIndex(files) {
+      await storage.put(INDEX_KEY, JSON.stringify({ version: 2, files }));
+    }
+
+    async function readIndex() {
+      return JSON.parse((await storage.get(INDEX_KEY)).body.toString());
+    }
+
+    async function readLogFile(id) {
+      const { body, metadata } = await storage.get(key(id));
+      return { contents: JSON.parse(await gunzip(body)), metadata };
+    }
+
+    async function create(opts = {}) {
+      return MediaLog.create(DEFAULT_CONTEXT(), { contentBusId, storage, ...opts });
+    }
+
+    describe('append', () => {
+      it('appends to the last log file and upgrades a legacy index', async () => {
+        await seed({ [logFile]: [] });
+        const { etag } = await storage.head(INDEX_KEY);
+        const wrapped = wrapStorage(storage);
+
+        const mediaLog = await create({ storage: wrapped });
+        assert.strictEqual((await mediaLog.append(updates)).key, key(logFile));
+
+        const { contents, metadata } = await readLogFile(logFile);
+        assert.deepStrictEqual(contents, updates);
+        assert.strictEqual(metadata['last-event-time'], '2024-07-31-12-01-21');
+
+        // legacy index is upgraded, with the statistics of the log file appended to
+        const index = await readIndex();
+        assert.strictEqual(index.version, 2);
+        assert.deepStrictEqual(index.files, [{
+          id: logFile,
+          firstEventTime: 1722427281000,
+          lastEventTime: 1722427281000,
+          count: 1,
+          size: (await storage.head(key(logFile))).size,
+          uncompressedSize: JSON.stringify(updates).length,
+        }]);
+        assert(wrapped.calls.some((call) => call.join() === ['conditionalPut', INDEX_KEY, etag].join()));
+      });
+
+      it('keeps entries sorted and records first and last event times', async () => {
+        const at = (timestamp) => ({ ...updates[0], timestamp });
+        await seed({ [logFile]: [at(1722427282000), at(1722427290000)] });
+
+        // a batch arriving out of order, with a late event
+        const mediaLog = await create();
+        await mediaLog.append([at(1722427285000), at(1722427280000)]);
+
+        const { contents, metadata } = await readLogFile(logFile);
+        assert.deepStrictEqual(contents, [
+          at(1722427280000), at(1722427282000), at(1722427285000), at(1722427290000),
+        ]);
+        assert.strictEqual(metadata['first-event-time'], '2024-07-31-12-01-20');
+        assert.strictEqual(metadata['last-event-time'], '2024-07-31-12-01-30');
+
+        const [{ firstEventTime, lastEventTime, count }] = (await readIndex()).files;
+        assert.deepStrictEqual(
+          { firstEventTime, lastEventTime, count },
+          { firstEventTime: 1722427280000, lastEventTime: 1722427290000, count: 4 },
+        );
+      });
+
+      it('Simulate pristine environment', async () => {
+        const mediaLog = await create();
+        const { key: objectName } = await mediaLog.append(updates);
+
+        const index = await readIndex();
+        assert.strictEqual(index.files.length, 1);
+        assert.strictEqual(index.files[0].count, 1);
+        assert.strictEqual(objectName, key(index.files[0].id));
+        assert.deepStrictEqual((await readLogFile(index.files[0].id)).contents, updates);
+      });
+
+      it('Simulate environment where last log has not been stored yet', async () => {
+        // another invocation added the log file to the index, but did not store it yet
+        await storage.put(INDEX_KEY, logFile);
+        const wrapped = wrapStorage(storage);
+
+        const mediaLog = await create({ storage: wrapped });
+        assert.strictEqual((await mediaLog.append(updates)).key, key(logFile));
+        assert.deepStrictEqual((await readLogFile(logFile)).contents, updates);
+        assert.deepStrictEqual(ids(await readIndex()), [logFile]);
+        assert(wrapped.calls.some((call) => call.join() === ['conditionalPut', key(logFile), undefined].join()));
+      });
+
+      it('Simulate environment where last log is too large', async () => {
+        await seed({ [logFile]: Buffer.alloc(700000) });
+        const wrapped = wrapStorage(storage);
+
+        const mediaLog = await create({ storage: wrapped });
+        const { key: objectName } = await mediaLog.append(updates);
+
+        // new log file is created only if it does not exist
+        const index = await readIndex();
+        assert.strictEqual(index.files[0].id, logFile);
+        assert.strictEqual(index.files.length, 2);
+        assert.strictEqual(objectName, key(index.files[1].id));
+        assert(wrapped.calls.some((call) => call.join() === ['conditionalPut', objectName, undefined].join()));
+      });
+
+      it('Return null when no updates provided', async () => {
+        const mediaLog = await create();
+        assert.deepStrictEqual(await mediaLog.append([]), { key: null, added: [] });
+        assert.strictEqual(await storage.head(INDEX_KEY), null);
+      });
+
+      it('Handle contentBusId-based logging', async () => {
+        await seed({ '2024-07-31-12-01-21-ABC123': [] });
+
+        const mediaLog = await create();
+        await mediaLog.append(updates);
+
+        const { keys } = await storage.list(`${contentBusId}/`);
+        assert.deepStrictEqual(keys, [INDEX_KEY, `${contentBusId}/2024-07-31-12-01-21-ABC123.gz`]);
+      });
+
+      it('leaves index entry alone if the log file was removed or appended to since', async () => {
+        // replaces the index once the log file has been written
+        const replaceIndex = (index) => wrapStorage(storage, {
+          conditionalPut: async (next, k, ...args) => {
+            await next(k, ...args);
+            if (k === key(logFile)) {
+              await storage.put(INDEX_KEY, JSON.stringify(index));
+            }
+          },
+        });
+
+        for (const index of [
+          { version: 2, files: [] },
+          { version: 2, files: [{ id: logFile, count: 2 }] },
+        ]) {
+          // eslint-disable-next-line no-await-in-loop
+          await seed({ [logFile]: [] });
+          const wrapped = replaceIndex(index);
+
+          // eslint-disable-next-line no-await-in-loop
+          const mediaLog = await create({ storage: wrapped });
+          // eslint-disable-next-line no-await-in-loop
+          assert.strictEqual((await mediaLog.append(updates)).key, key(logFile));
+          // eslint-disable-next-line no-await-in-loop
+          assert.deepStrictEqual(await readIndex(), index);
+        }
+      });
+
+      it('appends even if the index entry cannot be updated', async () => {
+        await seed({ [logFile]: [] });
+        const wrapped = wrapStorage(storage, {
+          conditionalPut: async (next, k, ...args) => {
+            if (k === INDEX_KEY) {
+              throw new Error('Access Denied');
+            }
+            await next(k, ...args);
+          },
+        });
+
+        const mediaLog = await create({ storage: wrapped });
+        assert.strictEqual((await mediaLog.append(updates)).key, key(logFile));
+        assert.deepStrictEqual((await readLogFile(logFile)).contents, updates);
+        assert.strictEqual((await storage.get(INDEX_KEY)).body.toString(), logFile);
+      });
+
+      it('keeps all events of concurrent appends', async () => {
+        const entry = (timestamp) => ({ ...updates[0], timestamp });
+        const mediaLog = await create();
+        await Promise.all([
+          mediaLog.append([entry(hour(12, 1))]),
+          mediaLog.append([entry(hour(12, 2))]),
+          mediaLog.append([entry(hour(12, 3))]),
+        ]);
+        const { entries } = await mediaLog.getEntries(hour(12), hour(13), { limit: 10 });
+        assert.deepStrictEqual(entries, [
+          entry(hour(12, 1)), entry(hour(12, 2)), entry(hour(12, 3)),
+        ]);
+        assert.strictEqual((await readIndex()).files.length, 1);
+      });
+    });
+
+    describe('concurrent writers', () => {
+      const otherUpdate = { ...updates[0], user: 'tripod@adobe.com', timestamp: 1722427280000 };
+
+      it('re-reads log file when it was modified concurrently', async () => {
+        await seed({ [logFile]: [] });
+        let concurrent = true;
+        const wrapped = wrapStorage(storage, {
+          get: async (next, k) => {
+            const result = await next(k);
+            if (concurrent && k === key(logFile)) {
+              concurrent = false;
+              await storeLogFile(logFile, [otherUpdate]);
+            }
+            return result;
+          },
+        });
+
+        const mediaLog = await create({ storage: wrapped });
+        assert.strictEqual((await mediaLog.append(updates)).key, key(logFile));
+        assert.deepStrictEqual((await readLogFile(logFile)).contents, [otherUpdate, ...updates]);
+        assert.strictEqual((await readIndex()).files[0].count, 2);
+        assert.strictEqual(wrapped.calls.filter(([method, k]) => method === 'conditionalPut'
+          && k === key(logFile)).length, 2);
+      });
+
+      it('re-reads index when it was created concurrently', async () => {
+        let concurrent = true;
+        const wrapped = wrapStorage(storage, {
+          get: async (next, k) => {
+            const result = await next(k);
+            if (concurrent && k === INDEX_KEY) {
+              concurrent = false;
+              await seed({ [logFile]: [otherUpdate] });
+            }
+            return result;
+          },
+        });
+
+        const mediaLog = await create({ storage: wrapped });
+        assert.strictEqual((await mediaLog.append(updates)).key, key(logFile));
+        assert.deepStrictEqual((await readLogFile(logFile)).contents, [otherUpdate, ...updates]);
+        assert.deepStrictEqual(ids(await readIndex()), [logFile]);
+      });
+
+      it('gives up after too many conflicts', async () => {
+        await seed({ [logFile]: [] });
+        const wrapped = wrapStorage(storage, {
+          conditionalPut: async (next, k, ...args) => {
+            if (k === key(logFile)) {
+              throw new ConflictError(`${k} has been modified concurrently`);
+            }
+            await next(k, ...args);
+          },
+        });
+
+        const mediaLog = await create({ storage: wrapped });
+        await assert.rejects(mediaLog.append(updates), ConflictError);
+        assert.strictEqual(wrapped.calls.filter(([method]) => method === 'conditionalPut').length, 5);
+      });
+    });
+
+    describe('duplicate events', () => {
+      const otherUpdate = { ...updates[0], user: 'tripod@adobe.com', timestamp: 1722427282000 };
+
+      it('derives a stable identity from contents or eventId', () => {
+        const reordered = Object.fromEntries(Object.entries(updates[0]).reverse());
+        assert.strictEqual(getEventId(reordered), getEventId(updates[0]));
+        assert.notStrictEqual(getEventId(otherUpdate), getEventId(updates[0]));
+        assert.strictEqual(getEventId({ ...otherUpdate, eventId: 'event-1' }), 'event-1');
+      });
+
+      it('skips a batch that was appended before', async () => {
+        const batch = [...updates, otherUpdate];
+        await seed({ [logFile]: [] });
+        const wrapped = wrapStorage(storage);
+
+        const mediaLog = await create({ storage: wrapped });
+        assert.strictEqual((await mediaLog.append(batch)).key, key(logFile));
+        const { contents, metadata } = await readLogFile(logFile);
+        assert.deepStrictEqual(contents, batch);
+        assert.strictEqual(metadata['last-event-time'], '2024-07-31-12-01-22');
+
+        // replay the same batch, the log file is not written again
+        assert.deepStrictEqual(await mediaLog.append(batch), { key: key(logFile), added: [] });
+        assert.strictEqual(wrapped.calls.filter(([method, k]) => method === 'conditionalPut'
+          && k === key(logFile)).length, 1);
+      });
+
+      it('skips duplicates by eventId and within a batch', async () => {
+        const existing = { ...otherUpdate, eventId: 'event-1' };
+        await seed({ [logFile]: [existing] });
+
+        const mediaLog = await create();
+        const { added } = await mediaLog.append([
+          ...updates,
+          { ...otherUpdate, eventId: 'event-1', user: 'redelivered@adobe.com' },
+          ...updates,
+        ]);
+        assert.deepStrictEqual(added, updates);
+
+        const { contents, metadata } = await readLogFile(logFile);
+        assert.deepStrictEqual(contents, [...updates, existing]);
+        assert.strictEqual(metadata['first-event-time'], '2024-07-31-12-01-21');
+        assert.strictEqual(metadata['last-event-time'], '2024-07-31-12-01-22');
+      });
+    });
+
+    describe('getEntries', () => {
+      const files = [
+        '2024-07-31-12-00-00-AAAAAAAAAAAAAAAA',
+        '2024-07-31-13-00-00-BBBBBBBBBBBBBBBB',
+        '2024-07-31-14-00-00-CCCCCCCCCCCCCCCC',
+      ];
+      const entry = (timestamp) => ({ timestamp, operation: 'ingest', mediaHash: `${timestamp}` });
+
+      it('returns entries in range, starting at the right log file', async () => {
+        await seed({
+          [files[0]]: [entry(hour(12, 50))],
+          [files[1]]: [entry(hour(13, 40)), entry(hour(13, 10)), entry(hour(13, 50))],
+          [files[2]]: [entry(hour(14, 10)), entry(hour(14, 20))],
+        });
+
+        const mediaLog = await create();
+        const result = await mediaLog.getEntries(hour(13, 30), hour(14, 15), { limit: 10 });
+        assert.deepStrictEqual(result, {
+          entries: [entry(hour(13, 40)), entry(hour(13, 50)), entry(hour(14, 10))],
+        });
+      });
+
+      it('returns a location to continue from when limit is reached', async () => {
+        await seed({
+          [files[0]]: [entry(hour(12, 10)), entry(hour(12, 20))],
+          [files[1]]: [entry(hour(13, 10))],
+          [files[2]]: [entry(hour(15, 10))],
+        });
+
+        const mediaLog = await create();
+        let result = await mediaLog.getEntries(hour(12), hour(15), { limit: 1 });
+        assert.deepStrictEqual(result, {
+          entries: [entry(hour(12, 10))],
+          next: { timestamp: hour(12, 10), eventIds: [getEventId(entry(hour(12, 10)))] },
+        });
+
+        // the log file following the range is not read, so this is the last page
+        result = await mediaLog.getEntries(hour(12), hour(15), { limit: 2 }, result.next);
+        assert.deepStrictEqual(result, {
+          entries: [entry(hour(12, 20)), entry(hour(13, 10))],
+        });
+      });
+
+      it('continues after entries with the same timestamp', async () => {
+        const same = (mediaHash) => ({ timestamp: hour(12, 10), operation: 'ingest', mediaHash });
+        await seed({
+          [files[0]]: [same('a'), same('b')],
+          [files[1]]: [same('c'), entry(hour(13, 10))],
+        });
+
+        const mediaLog = await create();
+        let result = await mediaLog.getEntries(hour(12), hour(15), { limit: 1 });
+        assert.deepStrictEqual(result.entries, [same('a')]);
+        result = await mediaLog.getEntries(hour(12), hour(15), { limit: 2 }, result.next);
+        assert.deepStrictEqual(result, {
+          entries: [same('b'), same('c')],
+          next: { timestamp: hour(12, 10), eventIds: ['a', 'b', 'c'].map((h) => getEventId(same(h))) },
+        });
+        result = await mediaLog.getEntries(hour(12), hour(15), { limit: 2 }, result.next);
+        assert.deepStrictEqual(result, { entries: [entry(hour(13, 10))] });
+      });
+
+      it('continues from the same entry after log files were compacted', async () => {
+        await seed({
+          [files[0]]: [entry(hour(12, 10)), entry(hour(12, 20))],
+          [files[1]]: [entry(hour(12, 15)), entry(hour(13, 10))],
+          [files[2]]: [entry(hour(14, 10))],
+        });
+
+        const mediaLog = await create();
+        let result = await mediaLog.getEntries(hour(12), hour(15), { limit: 2 });
+        assert.deepStrictEqual(result.entries, [entry(hour(12, 10)), entry(hour(12, 15))]);
+
+        assert.strictEqual((await mediaLog.compact()).length, 1);
+        result = await mediaLog.getEntries(hour(12), hour(15), { limit: 10 }, result.next);
+        assert.deepStrictEqual(result, {
+          entries: [entry(hour(12, 20)), entry(hour(13, 10)), entry(hour(14, 10))],
+        });
+      });
+
+      it('includes late events from log files following the range', async () => {
+        // the last log file starts with a late event
+        await seed({
+          [files[0]]: [entry(hour(12, 50))],
+          [files[1]]: [entry(hour(13, 10)), entry(hour(13, 50))],
+          [files[2]]: [entry(hour(13, 5)), entry(hour(14, 10))],
+        });
+        const mediaLog = await create();
+        let result = await mediaLog.getEntries(hour(13), hour(13, 30), { limit: 10 });
+        assert.deepStrictEqual(result, { entries: [entry(hour(13, 5)), entry(hour(13, 10))] });
+
+        // the last log file starts after the range
+        await storeLogFile(files[2], [entry(hour(14, 5)), entry(hour(14, 10))]);
+        result = await mediaLog.getEntries(hour(13), hour(13, 30), { limit: 10 });
+        assert.deepStrictEqual(result, { entries: [entry(hour(13, 10))] });
+      });
+
+      it('includes late events from log files after one that starts past the range', async () => {
+        // the last log file contains a late event, the one before it starts after the range
+        await seed({
+          [files[0]]: [entry(hour(12, 10)), entry(hour(12, 30))],
+          [files[1]]: [entry(hour(12, 50)), entry(hour(13))],
+          [files[2]]: [entry(hour(12, 20))],
+        });
+        const mediaLog = await create();
+        let result = await mediaLog.getEntries(hour(12), hour(12, 25), { limit: 10 });
+        assert.deepStrictEqual(result, { entries: [entry(hour(12, 10)), entry(hour(12, 20))] });
+
+        // the log file in the middle ends before the one preceding it
+        await seed({
+          [files[0]]: [entry(hour(12, 10)), entry(hour(13, 30))],
+          [files[1]]: [entry(hour(12, 40))],
+          [files[2]]: [entry(hour(14))],
+        });
+        result = await mediaLog.getEntries(hour(13), hour(15), { limit: 10 });
+        assert.deepStrictEqual(result, { entries: [entry(hour(13, 30)), entry(hour(14))] });
+      });
+
+      it('takes event times from a JSON index', async () => {
+        await storeIndex([
+          { id: files[0], firstEventTime: hour(12, 10), lastEventTime: hour(12, 50) },
+          { id: files[1], firstEventTime: hour(13, 10), lastEventTime: hour(13, 50) },
+          { id: files[2], firstEventTime: hour(14, 20), lastEventTime: hour(14, 30) },
+        ]);
+        await storeLogFile(files[1], [
+          entry(hour(13, 10)), entry(hour(13, 40)), entry(hour(13, 50)),
+        ]);
+        const wrapped = wrapStorage(storage);
+
+        const mediaLog = await create({ storage: wrapped });
+        const result = await mediaLog.getEntries(hour(13, 30), hour(13, 45), { limit: 10 });
+        assert.deepStrictEqual(result, { entries: [entry(hour(13, 40))] });
+        assert.deepStrictEqual(wrapped.calls, [['get', INDEX_KEY], ['get', key(files[1])]]);
+      });
+
+      it('returns entries page by page from a legacy index', async () => {
+        await seed({
+          [files[0]]: [entry(hour(12, 10)), entry(hour(12, 20))],
+          [files[1]]: [entry(hour(13, 10))],
+          [files[2]]: [entry(hour(13, 5)), entry(hour(14, 10))],
+        });
+
+        const mediaLog = await create();
+        let result = await mediaLog.getEntries(hour(12, 15), hour(13, 30), { limit: 2 });
+        assert.deepStrictEqual(result, {
+          entries: [entry(hour(12, 20)), entry(hour(13, 5))],
+          next: { timestamp: hour(13, 5), eventIds: [getEventId(entry(hour(13, 5)))] },
+        });
+        result = await mediaLog.getEntries(hour(12, 15), hour(13, 30), { limit: 2 }, result.next);
+        assert.deepStrictEqual(result, { entries: [entry(hour(13, 10))] });
+      });
+
+      it('returns nothing if index is missing', async () => {
+        const mediaLog = await create();
+        const result = await mediaLog.getEntries(hour(12), hour(15), { limit: 10 });
+        assert.deepStrictEqual(result, { entries: [] });
+      });
+
+      it('treats missing log files and metadata gracefully', async () => {
+        await storage.put(INDEX_KEY, files[0]);
+
+        const mediaLog = await create();
+        const result = await mediaLog.getEntries(hour(11), hour(15), { limit: 10 });
+        assert.deepStrictEqual(result, { entries: [] });
+      });
+
+      it('rejects an invalid location', async () => {
+        await storage.put(INDEX_KEY, files.join('\n'));
+
+        const mediaLog = await create();
+        const result = await mediaLog.getEntries(hour(12), hour(15), { limit: 10 }, { fileIndex: 'a' });
+        assert.deepStrictEqual(result, { entries: [] });
+      });
+    });
+
+    describe('tail', () => {
+      const files = ['2024-07-31-12-00-00-AAAAAAAAAAAAAAAA', '2024-07-31-13-00-00-BBBBBBBBBBBBBBBB'];
+      const entry = (timestamp) => ({ timestamp, operation: 'ingest', mediaHash: `${timestamp}` });
+
+      it('tails appended entries, including late events', async () => {
+        await seed({
+          [files[0]]: [entry(hour(12, 10))],
+          [files[1]]: [entry(hour(13, 10))],
+        });
+
+        const mediaLog = await create();
+        const { entries: none, cursor: start } = await mediaLog.tail();
+        assert.deepStrictEqual(none, []);
+        assert.strictEqual(start.id, files[1]);
+        assert.strictEqual((await mediaLog.tail(start)).cursor, start);
+
+        await mediaLog.append([entry(hour(13, 20)), entry(hour(13, 5))]);
+        const { entries, cursor } = await mediaLog.tail(start);
+        assert.deepStrictEqual(entries, [entry(hour(13, 5)), entry(hour(13, 20))]);
+        assert.strictEqual((await mediaLog.tail(cursor)).cursor, cursor);
+
+        // a cursor sent back by a client remembers the entries it has seen as well
+        const restored = await mediaLog.tail(JSON.parse(JSON.stringify(start)));
+        assert.deepStrictEqual(restored.entries, entries);
+        assert.deepStrictEqual(restored.cursor.seen, cursor.seen);
+
+        const { entries: all } = await mediaLog.tail({ id: files[0] });
+        assert.deepStrictEqual(all, [
+          entry(hour(12, 10)), entry(hour(13, 5)), entry(hour(13, 10)), entry(hour(13, 20)),
+        ]);
+      });
+
+      it('remembers the latest entries of a large log file', async () => {
+        const times = [...Array(150).keys()].map((i) => hour(13) + i * 1000);
+        await seed({ [files[1]]: times.map(entry) });
+
+        const mediaLog = await create();
+        const { cursor } = await mediaLog.tail();
+        assert.strictEqual(cursor.timestamp, times[50]);
+        assert.strictEqual(cursor.seen.length, 100);
+
+        // only late events from the time of the earliest entry remembered are found
+        await mediaLog.append([entry(times[60] + 500), entry(times[40] + 500)]);
+        const { entries } = await mediaLog.tail(JSON.parse(JSON.stringify(cursor)));
+        assert.deepStrictEqual(entries, [entry(times[60] + 500)]);
+      });
+    });
+
+    describe('compact', () => {
+      const files = [
+        '2024-07-31-12-00-00-AAAAAAAAAAAAAAAA',
+        '2024-07-31-13-00-00-BBBBBBBBBBBBBBBB',
+        '2024-07-31-14-00-00-CCCCCCCCCCCCCCCC',
+        '2024-07-31-15-00-00-DDDDDDDDDDDDDDDD',
+      ];
+      const entry = (timestamp) => ({ timestamp, operation: 'ingest' });
+      const isMerged = (k) => k.startsWith(`${contentBusId}/2024-07-31-12-00-00-`)
+        && k !== key(files[0]);
+
+      it('merges consecutive small log files', async () => {
+        // the second log file contains a late event, written before sorting was introduced
+        await seed({
+          [files[0]]: [entry(hour(12, 10)), entry(hour(12, 30))],
+          [files[1]]: [entry(hour(13, 30)), entry(hour(12, 20))],
+          [files[2]]: Buffer.alloc(700000),
+          [files[3]]: [entry(hour(15, 10))],
+        });
+        const wrapped = wrapStorage(storage);
+
+        const mediaLog = await create({ storage: wrapped });
+        const [{ id: merged, ...result }] = await mediaLog.compact();
+        assert.deepStrictEqual(result, { files: files.slice(0, 2), entries: 4 });
+
+        const { contents, metadata } = await readLogFile(merged);
+        assert.deepStrictEqual(contents, [
+          entry(hour(12, 10)), entry(hour(12, 20)), entry(hour(12, 30)), entry(hour(13, 30)),
+        ]);
+        assert.strictEqual(metadata['first-event-time'], '2024-07-31-12-10-00');
+        assert.strictEqual(metadata['last-event-time'], '2024-07-31-13-30-00');
+        assert(wrapped.calls.some((call) => call.join() === ['conditionalPut', key(merged), undefined].join()));
+
+        const index = await readIndex();
+        assert.deepStrictEqual(ids(index), [merged, files[2], files[3]]);
+        const { firstEventTime, lastEventTime, count } = index.files[0];
+        assert.deepStrictEqual(
+          { firstEventTime, lastEventTime, count },
+          { firstEventTime: hour(12, 10), lastEventTime: hour(13, 30), count: 4 },
+        );
+        assert.strictEqual(await storage.head(key(files[0])), null);
+        assert.strictEqual(await storage.head(key(files[1])), null);
+      });
+
+      it('takes sizes from index entries', async () => {
+        await storeIndex(files.map((id, i) => ({ id, size: [100, 700000, 100, 100][i] })));
+        const wrapped = wrapStorage(storage);
+
+        const mediaLog = await create({ storage: wrapped });
+        assert.deepStrictEqual(await mediaLog.compact(), []);
+        assert.deepStrictEqual(wrapped.calls, [['get', INDEX_KEY]]);
+      });
+
+      it('keeps log files added concurrently', async () => {
+        await seed({
+          [files[0]]: [entry(1)],
+          [files[1]]: [entry(2)],
+          [files[2]]: [entry(3)],
+        });
+        const wrapped = wrapStorage(storage, {
+          conditionalPut: async (next, k, ...args) => {
+            await next(k, ...args);
+            if (isMerged(k)) {
+              await storage.put(INDEX_KEY, files.join('\n'));
+            }
+          },
+        });
+
+        const mediaLog = await create({ storage: wrapped });
+        const [{ id: merged }] = await mediaLog.compact();
+        assert.deepStrictEqual(ids(await readIndex()), [merged, files[2], files[3]]);
+      });
+
+      it('removes merged log file when index no longer contains the log files', async () => {
+        await seed({
+          [files[0]]: [entry(1)],
+          [files[1]]: [entry(2)],
+          [files[2]]: [entry(3)],
+        });
+        const wrapped = wrapStorage(storage, {
+          conditionalPut: async (next, k, ...args) => {
+            await next(k, ...args);
+            if (isMerged(k)) {
+              await storage.put(INDEX_KEY, files.slice(1, 3).join('\n'));
+            }
+          },
+        });
+
+        const mediaLog = await create({ storage: wrapped });
+        await assert.rejects(mediaLog.compact(), /no longer contains the log files to merge/);
+        const { keys } = await storage.list(`${contentBusId}/`);
+        assert.deepStrictEqual(keys, [INDEX_KEY, ...files.slice(0, 3).map(key)]);
+      });
+
+      it('discards merged log file when a log file was rewritten in between', async () => {
+        await seed({
+          [files[0]]: [entry(1), entry(2)],
+          [files[1]]: [entry(3)],
+          [files[2]]: [entry(4)],
+        });
+        // erasing an entry after the log files have been read
+        const wrapped = wrapStorage(storage, {
+          conditionalPut: async (next, k, ...args) => {
+            await next(k, ...args);
+            if (isMerged(k)) {
+              await (await create()).rewrite((e) => (e.timestamp === 2 ? null : e));
+            }
+          },
+        });
+
+        const mediaLog = await create({ storage: wrapped });
+        await assert.rejects(mediaLog.compact(), /has been modified while compacting/);
+        assert.deepStrictEqual(ids(await readIndex()), files.slice(0, 3));
+        assert.deepStrictEqual((await readLogFile(files[0])).contents, [entry(1)]);
+        const { keys } = await storage.list(`${contentBusId}/`);
+        assert.deepStrictEqual(keys, [INDEX_KEY, ...files.slice(0, 3).map(key)]);
+      });
+
+      it('leaves large and missing log files alone', async () => {
+        await seed({
+          [files[0]]: [entry(1)],
+          [files[2]]: [entry(2), entry(3), entry(4), entry(5)],
+          [files[3]]: [entry(6)],
+        });
+        await storage.put(INDEX_KEY, files.join('\n'));
+        const { size } = await storage.head(key(files[0]));
+
+        const mediaLog = await create();
+        assert.deepStrictEqual(await mediaLog.compact({ targetSize: size + 1 }), []);
+      });
+    });
+
+    describe('expire', () => {
+      const files = [
+        '2024-01-01-00-00-00-AAAAAAAAAAAAAAAA',
+        '2024-01-10-00-00-00-BBBBBBBBBBBBBBBB',
+        '2024-02-15-00-00-00-CCCCCCCCCCCCCCCC',
+        '2024-03-01-00-00-00-DDDDDDDDDDDDDDDD',
+      ];
+      const entry = (date) => ({ timestamp: Date.parse(date), operation: 'ingest' });
+      const before = Date.parse('2024-02-10T00:00:00Z');
+
+      async function seedFiles(lastEvent = '2024-01-10T00:00:00Z') {
+        await seed({
+          [files[0]]: [entry(lastEvent)],
+          [files[1]]: [entry('2024-02-09T23:59:58Z')],
+          [files[2]]: [entry('2024-02-15T00:00:00Z')],
+          [files[3]]: [entry('2024-03-01T00:00:00Z')],
+        });
+      }
+
+      it('removes log files older than the cutoff', async () => {
+        await seedFiles();
+
+        const mediaLog = await create();
+        assert.deepStrictEqual(await mediaLog.expire(before), [
+          { id: files[0], lastEventTime: '2024-01-10T00:00:00.000Z' },
+          { id: files[1], lastEventTime: '2024-02-09T23:59:58.000Z' },
+        ]);
+        assert.deepStrictEqual(ids(await readIndex()), files.slice(2));
+        assert.strictEqual(await storage.head(key(files[0])), null);
+        assert.strictEqual(await storage.head(key(files[1])), null);
+      });
+
+      it('only removes log files still in the index', async () => {
+        await seedFiles();
+        let concurrent = true;
+        const wrapped = wrapStorage(storage, {
+          conditionalPut: async (next, k, ...args) => {
+            if (concurrent && k === INDEX_KEY) {
+              concurrent = false;
+              await storage.put(INDEX_KEY, files.slice(1).join('\n'));
+            }
+            await next(k, ...args);
+          },
+        });
+
+        const mediaLog = await create({ storage: wrapped });
+        const purged = await mediaLog.expire(before);
+        assert.deepStrictEqual(purged.map(({ id }) => id), [files[1]]);
+        assert.deepStrictEqual(ids(await readIndex()), files.slice(2));
+        assert.notStrictEqual(await storage.head(key(files[0])), null);
+      });
+
+      it('keeps log files with recent events', async () => {
+        await seedFiles('2024-02-10T00:00:00Z');
+
+        const mediaLog = await create();
+        assert.deepStrictEqual(await mediaLog.expire(before), []);
+        assert.strictEqual((await storage.get(INDEX_KEY)).body.toString(), files.join('\n'));
+      });
+
+      it('removes the last log file, so the next append starts a new one', async () => {
+        await seed({ [files[0]]: [entry('2024-01-01T00:00:00Z')] });
+
+        const mediaLog = await create();
+        assert.deepStrictEqual(await mediaLog.expire(before), [
+          { id: files[0], lastEventTime: '2024-01-01T00:00:00.000Z' },
+        ]);
+        assert.deepStrictEqual(ids(await readIndex()), []);
+        assert.strictEqual(await storage.head(key(files[0])), null);
+
+        await mediaLog.append([entry('2024-03-01T00:00:00Z')]);
+        const index = await readIndex();
+        assert.strictEqual(index.files.length, 1);
+        assert.notStrictEqual(index.files[0].id, files[0]);
+      });
+
+      it('keeps the last log file if it was appended to while expiring', async () => {
+        await seed({ [files[0]]: [entry('2024-01-01T00:00:00Z')] });
+        let concurrent = true;
+        const wrapped = wrapStorage(storage, {
+          conditionalPut: async (next, k, ...args) => {
+            await next(k, ...args);
+            if (concurrent && k === INDEX_KEY) {
+              concurrent = false;
+              await storeLogFile(files[0], [
+                entry('2024-01-01T00:00:00Z'), entry('2024-03-01T00:00:00Z'),
+              ]);
+            }
+          },
+        });
+
+        const mediaLog = await create({ storage: wrapped });
+        assert.deepStrictEqual(await mediaLog.expire(before), []);
+        assert.deepStrictEqual(ids(await readIndex()), [files[0]]);
+        assert.strictEqual((await readLogFile(files[0])).contents.length, 2);
+      });
+
+      it('takes event times from index entries', async () => {
+        await storeIndex([
+          { id: files[0], count: 0 },
+          { id: files[1], lastEventTime: Date.parse('2024-02-10T00:00:00Z') },
+          { id: files[2] },
+        ]);
+        const wrapped = wrapStorage(storage);
+
+        const mediaLog = await create({ storage: wrapped });
+        assert.deepStrictEqual(await mediaLog.expire(before), [
+          { id: files[0], lastEventTime: '2024-01-01T00:00:00.000Z' },
+        ]);
+        assert.deepStrictEqual(ids(await readIndex()), files.slice(1, 3));
+        assert(!wrapped.calls.some(([method]) => method === 'head'));
+      });
+    });
+
+    describe('rewrite', () => {
+      const files = [
+        '2024-07-31-12-00-00-AAAAAAAAAAAAAAAA',
+        '2024-07-31-13-00-00-BBBBBBBBBBBBBBBB',
+        '2024-07-31-14-00-00-CCCCCCCCCCCCCCCC',
+        '2024-07-31-15-00-00-DDDDDDDDDDDDDDDD',
+      ];
+      const entry = (timestamp, user) => ({ timestamp, operation: 'ingest', user });
+      const fn = (e) => (e.user === 'tripod@adobe.com' ? null : e);
+
+      it('rewrites and deletes log files', async () => {
+        await seed({
+          [files[0]]: [entry(1000, 'tripod@adobe.com')],
+          [files[1]]: [entry(1722427281000, 'uncled@adobe.com')],
+          [files[2]]: [
+            entry(1722427282000, 'uncled@adobe.com'),
+            entry(1722427283000, 'tripod@adobe.com'),
+          ],
+          [files[3]]: [entry(1722427284000, 'tripod@adobe.com')],
+        });
+        // another invocation appends to the third log file after it was read
+        let concurrent = true;
+        const wrapped = wrapStorage(storage, {
+          get: async (next, k) => {
+            const result = await next(k);
+            if (concurrent && k === key(files[2])) {
+              concurrent = false;
+              await storeLogFile(files[2], [
+                entry(1722427282000, 'uncled@adobe.com'),
+                entry(1722427283000, 'tripod@adobe.com'),
+                entry(1722427281000, 'uncled@adobe.com'),
+              ]);
+            }
+            return result;
+          },
+        });
+
+        const mediaLog = await create({ storage: wrapped });
+        assert.deepStrictEqual(await mediaLog.rewrite(fn), [
+          {
+            id: files[0], changed: 0, removed: 1, deleted: true,
+          },
+          {
+            id: files[2], changed: 0, removed: 1, deleted: false,
+          },
+          {
+            id: files[3], changed: 0, removed: 1, deleted: false,
+          },
+        ]);
+
+        const { contents, metadata } = await readLogFile(files[2]);
+        assert.deepStrictEqual(contents, [
+          entry(1722427281000, 'uncled@adobe.com'),
+          entry(1722427282000, 'uncled@adobe.com'),
+        ]);
+        assert.strictEqual(metadata['first-event-time'], '2024-07-31-12-01-21');
+        assert.strictEqual(metadata['last-event-time'], '2024-07-31-12-01-22');
+        assert.strictEqual((await readLogFile(files[3])).metadata['last-event-time'], undefined);
+
+        const index = await readIndex();
+        assert.deepStrictEqual(ids(index), files.slice(1));
+        const [, third, last] = index.files;
+        assert.deepStrictEqual(
+          [third.firstEventTime, third.lastEventTime, third.count, last.count],
+          [1722427281000, 1722427282000, 2, 0],
+        );
+        assert.strictEqual(await storage.head(key(files[0])), null);
+      });
+
+      it('reports modified entries', async () => {
+        await seed({ [files[0]]: [entry(1000, 'tripod@adobe.com')] });
+
+        const mediaLog = await create();
+        assert.deepStrictEqual(await mediaLog.rewrite((e) => ({ ...e, user: 'anonymous' })), [{
+          id: files[0], changed: 1, removed: 0, deleted: false,
+        }]);
+        assert.deepStrictEqual((await readLogFile(files[0])).contents, [entry(1000, 'anonymous')]);
+      });
+    });
+
+    describe('upgradeIndex', () => {
+      const files = [
+        '2024-07-31-12-00-00-AAAAAAAAAAAAAAAA',
+        '2024-07-31-13-00-00-BBBBBBBBBBBBBBBB',
+        '2024-07-31-14-00-00-CCCCCCCCCCCCCCCC',
+      ];
+      const entry = (timestamp) => ({ timestamp, operation: 'ingest' });
+
+      it('fills in the statistics of a legacy index', async () => {
+        await seed({
+          [files[0]]: [entry(1000), entry(2000)],
+          [files[2]]: [],
+        });
+        await storage.put(INDEX_KEY, files.join('\n'));
+
+        const mediaLog = await create();
+        assert.deepStrictEqual(await mediaLog.upgradeIndex(), {
+          legacy: true, files: 3, upgraded: 2,
+        });
+        assert.deepStrictEqual((await readIndex()).files, [{
+          id: files[0],
+          firstEventTime: 1000,
+          lastEventTime: 2000,
+          count: 2,
+          size: (await storage.head(key(files[0]))).size,
+          uncompressedSize: JSON.stringify([entry(1000), entry(2000)]).length,
+        }, {
+          id: files[1],
+        }, {
+          id: files[2],
+          count: 0,
+          size: (await storage.head(key(files[2]))).size,
+          uncompressedSize: 2,
+        }]);
+      });
+
+      it('leaves an upgraded index alone', async () => {
+        await storeIndex([{ id: files[0], count: 0 }]);
+        const wrapped = wrapStorage(storage);
+
+        const mediaLog = await create({ storage: wrapped });
+        assert.deepStrictEqual(await mediaLog.upgradeIndex(), {
+          legacy: false, files: 1, upgraded: 0,
+        });
+        assert.deepStrictEqual(wrapped.calls, [['get', INDEX_KEY]]);
+      });
+    });
+
+    describe('verify and repair', () => {
+      const files = [
+        '2024-07-31-12-00-00-AAAAAAAAAAAAAAAA',
+        '2024-07-31-13-00-00-BBBBBBBBBBBBBBBB',
+        '2024-07-31-14-00-00-CCCCCCCCCCCCCCCC',
+        '2024-07-31-15-00-00-DDDDDDDDDDDDDDDD',
+      ];
+      const entry = (timestamp) => ({
+        timestamp, operation: 'ingest', mediaHash: `${timestamp}`, user: 'uncled@adobe.com',
+      });
+
+      it('lists log files and verifies them against the index', async () => {
+        await seed({
+          [files[0]]: [entry(hour(12, 10))],
+          [files[1]]: [entry(hour(13, 10)), entry(hour(13, 20))],
+        });
+        const mediaLog = await create();
+        assert.deepStrictEqual((await mediaLog.listLogFiles()).map(({ id, lastEventTime }) => [
+          id, lastEventTime,
+        ]), [[files[0], hour(12, 10)], [files[1], hour(13, 20)]]);
+
+        await mediaLog.upgradeIndex();
+        await storeLogFile(files[0], [entry(hour(12, 10)), entry(hour(12, 20))]);
+        await storage.delete(key(files[1]));
+        await storeLogFile(files[2], [entry(hour(14, 10))]);
+        await storeLogFile(files[3], Buffer.from('garbage'));
+        await storage.put(`${contentBusId}/.inventory.gz`, await gzip('{}'));
+
+        const { unreadable, ...result } = await mediaLog.verify();
+        assert.deepStrictEqual(result, {
+          files: 2,
+          objects: 3,
+          missing: [files[1]],
+          unindexed: [files[2], files[3]],
+          stale: [files[0]],
+        });
+        assert.deepStrictEqual(unreadable.map(({ id }) => id), [files[3]]);
+        assert.match(unreadable[0].error, /header/);
+      });
+
+      it('repairs the index and quarantines unreadable log files', async () => {
+        await seed({
+          [files[0]]: [entry(hour(12, 10))],
+          [files[1]]: [entry(hour(13, 10))],
+        });
+        await storage.delete(key(files[1]));
+        await storeLogFile(files[2], [entry(hour(14, 20)), entry(hour(14, 10))]);
+        await storage.put(key(files[3]), Buffer.from('garbage'), { metadata: { foo: 'bar' } });
+
+        const mediaLog = await create();
+        const { unreadable, ...result } = await mediaLog.repair();
+        assert.deepStrictEqual(result, {
+          files: 2,
+          objects: 3,
+          missing: [files[1]],
+          unindexed: [files[2], files[3]],
+          stale: [],
+          repaired: true,
+          quarantined: [files[3]],
+        });
+        assert.deepStrictEqual(unreadable.map(({ id }) => id), [files[3]]);
+
+        const index = await readIndex();
+        assert.deepStrictEqual(index.files.map(({ id, count }) => [id, count]), [
+          [files[0], 1], [files[2], 2],
+        ]);
+        assert.deepStrictEqual(
+          [index.files[1].firstEventTime, index.files[1].lastEventTime],
+          [hour(14, 10), hour(14, 20)],
+        );
+        assert.strictEqual(await storage.head(key(files[3])), null);
+        const quarantined = await storage.get(`${contentBusId}/.quarantine/${files[3]}.gz`);
+        assert.strictEqual(quarantined.body.toString(), 'garbage');
+        assert.deepStrictEqual(quarantined.metadata, { foo: 'bar' });
+
+        const { repaired, quarantined: none } = await mediaLog.repair();
+        assert.deepStrictEqual([repaired, none], [false, []]);
+        const { entries } = await mediaLog.getEntries(hour(12), hour(15), { limit: 10 });
+        assert.strictEqual(entries.length, 3);
+      });
+
+      it('keeps log files appended to or created while repairing', async () => {
+        await seed({ [files[0]]: [entry(hour(12, 10))] });
+        const mediaLog = await create();
+
+        // another invocation appends and creates a log file after the first one was read
+        let concurrent = true;
+        const wrapped = wrapStorage(storage, {
+          get: async (next, k) => {
+            const result = await next(k);
+            if (concurrent && k === key(files[0])) {
+              concurrent = false;
+              await mediaLog.append([entry(hour(12, 20))]);
+              const index = await readIndex();
+              index.files.push({ id: files[1], count: 0 });
+              await storage.put(INDEX_KEY, JSON.stringify(index));
+            }
+            return result;
+          },
+        });
+
+        const { repaired } = await (await create({ storage: wrapped })).repair();
+        assert.strictEqual(repaired, true);
+        assert.deepStrictEqual((await readIndex()).files.map(({ id, count }) => [id, count]), [
+          [files[0], 2], [files[1], 0],
+        ]);
+      });
+    });
+
+    describe('organization aggregate logs', () => {
+      const entry = (timestamp) => ({ timestamp, operation: 'ingest', contentBusId });
+
+      it('tells aggregate logs from projects', () => {
+        assert.strictEqual(getOrgLogId('adobe'), '@adobe');
+        assert.strictEqual(isOrgLog('@adobe'), true);
+        assert.strictEqual(isOrgLog(contentBusId), false);
+      });
+
+      it('moves a legacy aggregate log, merging it with the current one', async () => {
+        const legacy = '2024-07-31-12-00-00-AAAAAAAAAAAAAAAA';
+        await storage.put(`adobe/*/${legacy}.gz`, await gzip(JSON.stringify([entry(hour(12))])));
+        await storage.put('adobe/*/.index', legacy);
+        const orgLog = await create({ contentBusId: '@adobe' });
+        await orgLog.append([entry(hour(13))]);
+
+        const mediaLog = await create({ contentBusId: 'adobe' });
+        assert.strictEqual(await mediaLog.moveLegacyOrgLog(), 1);
+        assert.strictEqual(await mediaLog.moveLegacyOrgLog(), 0);
+
+        const index = JSON.parse((await storage.get('@adobe/.index')).body.toString());
+        assert.strictEqual(index.files.length, 2);
+        assert.strictEqual(index.files[0].id, legacy);
+        const { entries } = await orgLog.getEntries(hour(12), hour(14), { limit: 10 });
+        assert.deepStrictEqual(entries, [entry(hour(12)), entry(hour(13))]);
+        assert.deepStrictEqual((await storage.list('adobe/*/')).keys, []);
+      });
+
+      it('leaves projects alone', async () => {
+        await seed({ [logFile]: updates });
+        const mediaLog = await create();
+        assert.strictEqual(await mediaLog.moveLegacyOrgLog(), 0);
+        assert.strictEqual((await storage.get(INDEX_KEY)).body.toString(), logFile);
+      });
+    });
+
+    it('compacts, upgrades, rewrites and expires log files', async () => {
+      const entry = (timestamp, user = 'uncled@adobe.com') => ({
+        timestamp, operation: 'ingest', mediaHash: `${timestamp}`, user,
+      });
+      const files = {
+        '2024-07-31-12-00-00-AAAAAAAAAAAAAAAA': [entry(hour(12, 10), 'tripod@adobe.com')],
+        '2024-07-31-13-00-00-BBBBBBBBBBBBBBBB': [entry(hour(13, 10))],
+        '2024-07-31-14-00-00-CCCCCCCCCCCCCCCC': [entry(hour(14, 10), 'tripod@adobe.com')],
+      };
+      const fileIds = Object.keys(files);
+      await seed(files);
+
+      const mediaLog = await create();
+      assert.deepStrictEqual(await mediaLog.upgradeIndex(), {
+        legacy: true, files: 3, upgraded: 3,
+      });
+      assert.deepStrictEqual((await readIndex()).files.map(({ count }) => count), [1, 1, 1]);
+
+      const [{ id: merged, files: replaced }] = await mediaLog.compact();
+      assert.deepStrictEqual(replaced, fileIds.slice(0, 2));
+      assert.deepStrictEqual(ids(await readIndex()), [merged, fileIds[2]]);
+      assert.strictEqual(await storage.head(key(fileIds[0])), null);
+
+      const touched = await mediaLog.rewrite((e) => (e.user === 'tripod@adobe.com' ? null : e));
+      assert.deepStrictEqual(touched.map(({ id, deleted }) => [id, deleted]), [
+        [merged, false], [fileIds[2], false],
+      ]);
+      assert.deepStrictEqual((await readIndex()).files.map(({ count }) => count), [1, 0]);
 
-  it('Handle contentBusId-based logging', async () => {
-    const contents = await gzip(JSON.stringify([]));
-    const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
-
-    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
-      .get(`/${contentBusId}/.index?x-id=GetObject`)
-      .reply(200, '2024-07-31-12-01-21-ABC123', {
-        'content-type': 'text/plain',
-      })
-      .get(`/${contentBusId}/2024-07-31-12-01-21-ABC123.gz?x-id=GetObject`)
-      .reply(200, contents, {
-        'content-type': 'application/json',
-        'content-length': contents.length,
-        'content-encoding': 'gzip',
-      })
-      .put(`/${contentBusId}/2024-07-31-12-01-21-ABC123.gz?x-id=PutObject`)
-      .reply(201);
-
-    const mediaLog = await MediaLog.create(DEFAULT_CONTEXT(), { contentBusId });
-    await mediaLog.append(updates);
+      assert.deepStrictEqual(await mediaLog.expire(hour(14)), [
+        { id: merged, lastEventTime: new Date(hour(13, 10)).toISOString() },
+      ]);
+      assert.deepStrictEqual(ids(await readIndex()), [fileIds[2]]);
+      const { keys } = await storage.list(`${contentBusId}/`);
+      assert.deepStrictEqual(keys, [INDEX_KEY, key(fileIds[2])]);
+    });
   });
 });
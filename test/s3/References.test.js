@@ -0,0 +1,165 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint-disable func-names */
+
+import assert from 'assert';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+import References from '../../src/s3/References.js';
+import { Nock } from '../utils.js';
+
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = () => ({
+  log: console,
+  env: {},
+});
+
+describe('S3 References tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const hash1 = '13872adbc8f226c65c00a81078b84ab4152476fc7';
+  const hash2 = '23872adbc8f226c65c00a81078b84ab4152476fc7';
+  const references = {
+    hashes: { [hash1]: ['/docs/faq', '/drafts/faq'], [hash2]: ['/docs/faq'] },
+    paths: { '/docs/faq': [hash1, hash2], '/drafts/faq': [hash1] },
+  };
+
+  let nock;
+
+  beforeEach(() => {
+    nock = new Nock().env();
+  });
+
+  afterEach(() => {
+    nock.done();
+  });
+
+  const event = (timestamp, operation, mediaHash, path) => ({
+    timestamp, operation, mediaHash, path,
+  });
+
+  it('adds references for new media', async () => {
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.references.gz?x-id=GetObject`)
+      .reply(404)
+      .put(`/${contentBusId}/.references.gz?x-id=PutObject`)
+      .reply(function (_, body) {
+        assert.strictEqual(this.req.headers['if-none-match'], '*');
+        assert.deepStrictEqual(body, {
+          ...references,
+          times: {
+            paths: {
+              [hash1]: { '/docs/faq': 1, '/drafts/faq': 3 },
+              [hash2]: { '/docs/faq': 4 },
+            },
+            cleared: {},
+          },
+        });
+        return [200];
+      });
+
+    const refs = await References.create(DEFAULT_CONTEXT(), { contentBusId });
+    await refs.update([
+      event(3, 'reuse', hash1, '/drafts/faq'),
+      event(1, 'ingest', hash1, '/docs/faq'),
+      event(2, 'ingest', hash2, '/docs/faq'),
+      event(4, 'reuse', hash2, '/docs/faq'),
+      event(5, 'ingest', hash2),
+      { timestamp: 6, operation: 'ingest', path: '/docs/faq' },
+    ]);
+  });
+
+  it('removes references for deleted media', async () => {
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.references.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify(references)), { etag: '"refs-1"' })
+      .put(`/${contentBusId}/.references.gz?x-id=PutObject`)
+      .reply(function (_, body) {
+        assert.strictEqual(this.req.headers['if-match'], '"refs-1"');
+        assert.deepStrictEqual(body, {
+          hashes: { [hash2]: ['/blog'] },
+          paths: { '/blog': [hash2] },
+          times: {
+            paths: { [hash2]: { '/docs/faq': 5, '/blog': 7, '/drafts/faq': 8 } },
+            cleared: { [hash1]: 6 },
+          },
+        });
+        return [200];
+      });
+
+    const refs = await References.create(DEFAULT_CONTEXT(), { contentBusId });
+    await refs.update([
+      event(5, 'delete', hash2, '/docs/faq'),
+      event(6, 'delete', hash1),
+      event(7, 'reuse', hash2, '/blog'),
+      event(8, 'delete', hash2, '/drafts/faq'),
+    ]);
+  });
+
+  it('ignores events older than the last one for the same media and path', async () => {
+    const times = {
+      paths: { [hash1]: { '/docs/faq': 5, '/drafts/faq': 2 }, [hash2]: { '/docs/faq': 2 } },
+      cleared: {},
+    };
+    let stored;
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.references.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify({ ...references, times })), { etag: '"refs-1"' })
+      .put(`/${contentBusId}/.references.gz?x-id=PutObject`)
+      .reply((_, body) => {
+        stored = body;
+        return [200];
+      });
+
+    const refs = await References.create(DEFAULT_CONTEXT(), { contentBusId });
+    await refs.update([
+      event(4, 'delete', hash1, '/docs/faq'),
+      event(3, 'reuse', hash2, '/blog'),
+      event(3, 'delete', hash2, '/blog'),
+      { timestamp: 4, operation: 'delete', mediaHash: hash1 },
+    ]);
+    assert.deepStrictEqual(stored.hashes, { [hash1]: ['/docs/faq'], [hash2]: ['/docs/faq'] });
+    assert.deepStrictEqual(stored.paths, { '/docs/faq': [hash1, hash2] });
+    assert.deepStrictEqual(stored.times, {
+      paths: { ...times.paths, [hash2]: { '/docs/faq': 2, '/blog': 3 } },
+      cleared: { [hash1]: 4 },
+    });
+  });
+
+  it('looks up references in both directions', async () => {
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.references.gz?x-id=GetObject`)
+      .times(4)
+      .reply(200, await gzip(JSON.stringify(references)));
+
+    const refs = await References.create(DEFAULT_CONTEXT(), { contentBusId });
+    assert.deepStrictEqual(await refs.getPaths(hash1), ['/docs/faq', '/drafts/faq']);
+    assert.deepStrictEqual(await refs.getPaths('constructor'), []);
+    assert.deepStrictEqual(await refs.getMediaHashes('/docs/faq'), [hash1, hash2]);
+    assert.deepStrictEqual(await refs.getMediaHashes('/blog'), []);
+  });
+
+  it('returns empty references for a new project', async () => {
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.references.gz?x-id=GetObject`)
+      .reply(404);
+
+    const refs = await References.create(DEFAULT_CONTEXT(), { contentBusId });
+    assert.deepStrictEqual(await refs.get(), { hashes: {}, paths: {} });
+  });
+});
@@ -0,0 +1,196 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint-disable func-names */
+
+import assert from 'assert';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+import { getEventId } from '../../src/s3/MediaLog.js';
+import Rollups, { emptyCounts } from '../../src/s3/Rollups.js';
+import { Nock } from '../utils.js';
+
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = () => ({
+  log: console,
+  env: {},
+});
+
+describe('S3 Rollups tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const updates = [{
+    timestamp: Date.parse('2024-07-31T23:10:00Z'),
+    operation: 'ingest',
+    contentType: 'image/png',
+    user: 'uncled@adobe.com',
+    contentSourceType: 'gdoc-preview',
+  }, {
+    timestamp: Date.parse('2024-07-31T23:20:00Z'),
+    operation: 'reuse',
+    mimeType: 'image/png',
+    user: 'tripod@adobe.com',
+  }, {
+    timestamp: Date.parse('2024-08-01T00:05:00Z'),
+    operation: 'delete',
+    mimeType: 'image/jpeg',
+    user: 'uncled@adobe.com',
+    source: 'onedrive',
+  }];
+
+  let nock;
+
+  beforeEach(() => {
+    nock = new Nock().env();
+  });
+
+  afterEach(() => {
+    nock.done();
+  });
+
+  it('counts events per hour in the rollups of their days', async () => {
+    const existing = {
+      events: ['event-0'],
+      hours: {
+        '00': {
+          total: 1, operation: { delete: 1 }, mimeType: {}, source: {}, user: { 'uncled@adobe.com': 1 },
+        },
+      },
+    };
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.rollups/2024-07-31.gz?x-id=GetObject`)
+      .reply(404)
+      .put(`/${contentBusId}/.rollups/2024-07-31.gz?x-id=PutObject`)
+      .reply(function (_, body) {
+        assert.strictEqual(this.req.headers['if-none-match'], '*');
+        assert.deepStrictEqual(body.events, updates.slice(0, 2).map(getEventId));
+        assert.deepStrictEqual(body.hours, {
+          23: {
+            total: 2,
+            operation: { ingest: 1, reuse: 1 },
+            mimeType: { 'image/png': 2 },
+            source: { 'gdoc-preview': 1 },
+            user: { 'uncled@adobe.com': 1, 'tripod@adobe.com': 1 },
+          },
+        });
+        return [200];
+      })
+      .get(`/${contentBusId}/.rollups/2024-08-01.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify(existing)), { etag: '"rollup-1"' })
+      .put(`/${contentBusId}/.rollups/2024-08-01.gz?x-id=PutObject`)
+      .reply(function (_, body) {
+        assert.strictEqual(this.req.headers['if-match'], '"rollup-1"');
+        assert.deepStrictEqual(body, {
+          events: ['event-0', getEventId(updates[2])],
+          hours: {
+            '00': {
+              total: 2,
+              operation: { delete: 2 },
+              mimeType: { 'image/jpeg': 1 },
+              source: { onedrive: 1 },
+              user: { 'uncled@adobe.com': 2 },
+            },
+          },
+        });
+        return [200];
+      });
+
+    const rollups = await Rollups.create(DEFAULT_CONTEXT(), { contentBusId });
+    await rollups.update(updates);
+  });
+
+  it('does not count a batch twice', async () => {
+    let rollup;
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.rollups/2024-07-31.gz?x-id=GetObject`)
+      .reply(404)
+      .put(`/${contentBusId}/.rollups/2024-07-31.gz?x-id=PutObject`)
+      .reply((_, body) => {
+        rollup = body;
+        return [200];
+      });
+    const rollups = await Rollups.create(DEFAULT_CONTEXT(), { contentBusId });
+    await rollups.update(updates.slice(0, 2));
+
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.rollups/2024-07-31.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify(rollup)), { etag: '"rollup-1"' });
+    await rollups.update(updates.slice(0, 2));
+  });
+
+  it('does not count an event twice when it is redelivered in another batch', async () => {
+    let rollup;
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.rollups/2024-07-31.gz?x-id=GetObject`)
+      .reply(404)
+      .put(`/${contentBusId}/.rollups/2024-07-31.gz?x-id=PutObject`)
+      .reply((_, body) => {
+        rollup = body;
+        return [200];
+      });
+    const rollups = await Rollups.create(DEFAULT_CONTEXT(), { contentBusId });
+    await rollups.update(updates.slice(0, 1));
+
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.rollups/2024-07-31.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify(rollup)), { etag: '"rollup-1"' })
+      .put(`/${contentBusId}/.rollups/2024-07-31.gz?x-id=PutObject`)
+      .reply((_, body) => {
+        rollup = body;
+        return [200];
+      });
+    await rollups.update([updates[0], updates[1], updates[1]]);
+
+    assert.deepStrictEqual(rollup.events, updates.slice(0, 2).map(getEventId));
+    assert.strictEqual(rollup.hours[23].total, 2);
+    assert.deepStrictEqual(rollup.hours[23].operation, { ingest: 1, reuse: 1 });
+  });
+
+  it('counts new events in rollups without recorded events', async () => {
+    const existing = {
+      batches: ['0123456789abcdef'],
+      hours: { 23: { ...emptyCounts(), total: 1 } },
+    };
+    let rollup;
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.rollups/2024-07-31.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify(existing)), { etag: '"rollup-1"' })
+      .put(`/${contentBusId}/.rollups/2024-07-31.gz?x-id=PutObject`)
+      .reply((_, body) => {
+        rollup = body;
+        return [200];
+      });
+    const rollups = await Rollups.create(DEFAULT_CONTEXT(), { contentBusId });
+    await rollups.update(updates.slice(0, 1));
+
+    assert.deepStrictEqual(rollup.events, [getEventId(updates[0])]);
+    assert.strictEqual(rollup.hours[23].total, 2);
+  });
+
+  it('returns the rollup of a day', async () => {
+    const rollup = { events: [], hours: {} };
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.rollups/2024-07-31.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify(rollup)))
+      .get(`/${contentBusId}/.rollups/2024-08-01.gz?x-id=GetObject`)
+      .reply(404);
+
+    const rollups = await Rollups.create(DEFAULT_CONTEXT(), { contentBusId });
+    assert.deepStrictEqual(await rollups.get('2024-07-31'), rollup);
+    assert.strictEqual(await rollups.get('2024-08-01'), null);
+  });
+});
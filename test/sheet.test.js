@@ -0,0 +1,81 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import {
+  COLUMNS, parseColumns, toCSV, toRow, toSheet,
+} from '../src/sheet.js';
+
+describe('Sheet tests', () => {
+  const entries = [{
+    timestamp: 1722427281000,
+    operation: 'ingest',
+    mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+    mimeType: 'image/png',
+    user: 'uncled@adobe.com',
+    path: '/docs/faq',
+    originalFilename: 'original-filename.png',
+    source: 'gdoc-preview',
+  }, {
+    timestamp: 1722427282000,
+    operation: 'reuse',
+    mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+    contentType: 'image/png',
+    user: 'tripod@adobe.com',
+    path: '/drafts/tripod/docs/faq',
+    contentSourceType: 'onedrive',
+  }];
+
+  it('parses columns', () => {
+    assert.deepStrictEqual(parseColumns(), COLUMNS);
+    assert.deepStrictEqual(parseColumns('user, path'), ['user', 'path']);
+    assert.strictEqual(parseColumns('user,size'), null);
+    assert.strictEqual(parseColumns(','), null);
+  });
+
+  it('builds rows with fallbacks for missing fields', () => {
+    assert.deepStrictEqual(toRow(entries[1], COLUMNS), {
+      timestamp: 1722427282000,
+      operation: 'reuse',
+      mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+      mimeType: 'image/png',
+      user: 'tripod@adobe.com',
+      path: '/drafts/tripod/docs/faq',
+      originalFilename: '',
+      source: 'onedrive',
+    });
+  });
+
+  it('returns a page of entries', () => {
+    assert.deepStrictEqual(toSheet(entries, { offset: 1, limit: 10, columns: ['user', 'mimeType'] }), {
+      offset: 1,
+      limit: 1,
+      total: 2,
+      columns: ['user', 'mimeType'],
+      data: [{ user: 'tripod@adobe.com', mimeType: 'image/png' }],
+      ':type': 'sheet',
+    });
+  });
+
+  it('returns rows as CSV', () => {
+    assert.strictEqual(toCSV([
+      { user: 'tripod@adobe.com', originalFilename: 'a, "b".png' },
+      { user: 'uncled@adobe.com', originalFilename: 'line\nbreak.png', path: '/docs' },
+    ], ['user', 'originalFilename', 'timestamp']), [
+      'user,originalFilename,timestamp',
+      'tripod@adobe.com,"a, ""b"".png",',
+      'uncled@adobe.com,"line\nbreak.png",',
+      '',
+    ].join('\r\n'));
+  });
+});
@@ -0,0 +1,121 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import sinon from 'sinon';
+import stats from '../src/stats.js';
+import Rollups from '../src/s3/Rollups.js';
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (data = {}) => ({
+  log: console,
+  data,
+});
+
+describe('Statistics route tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const counts = (operation, n) => ({
+    total: n, operation: { [operation]: n }, mimeType: {}, source: {}, user: {},
+  });
+  const empty = {
+    total: 0, operation: {}, mimeType: {}, source: {}, user: {},
+  };
+  const rollups = {
+    '2024-07-31': { events: [], hours: { 22: counts('ingest', 2), 23: counts('reuse', 1) } },
+    '2024-08-01': { events: [], hours: { '00': counts('ingest', 3) } },
+  };
+
+  let stub;
+  let days;
+
+  beforeEach(() => {
+    days = [];
+    stub = sinon.stub(Rollups, 'create').returns({
+      get: async (day) => {
+        days.push(day);
+        return rollups[day] ?? null;
+      },
+    });
+  });
+
+  afterEach(() => {
+    stub.restore();
+  });
+
+  it('returns an hourly time series', async () => {
+    const response = await stats(DEFAULT_CONTEXT({
+      from: '2024-07-31T22:30:00Z', to: '2024-08-01T01:00:00Z',
+    }), contentBusId);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), {
+      from: '2024-07-31T22:30:00.000Z',
+      to: '2024-08-01T01:00:00.000Z',
+      granularity: 'hour',
+      series: [
+        { time: '2024-07-31T22:00:00.000Z', ...counts('ingest', 2) },
+        { time: '2024-07-31T23:00:00.000Z', ...counts('reuse', 1) },
+        { time: '2024-08-01T00:00:00.000Z', ...counts('ingest', 3) },
+        { time: '2024-08-01T01:00:00.000Z', ...empty },
+      ],
+    });
+    assert.deepStrictEqual(days.sort(), ['2024-07-31', '2024-08-01']);
+  });
+
+  it('returns a daily time series', async () => {
+    const response = await stats(DEFAULT_CONTEXT({
+      from: '2024-07-30T12:00:00Z', to: '2024-08-01T12:00:00Z', granularity: 'day',
+    }), contentBusId);
+    const { series } = await response.json();
+    assert.deepStrictEqual(series, [
+      { time: '2024-07-30T00:00:00.000Z', ...empty },
+      {
+        time: '2024-07-31T00:00:00.000Z',
+        total: 3,
+        operation: { ingest: 2, reuse: 1 },
+        mimeType: {},
+        source: {},
+        user: {},
+      },
+      { time: '2024-08-01T00:00:00.000Z', ...counts('ingest', 3) },
+    ]);
+  });
+
+  it('rejects invalid parameters', async () => {
+    const tests = [
+      [{ from: 'yesterday' }, 'invalid \'from\' or \'to\' parameter'],
+      [{ granularity: 'minute' }, 'unsupported granularity: minute'],
+      [{ from: '2023-01-01', to: '2024-01-02' }, 'window must not exceed 366 days'],
+    ];
+    for (const [data, message] of tests) {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await stats(DEFAULT_CONTEXT(data), contentBusId);
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.headers.get('x-error'), message);
+    }
+    assert.strictEqual(stub.callCount, 0);
+  });
+
+  it('reports an error reading the rollups', async () => {
+    stub.returns({
+      get: async () => {
+        throw new Error('Whoopsie');
+      },
+    });
+
+    const response = await stats(DEFAULT_CONTEXT(), contentBusId);
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.headers.get('x-error'), 'error reading statistics.');
+  });
+});
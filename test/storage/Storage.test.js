@@ -0,0 +1,189 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import xml2js from 'xml2js';
+
+import MediaLog from '../../src/s3/MediaLog.js';
+import FSStorage from '../../src/storage/FSStorage.js';
+import S3Storage from '../../src/storage/S3Storage.js';
+import { ConflictError } from '../../src/storage/Storage.js';
+import { BACKENDS, Nock } from '../utils.js';
+
+const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+
+Object.entries(BACKENDS).forEach(([name, setup]) => {
+  describe(`Storage tests (${name})`, () => {
+    let storage;
+    let teardown;
+
+    beforeEach(async () => {
+      ({ storage, teardown } = await setup());
+    });
+
+    afterEach(async () => {
+      await teardown();
+    });
+
+    it('stores, reads and deletes objects', async () => {
+      assert.strictEqual(await storage.get('a/b.json'), null);
+      assert.strictEqual(await storage.head('a/b.json'), null);
+
+      await storage.put('a/b.json', '{}', {
+        contentType: 'application/json',
+        metadata: { 'last-event-time': '2024-07-31-12-00-00' },
+      });
+      const object = await storage.get('a/b.json');
+      assert.strictEqual(object.body.toString(), '{}');
+      assert.strictEqual(object.size, 2);
+      assert.deepStrictEqual(object.metadata, { 'last-event-time': '2024-07-31-12-00-00' });
+      assert.deepStrictEqual(await storage.head('a/b.json'), {
+        etag: object.etag, size: 2, metadata: object.metadata,
+      });
+
+      await storage.delete('a/b.json');
+      await storage.delete('a/b.json');
+      assert.strictEqual(await storage.get('a/b.json'), null);
+    });
+
+    it('rejects conditional puts of modified objects', async () => {
+      await storage.conditionalPut('a/b', 'first');
+      await assert.rejects(storage.conditionalPut('a/b', 'second'), ConflictError);
+
+      const { etag } = await storage.head('a/b');
+      await storage.conditionalPut('a/b', 'second', etag);
+      await assert.rejects(storage.conditionalPut('a/b', 'third', etag), ConflictError);
+      assert.strictEqual((await storage.get('a/b')).body.toString(), 'second');
+    });
+
+    it('lists objects and folders below a prefix', async () => {
+      await storage.put('a/.index', '');
+      await storage.put('a/x/1.gz', '');
+      await storage.put('b/2.gz', '');
+      await storage.put('.purged/2024-07-31.gz', '');
+
+      assert.deepStrictEqual(await storage.list(''), {
+        keys: [], folders: ['.purged/', 'a/', 'b/'],
+      });
+      assert.deepStrictEqual(await storage.list('a/'), { keys: ['a/.index'], folders: ['a/x/'] });
+      assert.deepStrictEqual(await storage.list('c/'), { keys: [], folders: [] });
+    });
+  });
+});
+
+describe('Storage selection tests', () => {
+  it('uses the filesystem if a root is configured', async () => {
+    const storage = await MediaLog.createStorage({ env: { HLX_MEDIA_LOG_ROOT: '/tmp/logs' } });
+    assert(storage instanceof FSStorage);
+    assert.strictEqual(storage.root, '/tmp/logs');
+  });
+
+  it('uses the configured bucket or the default one', async () => {
+    let storage = await MediaLog.createStorage({ env: { HLX_MEDIA_LOG_BUCKET: 'other-logs' } });
+    assert(storage instanceof S3Storage);
+    assert.strictEqual(storage.bucket, 'other-logs');
+
+    storage = await MediaLog.createStorage();
+    assert.strictEqual(storage.bucket, 'helix-media-logs');
+  });
+
+  it('lists the projects in a local directory', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'media-log-'));
+    try {
+      const context = { env: { HLX_MEDIA_LOG_ROOT: root } };
+      const storage = await MediaLog.createStorage(context);
+      await storage.put(`${contentBusId}/.index`, '');
+      await storage.put('.purged/2024-07-31.gz', '');
+      assert.deepStrictEqual(await MediaLog.listProjects(context), [contentBusId]);
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+
+  it('lists the projects in a bucket', async () => {
+    const nock = new Nock().env();
+    try {
+      nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+        .get('/')
+        .query({ 'list-type': 2, delimiter: '/' })
+        .reply(200, new xml2js.Builder().buildObject({
+          ListBucketResult: {
+            CommonPrefixes: [{ Prefix: '.rejected/' }, { Prefix: '355d601dd9b5/' }],
+            IsTruncated: true,
+            NextContinuationToken: 'next',
+          },
+        }))
+        .get('/')
+        .query({ 'list-type': 2, delimiter: '/', 'continuation-token': 'next' })
+        .reply(200, new xml2js.Builder().buildObject({
+          ListBucketResult: {
+            CommonPrefixes: [{ Prefix: '455d601dd9b5/' }],
+            IsTruncated: false,
+          },
+        }));
+
+      assert.deepStrictEqual(await MediaLog.listProjects(), ['355d601dd9b5', '455d601dd9b5']);
+    } finally {
+      nock.done();
+    }
+  });
+
+  it('rejects keys outside of the root', async () => {
+    const storage = new FSStorage({ root: '/tmp/logs' });
+    await assert.rejects(storage.get('../etc/passwd'), /Key outside of storage root/);
+  });
+});
+
+describe('Filesystem storage tests', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'media-log-'));
+    storage = new FSStorage({ root });
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('reads contents along with their ETag while they are written', async () => {
+    await storage.put('a/b', 'initial');
+    const operations = [];
+    for (let i = 0; i < 10; i += 1) {
+      operations.push(storage.put('a/b', `body-${i}`), storage.get('a/b'));
+    }
+    const reads = (await Promise.all(operations)).filter((object) => object);
+    assert.strictEqual(reads.length, 10);
+    reads.forEach(({ body, etag }) => {
+      assert.strictEqual(etag, `"${crypto.createHash('md5').update(body).digest('hex')}"`);
+    });
+  });
+
+  it('derives the ETag from the contents if they were replaced by another process', async () => {
+    await storage.put('a/b', 'first', { metadata: { n: '1' } });
+    const { etag } = await storage.head('a/b');
+    await storage.put('a/c', 'second');
+    await fs.copyFile(path.join(root, 'a/c'), path.join(root, 'a/b'));
+
+    const object = await storage.get('a/b');
+    assert.strictEqual(object.body.toString(), 'second');
+    assert.notStrictEqual(object.etag, etag);
+    assert.strictEqual(object.etag, (await storage.get('a/c')).etag);
+    assert.deepStrictEqual(object.metadata, { n: '1' });
+  });
+});
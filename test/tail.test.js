@@ -0,0 +1,158 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-env mocha */
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import { Request } from '@adobe/fetch';
+import sinon from 'sinon';
+import tail from '../src/tail.js';
+import MediaLog from '../src/s3/MediaLog.js';
+
+let root;
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (data = {}) => ({
+  log: console,
+  env: { HLX_MEDIA_LOG_ROOT: root },
+  data,
+});
+
+/**
+ * Parses the messages of an SSE body.
+ *
+ * @param {string} body body
+ * @returns {object[]} messages with their fields
+ */
+function parseMessages(body) {
+  return body.split('\n\n').filter((message) => !!message).map((message) => {
+    const fields = message.split('\n').map((line) => line.match(/^([a-z]+): (.*)$/).slice(1));
+    return Object.fromEntries(fields.map(([name, value]) => [
+      name, name === 'data' ? JSON.parse(value) : value,
+    ]));
+  });
+}
+
+describe('Tail tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const entry = (minute, operation = 'ingest', user = 'uncled@adobe.com') => ({
+    timestamp: Date.parse(`2024-07-31T12:${String(minute).padStart(2, '0')}:00Z`),
+    operation,
+    mediaHash: `hash${minute}`,
+    mimeType: 'image/png',
+    user,
+    path: '/docs/faq',
+  });
+
+  let mediaLog;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(`${os.tmpdir()}/media-log-`);
+    mediaLog = await MediaLog.create(DEFAULT_CONTEXT(), { contentBusId });
+    await mediaLog.append([entry(0), entry(2)]);
+  });
+
+  afterEach(async () => {
+    mediaLog.close();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('returns the position at the end of the log without Last-Event-ID', async () => {
+    const response = await tail(DEFAULT_CONTEXT(), contentBusId);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+    assert.strictEqual(response.headers.get('cache-control'), 'no-cache');
+
+    const [retry, position, ...rest] = parseMessages(await response.text());
+    assert.deepStrictEqual(retry, { retry: '2000' });
+    assert.match(position.id, /^[\w-]+$/);
+    assert.deepStrictEqual(rest, []);
+  });
+
+  it('returns the entries appended since Last-Event-ID, including late events', async () => {
+    const [, { id }] = parseMessages(await (await tail(DEFAULT_CONTEXT(), contentBusId)).text());
+
+    // a late event is inserted before the last entry
+    await mediaLog.append([entry(3), entry(1)]);
+    const request = new Request('https://localhost/', { headers: { 'last-event-id': id } });
+    const response = await tail(DEFAULT_CONTEXT(), contentBusId, request);
+    const [, first, second, ...rest] = parseMessages(await response.text());
+    assert.deepStrictEqual(first, { data: entry(1) });
+    assert.deepStrictEqual(second.data, entry(3));
+    assert.notStrictEqual(second.id, id);
+    assert.deepStrictEqual(rest, []);
+
+    // clients that cannot send the header pass the position as parameter
+    const next = await tail(DEFAULT_CONTEXT({ lastEventId: second.id }), contentBusId);
+    assert.deepStrictEqual(parseMessages(await next.text()).slice(1), [{ id: second.id }]);
+  });
+
+  it('returns the matching entries only', async () => {
+    const [, { id }] = parseMessages(await (await tail(DEFAULT_CONTEXT(), contentBusId)).text());
+    await mediaLog.append([
+      entry(3, 'delete'),
+      entry(4, 'ingest', 'Tripod@adobe.com'),
+      entry(5, 'reuse'),
+    ]);
+
+    const response = await tail(DEFAULT_CONTEXT({
+      lastEventId: id, operation: 'ingest,reuse', user: 'tripod@adobe.com',
+    }), contentBusId);
+    const [, message, ...rest] = parseMessages(await response.text());
+    assert.deepStrictEqual(message.data, entry(4, 'ingest', 'Tripod@adobe.com'));
+    assert.notStrictEqual(message.id, id);
+    assert.deepStrictEqual(rest, []);
+  });
+
+  it('rejects invalid parameters', async () => {
+    const token = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+    const tests = [
+      [{ lastEventId: 'bogus' }, 'invalid \'Last-Event-ID\''],
+      [{ lastEventId: token({ id: '../x' }) }, 'invalid \'Last-Event-ID\''],
+      [{ lastEventId: token({ id: '', timestamp: 'now' }) }, 'invalid \'Last-Event-ID\''],
+      [{ lastEventId: token({ id: '', seen: [1] }) }, 'invalid \'Last-Event-ID\''],
+      [{ lastEventId: token({ id: '', etag: 1 }) }, 'invalid \'Last-Event-ID\''],
+      [{ operation: 'ingest,upload' }, 'invalid \'operation\' parameter'],
+    ];
+    for (const [data, message] of tests) {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await tail(DEFAULT_CONTEXT(data), contentBusId);
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.headers.get('x-error'), message);
+    }
+  });
+
+  it('reports an error reading the media log', async () => {
+    const close = sinon.spy();
+    const stub = sinon.stub(MediaLog, 'create').returns({
+      tail: () => {
+        throw new Error('Whoopsie');
+      },
+      close,
+    });
+    const log = { error: sinon.spy() };
+
+    try {
+      const response = await tail({ log, data: {} }, contentBusId);
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual(
+        log.error.firstCall.args[0],
+        `Unable to tail media log of ${contentBusId}: Whoopsie`,
+      );
+      assert.strictEqual(close.callCount, 1);
+    } finally {
+      stub.restore();
+    }
+  });
+});
@@ -12,10 +12,20 @@
 
 /* eslint-env mocha */
 import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import sinon from 'sinon';
 import trigger from '../src/trigger.js';
+import EventMirror from '../src/s3/EventMirror.js';
+import Inventory from '../src/s3/Inventory.js';
 import MediaLog from '../src/s3/MediaLog.js';
-import { Nock } from './utils.js';
+import References from '../src/s3/References.js';
+import Rollups from '../src/s3/Rollups.js';
+import Webhooks from '../src/s3/Webhooks.js';
+import FSStorage from '../src/storage/FSStorage.js';
+import { getDeliveryId } from '../src/webhooks.js';
+import { createReceiver, Nock } from './utils.js';
 
 /**
  * Default context
@@ -27,14 +37,38 @@ const DEFAULT_CONTEXT = () => ({
 describe('SQS trigger tests', () => {
   let nock;
   let stub;
+  let inventoryStub;
+  let inventoryUpdates;
+  let referencesStub;
+  let referencesUpdates;
+  let rollupsStub;
+  let webhooksStub;
 
   beforeEach(() => {
     nock = new Nock().env();
     stub = sinon.stub(MediaLog, 'create');
+    inventoryUpdates = [];
+    inventoryStub = sinon.stub(Inventory, 'create').returns({
+      update: async (updates) => {
+        inventoryUpdates.push(updates);
+      },
+    });
+    referencesUpdates = [];
+    referencesStub = sinon.stub(References, 'create').returns({
+      update: async (updates) => {
+        referencesUpdates.push(updates);
+      },
+    });
+    rollupsStub = sinon.stub(Rollups, 'create').returns({ update: async () => {} });
+    webhooksStub = sinon.stub(Webhooks, 'create').returns({ get: async () => [] });
   });
 
   afterEach(() => {
     stub?.restore();
+    inventoryStub.restore();
+    referencesStub.restore();
+    rollupsStub.restore();
+    webhooksStub.restore();
     nock.done();
   });
 
@@ -53,7 +87,7 @@ describe('SQS trigger tests', () => {
           originalFilename: 'original-filename.png',
           contentSourceType: 'gdoc-preview',
         }]);
-        return `${contentBusId}/log`;
+        return { key: `${contentBusId}/log`, added: updates };
       },
       close: () => {},
     });
@@ -79,6 +113,9 @@ describe('SQS trigger tests', () => {
 
     const json = await response.json();
     assert.deepStrictEqual(json, { batchItemFailures: [] });
+    assert.deepStrictEqual(inventoryUpdates, [JSON.parse(messages[0].body).updates]);
+    assert.deepStrictEqual(referencesUpdates, inventoryUpdates);
+    assert.deepStrictEqual(webhooksStub.getCall(0).args[1], { contentBusId });
   });
 
   it('Process serialized message', async () => {
@@ -96,7 +133,7 @@ describe('SQS trigger tests', () => {
           originalFilename: 'original-filename.png',
           contentSourceType: 'gdoc-preview',
         }]);
-        return `${contentBusId}/log`;
+        return { key: `${contentBusId}/log`, added: updates };
       },
       close: () => {},
     });
@@ -164,6 +201,121 @@ describe('SQS trigger tests', () => {
 
     const json = await response.json();
     assert.deepStrictEqual(json, { batchItemFailures: [{}] });
+    assert.strictEqual(webhooksStub.callCount, 0);
+  });
+
+  it('Mirrors only the events appended', async () => {
+    const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+    const updates = [1722427281000, 1722427282000].map((timestamp) => ({
+      timestamp,
+      operation: 'ingest',
+      mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+      mimeType: 'image/png',
+      user: 'uncled@adobe.com',
+      path: '/docs/faq',
+    }));
+
+    // the first event was appended before, in another batch
+    const calls = [];
+    stub.returns({
+      append: () => {
+        calls.push('append');
+        return { key: `${contentBusId}/log`, added: updates.slice(1) };
+      },
+      close: () => {},
+    });
+    const mirrorStub = sinon.stub(EventMirror, 'create').returns({
+      write: async (batch) => {
+        assert.deepStrictEqual(batch, updates.slice(1));
+        calls.push('mirror');
+      },
+    });
+
+    try {
+      const response = await trigger(DEFAULT_CONTEXT(), [{
+        body: JSON.stringify({ contentBusId, updates }),
+      }]);
+      assert.deepStrictEqual(await response.json(), { batchItemFailures: [] });
+      assert.deepStrictEqual(mirrorStub.getCall(0).args[1], { contentBusId });
+      assert.deepStrictEqual(calls, ['append', 'mirror']);
+
+      // nothing is mirrored if all events were appended before
+      stub.returns({ append: () => ({ key: `${contentBusId}/log`, added: [] }), close: () => {} });
+      await trigger(DEFAULT_CONTEXT(), [{ body: JSON.stringify({ contentBusId, updates }) }]);
+      assert.strictEqual(mirrorStub.callCount, 1);
+    } finally {
+      mirrorStub.restore();
+    }
+  });
+
+  it('Delivers events to webhooks if they cannot be mirrored', async () => {
+    const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+    const updates = [{
+      timestamp: 1722427281000,
+      operation: 'ingest',
+      mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+      mimeType: 'image/png',
+      user: 'uncled@adobe.com',
+      path: '/docs/faq',
+    }];
+    stub.returns({
+      append: () => ({ key: `${contentBusId}/log`, added: updates }),
+      close: () => {},
+    });
+    const mirrorStub = sinon.stub(EventMirror, 'create').returns({
+      write: async () => {
+        throw new Error('Whoopsie');
+      },
+    });
+
+    try {
+      const response = await trigger(DEFAULT_CONTEXT(), [{
+        body: JSON.stringify({ contentBusId, updates }),
+      }]);
+      assert.deepStrictEqual(await response.json(), { batchItemFailures: [] });
+      assert.strictEqual(webhooksStub.callCount, 1);
+    } finally {
+      mirrorStub.restore();
+    }
+  });
+
+  it('Delivers only the events appended to webhooks', async () => {
+    const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+    const updates = [1722427281000, 1722427282000].map((timestamp) => ({
+      timestamp,
+      operation: 'ingest',
+      mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+      contentType: 'image/png',
+      user: 'uncled@adobe.com',
+      path: '/docs/faq',
+    }));
+    const receiver = await createReceiver();
+    const webhook = { id: 'all', url: `${receiver.url}media`, secret: 'secret' };
+
+    // the first event was appended before, when the batch was delivered the first time
+    stub.returns({
+      append: () => ({ key: `${contentBusId}/log`, added: updates.slice(1) }),
+      close: () => {},
+    });
+    webhooksStub.returns({ get: async () => [webhook] });
+
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(new RegExp(`^/${contentBusId}/\\.deliveries/`))
+      .reply(404)
+      .put(new RegExp(`^/${contentBusId}/\\.deliveries/`))
+      .reply(200);
+
+    try {
+      const response = await trigger(DEFAULT_CONTEXT(), [{
+        body: JSON.stringify({ contentBusId, updates }),
+      }]);
+      assert.deepStrictEqual(await response.json(), { batchItemFailures: [] });
+      const [{ body }] = receiver.requests;
+      assert.deepStrictEqual(body.events, updates.slice(1));
+      assert.strictEqual(body.deliveryId, getDeliveryId(webhook, updates.slice(1)));
+    } finally {
+      await receiver.close();
+    }
   });
 
   it('Reports error in deserializing', async () => {
@@ -185,7 +337,7 @@ describe('SQS trigger tests', () => {
     const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
 
     stub.returns({
-      append: () => `${contentBusId}/log`,
+      append: () => ({ key: null, added: [] }),
       close: () => {},
     });
 
@@ -197,4 +349,85 @@ describe('SQS trigger tests', () => {
     const response = await trigger(DEFAULT_CONTEXT(), messages);
     assert.strictEqual(response.status, 200);
   });
+
+  it('Only appends the events of an organization aggregate log', async () => {
+    const updates = [{
+      timestamp: 1722427281000,
+      operation: 'ingest',
+      mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+      contentType: 'image/png',
+      user: 'uncled@adobe.com',
+      path: '/docs/faq',
+    }];
+    let appended;
+    stub.returns({
+      append: (batch) => {
+        appended = batch;
+        return { key: '@adobe/log', added: batch };
+      },
+      close: () => {},
+    });
+    const mirrorStub = sinon.stub(EventMirror, 'create');
+
+    try {
+      const response = await trigger(DEFAULT_CONTEXT(), [{
+        body: JSON.stringify({ contentBusId: '@adobe', updates }),
+      }]);
+      assert.deepStrictEqual(await response.json(), { batchItemFailures: [] });
+      assert.deepStrictEqual(appended, updates);
+      assert.deepStrictEqual(inventoryUpdates, []);
+      assert.deepStrictEqual(referencesUpdates, []);
+      assert.strictEqual(rollupsStub.callCount, 0);
+      assert.strictEqual(mirrorStub.callCount, 0);
+      assert.strictEqual(webhooksStub.callCount, 0);
+    } finally {
+      mirrorStub.restore();
+    }
+  });
+});
+
+describe('SQS trigger tests with a local directory', () => {
+  let nock;
+  let root;
+
+  beforeEach(async () => {
+    nock = new Nock().env();
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'media-log-'));
+  });
+
+  afterEach(async () => {
+    nock.done();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('keeps the log and per-project data in the directory', async () => {
+    const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+    const messages = [{
+      messageId: '374cec7b-d0c8-4a2e-ad0b-67be763cf97e',
+      body: JSON.stringify({
+        contentBusId,
+        updates: [{
+          timestamp: 1722427281000,
+          operation: 'ingest',
+          mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+          contentType: 'image/png',
+          user: 'uncled@adobe.com',
+          path: '/docs/faq',
+        }],
+      }),
+    }];
+    const context = { ...DEFAULT_CONTEXT(), env: { HLX_MEDIA_LOG_ROOT: root } };
+    const response = await trigger(context, messages);
+    assert.deepStrictEqual(await response.json(), { batchItemFailures: [] });
+
+    const storage = new FSStorage({ root });
+    const { keys, folders } = await storage.list(`${contentBusId}/`);
+    assert.deepStrictEqual(keys.filter((key) => key.includes('/.')), [
+      `${contentBusId}/.index`,
+      `${contentBusId}/.inventory.gz`,
+      `${contentBusId}/.references.gz`,
+    ]);
+    assert.strictEqual(keys.length, 4);
+    assert.deepStrictEqual(folders, [`${contentBusId}/.rollups/`]);
+  });
 });
@@ -10,7 +10,22 @@
  * governing permissions and limitations under the License.
  */
 import assert from 'assert';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
 import nock from 'nock';
+import xml2js from 'xml2js';
+import { S3Client } from '@aws-sdk/client-s3';
+import FSStorage from '../src/storage/FSStorage.js';
+import S3Storage from '../src/storage/S3Storage.js';
+
+/**
+ * Hosts that may be connected to, even with nock active: the local stand-ins for
+ * external receivers.
+ */
+const LOCALHOST = /^127\.0\.0\.1(:\d+)?$/;
 
 export function Nock() {
   const scopes = {};
@@ -19,7 +34,9 @@ export function Nock() {
   let savedEnv;
 
   function noMatchHandler(req) {
-    unmatched.push(req);
+    if (!LOCALHOST.test((req.options ?? req).host)) {
+      unmatched.push(req);
+    }
   }
 
   function nocker(url) {
@@ -33,6 +50,7 @@ export function Nock() {
       nock.emitter.on('no match', noMatchHandler);
     }
     nock.disableNetConnect();
+    nock.enableNetConnect(LOCALHOST);
     return scope;
   }
 
@@ -65,3 +83,191 @@ export function Nock() {
 
   return nocker;
 }
+
+/**
+ * Starts a local HTTP server that stands in for an external receiver of
+ * JSON requests, e.g. a webhook. Every request received is recorded with
+ * its method, path, headers, raw and parsed body.
+ *
+ * @param {number|function(object): number} [status] status to respond with, or a
+ * function returning it given the request
+ * @returns {Promise<object>} receiver with `url`, `requests`, `status` and `close()`
+ */
+export async function createReceiver(status = 200) {
+  const receiver = { requests: [], status };
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString();
+      const request = {
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        raw: text,
+        body: text ? JSON.parse(text) : undefined,
+      };
+      receiver.requests.push(request);
+      const { status: respond } = receiver;
+      res.writeHead(typeof respond === 'function' ? respond(request) : respond).end();
+    });
+  });
+  await new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  receiver.url = `http://127.0.0.1:${server.address().port}/`;
+  receiver.close = () => new Promise((resolve) => {
+    server.close(resolve);
+    server.closeAllConnections();
+  });
+  return receiver;
+}
+
+/**
+ * Starts a local HTTP server that stands in for an S3 bucket, addressed path-style,
+ * keeping its objects in memory. It supports getting, heading, putting - with
+ * `If-Match` and `If-None-Match` conditions - and deleting objects, and listing them
+ * with a delimiter.
+ *
+ * @param {string} [name] bucket name
+ * @returns {Promise<object>} bucket with `url`, `objects` and `close()`
+ */
+export async function createBucket(name = 'helix-media-logs') {
+  const bucket = { objects: new Map() };
+  const xml = (res, status, body) => res
+    .writeHead(status, { 'content-type': 'application/xml' })
+    .end(new xml2js.Builder().buildObject(body));
+
+  function list(res, params) {
+    const prefix = params.get('prefix') ?? '';
+    const keys = [];
+    const folders = new Set();
+    for (const key of [...bucket.objects.keys()].sort()) {
+      if (key.startsWith(prefix)) {
+        const slash = key.indexOf('/', prefix.length);
+        if (slash === -1) {
+          keys.push(key);
+        } else {
+          folders.add(key.substring(0, slash + 1));
+        }
+      }
+    }
+    xml(res, 200, {
+      ListBucketResult: {
+        Name: name,
+        Prefix: prefix,
+        KeyCount: keys.length + folders.size,
+        IsTruncated: false,
+        Contents: keys.map((key) => ({ Key: key, Size: bucket.objects.get(key).body.length })),
+        CommonPrefixes: [...folders].map((folder) => ({ Prefix: folder })),
+      },
+    });
+  }
+
+  function handle(req, res, body) {
+    const url = new URL(req.url, 'http://localhost');
+    const key = decodeURIComponent(url.pathname.substring(name.length + 2));
+    const object = bucket.objects.get(key);
+    if (req.method === 'GET' && !key) {
+      list(res, url.searchParams);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+      if (!object) {
+        xml(res, 404, { Error: { Code: 'NoSuchKey', Message: 'The specified key does not exist.' } });
+        return;
+      }
+      res.writeHead(200, {
+        etag: object.etag,
+        'content-length': object.body.length,
+        ...object.headers,
+      }).end(req.method === 'GET' ? object.body : undefined);
+    } else if (req.method === 'PUT') {
+      const ifMatch = req.headers['if-match'];
+      if ((ifMatch && object?.etag !== ifMatch) || (req.headers['if-none-match'] && object)) {
+        xml(res, 412, {
+          Error: {
+            Code: 'PreconditionFailed',
+            Message: 'At least one of the pre-conditions you specified did not hold',
+          },
+        });
+        return;
+      }
+      const headers = Object.fromEntries(Object.entries(req.headers)
+        .filter(([header]) => header.startsWith('x-amz-meta-') || header === 'content-type'));
+      const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+      bucket.objects.set(key, { body, etag, headers });
+      res.writeHead(200, { etag }).end();
+    } else if (req.method === 'DELETE') {
+      bucket.objects.delete(key);
+      res.writeHead(204).end();
+    } else {
+      res.writeHead(405).end();
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => handle(req, res, Buffer.concat(chunks)));
+  });
+  await new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  bucket.url = `http://127.0.0.1:${server.address().port}`;
+  bucket.close = () => new Promise((resolve) => {
+    server.close(resolve);
+    server.closeAllConnections();
+  });
+  return bucket;
+}
+
+/**
+ * Storage backends to run tests against, each with a function returning the storage
+ * along with a function to tear it down.
+ */
+export const BACKENDS = {
+  filesystem: async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'media-log-'));
+    return {
+      storage: new FSStorage({ root }),
+      teardown: () => fs.rm(root, { recursive: true, force: true }),
+    };
+  },
+  s3: async () => {
+    const bucket = await createBucket();
+    const s3 = new S3Client({
+      endpoint: bucket.url,
+      forcePathStyle: true,
+      region: 'us-east-1',
+      credentials: { accessKeyId: 'foo', secretAccessKey: 'bar' },
+    });
+    return {
+      storage: new S3Storage({ s3 }),
+      teardown: async () => {
+        s3.destroy();
+        await bucket.close();
+      },
+    };
+  },
+};
+
+/**
+ * Wraps a storage, so tests can intervene in its operations: an operation with a hook
+ * invokes the hook instead, passing the operation of the wrapped storage along with the
+ * arguments. Every operation is recorded in `calls` with its key and, for conditional
+ * puts, the ETag passed.
+ *
+ * @param {import('../src/storage/Storage.js').Storage} storage storage to wrap
+ * @param {object} [hooks] hooks by operation name
+ * @returns {object} wrapped storage with `calls`
+ */
+export function wrapStorage(storage, hooks = {}) {
+  const wrapped = { calls: [] };
+  ['get', 'head', 'put', 'conditionalPut', 'delete', 'list'].forEach((method) => {
+    const next = storage[method].bind(storage);
+    wrapped[method] = (...args) => {
+      wrapped.calls.push(method === 'conditionalPut' ? [method, args[0], args[2]] : [method, args[0]]);
+      return hooks[method] ? hooks[method](next, ...args) : next(...args);
+    };
+  });
+  return wrapped;
+}
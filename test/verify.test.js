@@ -0,0 +1,70 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import sinon from 'sinon';
+import verify from '../src/verify.js';
+import MediaLog from '../src/s3/MediaLog.js';
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (data = {}) => ({
+  log: console,
+  data,
+});
+
+describe('Verification job tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const result = {
+    files: 2, objects: 2, missing: [], unindexed: [], unreadable: [], stale: [],
+  };
+
+  let createStub;
+  let mediaLog;
+
+  beforeEach(() => {
+    mediaLog = {
+      verify: sinon.stub().resolves(result),
+      repair: sinon.stub().resolves({ ...result, repaired: false, quarantined: [] }),
+      close: () => {},
+    };
+    createStub = sinon.stub(MediaLog, 'create').returns(mediaLog);
+  });
+
+  afterEach(() => {
+    createStub.restore();
+  });
+
+  it('verifies the index of every project', async () => {
+    const response = await verify(DEFAULT_CONTEXT({ contentBusIds: [contentBusId] }));
+    assert.deepStrictEqual(await response.json(), {
+      job: 'verify',
+      projects: [{ contentBusId, ...result }],
+    });
+    assert.strictEqual(mediaLog.repair.callCount, 0);
+  });
+
+  it('repairs the index of every project', async () => {
+    const response = await verify(DEFAULT_CONTEXT({
+      contentBusIds: contentBusId, repair: true,
+    }));
+    assert.deepStrictEqual(await response.json(), {
+      job: 'verify',
+      projects: [{
+        contentBusId, ...result, repaired: false, quarantined: [],
+      }],
+    });
+    assert.strictEqual(mediaLog.verify.callCount, 0);
+  });
+});
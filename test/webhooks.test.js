@@ -0,0 +1,272 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint-disable func-names */
+
+import assert from 'assert';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import sinon from 'sinon';
+
+import deliveries, {
+  deliver, matches, RETRY, sign,
+} from '../src/webhooks.js';
+import { createReceiver, Nock } from './utils.js';
+
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Default context
+ */
+const DEFAULT_CONTEXT = (data = {}) => ({
+  log: console,
+  env: {},
+  data,
+});
+
+describe('Webhooks tests', () => {
+  const contentBusId = '355d601dd9b577248658b2b9ec3a9d7ddbc57b4428da7b8e532ab5aed6f';
+  const now = Date.parse('2024-08-01T12:00:00Z');
+
+  const updates = [{
+    timestamp: now - 2000,
+    operation: 'ingest',
+    mediaHash: '13872adbc8f226c65c00a81078b84ab4152476fc7',
+    contentType: 'image/png',
+    user: 'uncled@adobe.com',
+    path: '/docs/faq',
+  }, {
+    timestamp: now - 1000,
+    operation: 'delete',
+    mediaHash: '23872adbc8f226c65c00a81078b84ab4152476fc7',
+    mimeType: 'video/mp4',
+    user: 'tripod@adobe.com',
+    path: '/docs/faq',
+  }];
+
+  let nock;
+  let receiver;
+  let clock;
+  let delay;
+
+  beforeEach(async () => {
+    nock = new Nock().env();
+    receiver = await createReceiver();
+    clock = sinon.useFakeTimers({ now, toFake: ['Date'] });
+    delay = RETRY.delay;
+    RETRY.delay = 1;
+  });
+
+  afterEach(async () => {
+    RETRY.delay = delay;
+    clock.restore();
+    await receiver.close();
+    nock.done();
+  });
+
+  function nockConfig(webhooks) {
+    return nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.webhooks.json?x-id=GetObject`)
+      .reply(webhooks ? 200 : 404, webhooks ? JSON.stringify({ webhooks }) : undefined);
+  }
+
+  it('matches events against operation and MIME type filters', () => {
+    const [ingest, del] = updates;
+    assert.strictEqual(matches({}, ingest), true);
+    assert.strictEqual(matches({ operations: ['delete'] }, ingest), false);
+    assert.strictEqual(matches({ operations: ['delete'] }, del), true);
+    assert.strictEqual(matches({ mimeTypes: ['image/*'] }, ingest), true);
+    assert.strictEqual(matches({ mimeTypes: ['image/jpeg', 'video/mp4'] }, ingest), false);
+    assert.strictEqual(matches({ mimeTypes: ['image/jpeg', 'video/mp4'] }, del), true);
+    assert.strictEqual(matches({ mimeTypes: ['image/*'] }, { operation: 'delete' }), false);
+  });
+
+  it('delivers signed payloads to subscribed webhooks and logs the attempts', async () => {
+    let logged;
+    nockConfig([
+      {
+        id: 'images', url: `${receiver.url}images`, secret: 's3cr3t', mimeTypes: ['image/*'],
+      },
+      { url: `${receiver.url}deletes`, secret: 'other', operations: ['delete'] },
+      {
+        id: 'nothing', url: `${receiver.url}nothing`, secret: 'none', operations: ['reuse'],
+      },
+      { id: 'unsigned', url: `${receiver.url}unsigned` },
+    ])
+      .get(`/${contentBusId}/.deliveries/2024-08-01.gz?x-id=GetObject`)
+      .reply(404)
+      .put(`/${contentBusId}/.deliveries/2024-08-01.gz?x-id=PutObject`)
+      .reply(function (_, body) {
+        assert.strictEqual(this.req.headers['if-none-match'], '*');
+        logged = body;
+        return [201];
+      });
+
+    const attempts = await deliver(DEFAULT_CONTEXT(), contentBusId, updates);
+    assert.deepStrictEqual(logged, attempts);
+    const omit = { deliveryId: undefined, duration: undefined };
+    assert.deepStrictEqual(attempts.map((attempt) => ({ ...attempt, ...omit })), [{
+      timestamp: now,
+      webhook: 'images',
+      url: `${receiver.url}images`,
+      attempt: 1,
+      events: 1,
+      status: 200,
+      ...omit,
+    }, {
+      timestamp: now,
+      webhook: `${receiver.url}deletes`,
+      url: `${receiver.url}deletes`,
+      attempt: 1,
+      events: 1,
+      status: 200,
+      ...omit,
+    }]);
+
+    const requests = Object.fromEntries(receiver.requests.map((req) => [req.path, req]));
+    assert.deepStrictEqual(Object.keys(requests).sort(), ['/deletes', '/images']);
+
+    const { headers, raw, body } = requests['/images'];
+    assert.strictEqual(headers['content-type'], 'application/json');
+    assert.strictEqual(headers['x-media-log-signature'], sign('s3cr3t', raw));
+    assert.strictEqual(headers['x-media-log-delivery'], attempts[0].deliveryId);
+    assert.deepStrictEqual(body, {
+      deliveryId: attempts[0].deliveryId,
+      webhook: 'images',
+      contentBusId,
+      timestamp: now,
+      events: [updates[0]],
+    });
+    assert.deepStrictEqual(requests['/deletes'].body.events, [updates[1]]);
+    assert.strictEqual(
+      requests['/deletes'].headers['x-media-log-signature'],
+      sign('other', requests['/deletes'].raw),
+    );
+  });
+
+  it('retries failed deliveries with backoff', async () => {
+    receiver.status = ({ path }) => {
+      if (path === '/flaky') {
+        return receiver.requests.filter((req) => req.path === path).length < 2 ? 503 : 200;
+      }
+      return path === '/gone' ? 410 : 500;
+    };
+
+    let logged;
+    nockConfig([
+      { id: 'flaky', url: `${receiver.url}flaky`, secret: 's3cr3t' },
+      { id: 'gone', url: `${receiver.url}gone`, secret: 's3cr3t' },
+      { id: 'broken', url: `${receiver.url}broken`, secret: 's3cr3t' },
+      { id: 'unreachable', url: 'http://127.0.0.1:1/', secret: 's3cr3t' },
+    ])
+      .get(`/${contentBusId}/.deliveries/2024-08-01.gz?x-id=GetObject`)
+      .reply(200, await gzip(JSON.stringify([{ deliveryId: 'earlier' }])), { etag: '"1"' })
+      .put(`/${contentBusId}/.deliveries/2024-08-01.gz?x-id=PutObject`)
+      .reply(function (_, body) {
+        assert.strictEqual(this.req.headers['if-match'], '"1"');
+        logged = body;
+        return [201];
+      });
+
+    const attempts = await deliver(DEFAULT_CONTEXT(), contentBusId, updates);
+    const unreachable = attempts.filter(({ webhook }) => webhook === 'unreachable');
+    assert.deepStrictEqual(unreachable.map(({ attempt, status }) => [attempt, status]), [
+      [1, undefined], [2, undefined], [3, undefined],
+    ]);
+    assert.ok(unreachable.every(({ error }) => error));
+    assert.deepStrictEqual(
+      attempts.slice(0, 6).map(({
+        webhook, attempt, status, error,
+      }) => [webhook, attempt, status, error]),
+      [
+        ['flaky', 1, 503, 'webhook returned 503'],
+        ['flaky', 2, 200, undefined],
+        ['gone', 1, 410, 'webhook returned 410'],
+        ['broken', 1, 500, 'webhook returned 500'],
+        ['broken', 2, 500, 'webhook returned 500'],
+        ['broken', 3, 500, 'webhook returned 500'],
+      ],
+    );
+    assert.strictEqual(new Set(attempts.filter(({ webhook }) => webhook === 'broken')
+      .map(({ deliveryId }) => deliveryId)).size, 1);
+    assert.deepStrictEqual(logged, [{ deliveryId: 'earlier' }, ...attempts]);
+  });
+
+  it('does nothing without webhooks', async () => {
+    nockConfig();
+    assert.deepStrictEqual(await deliver(DEFAULT_CONTEXT(), contentBusId, updates), []);
+    assert.deepStrictEqual(receiver.requests, []);
+  });
+
+  it('reports an error reading the webhooks', async () => {
+    nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+      .get(`/${contentBusId}/.webhooks.json?x-id=GetObject`)
+      .reply(200, 'bogus');
+    assert.deepStrictEqual(await deliver(DEFAULT_CONTEXT(), contentBusId, updates), []);
+  });
+
+  describe('delivery log route', () => {
+    const attempts = [{
+      deliveryId: '1', webhook: 'images', attempt: 1, status: 503, error: 'webhook returned 503',
+    }, {
+      deliveryId: '1', webhook: 'images', attempt: 2, status: 200,
+    }, {
+      deliveryId: '2', webhook: 'deletes', attempt: 1, error: 'connect ECONNREFUSED',
+    }];
+
+    it('returns the attempts of a day', async () => {
+      nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+        .get(`/${contentBusId}/.deliveries/2024-08-01.gz?x-id=GetObject`)
+        .times(2)
+        .reply(200, await gzip(JSON.stringify(attempts)))
+        .get(`/${contentBusId}/.deliveries/2024-07-31.gz?x-id=GetObject`)
+        .reply(404);
+
+      let response = await deliveries(DEFAULT_CONTEXT(), contentBusId);
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(await response.json(), { day: '2024-08-01', deliveries: attempts });
+
+      response = await deliveries(DEFAULT_CONTEXT({ webhook: 'images', status: 'failed' }), contentBusId);
+      assert.deepStrictEqual(await response.json(), {
+        day: '2024-08-01',
+        deliveries: [attempts[0]],
+      });
+
+      response = await deliveries(DEFAULT_CONTEXT({ day: '2024-07-31' }), contentBusId);
+      assert.deepStrictEqual(await response.json(), { day: '2024-07-31', deliveries: [] });
+    });
+
+    it('rejects invalid parameters', async () => {
+      const tests = [
+        [{ day: 'yesterday' }, '\'day\' must be in YYYY-MM-DD format'],
+        [{ status: 'pending' }, '\'status\' must be one of: delivered, failed'],
+      ];
+      for (const [data, message] of tests) {
+        // eslint-disable-next-line no-await-in-loop
+        const response = await deliveries(DEFAULT_CONTEXT(data), contentBusId);
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.headers.get('x-error'), message);
+      }
+    });
+
+    it('reports an error reading the delivery log', async () => {
+      nock('https://helix-media-logs.s3.us-east-1.amazonaws.com')
+        .get(`/${contentBusId}/.deliveries/2024-08-01.gz?x-id=GetObject`)
+        .reply(403);
+
+      const response = await deliveries(DEFAULT_CONTEXT(), contentBusId);
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual(response.headers.get('x-error'), 'error reading delivery log.');
+    });
+  });
+});